@@ -1,49 +1,86 @@
 const db = require('../../../models');
 const CalorieEntries = db.CalorieEntries;
+const Users = db.Users;
+const foodEntryService = require('../services/food-entry.service');
+const calorieTrackingService = require('../services/calorie-tracking.service');
+const diaryImportService = require('../services/diary-import.service');
+const micronutrientService = require('../services/micronutrient.service');
+const entryRevisionService = require('../services/entry-revision.service');
+const foodTextParserService = require('../services/food-text-parser.service');
+const foodHistoryService = require('../services/food-history.service');
+const fastingService = require('../services/fasting.service');
 const { Op } = require('sequelize');
+const { containsPattern } = require('../utils/like');
 
-// Create a new food entry
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Get integer user ID from Firebase UID (null if the profile doesn't exist yet)
+async function getUserId(firebaseUid) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+    return user ? user.id : null;
+}
+
+// Fasting warnings for newly saved entries. Entries are saved either way (the client decides
+// whether to end the fast), so a failed check only drops the warning instead of failing the request.
+async function getFastingWarning(firebaseUid, consumedAt) {
+    try {
+        return await fastingService.checkEntryAgainstFasts(firebaseUid, new Date(consumedAt));
+    } catch (error) {
+        console.warn('Error checking entry against fasts:', error.message);
+        return null;
+    }
+}
+
+async function getFastingWarnings(firebaseUid, entries) {
+    try {
+        return await fastingService.checkEntriesAgainstFasts(firebaseUid, entries.map(entry => entry.consumed_at));
+    } catch (error) {
+        console.warn('Error checking entries against fasts:', error.message);
+        return [];
+    }
+}
+
+// Create a new food entry (free-form, from the food catalog via food_id, or from a recipe via recipe_id)
 async function createFoodEntry(req, res) {
     try {
         const {
-            food_name,
-            brand,
-            serving_size,
-            calories_per_serving,
-            servings_consumed,
-            protein_g,
-            carbs_g,
-            fat_g,
-            fiber_g,
-            sugar_g,
-            sodium_mg,
+            food_id,
+            recipe_id,
             meal_type,
             consumed_at,
             notes
         } = req.body;
 
+        // Catalog foods and recipes need the integer user ID for ownership checks
+        const userId = (food_id || recipe_id) ? await getUserId(req.user.uid) : null;
+        const { nutrition, error } = await foodEntryService.buildEntryNutrition(req.body, userId);
+
+        if (error) {
+            const { status, ...details } = error;
+            return res.status(status).json({
+                success: false,
+                ...details
+            });
+        }
+
         const newEntry = await CalorieEntries.create({
             user_id: req.user.uid, // From Firebase auth middleware
-            food_name,
-            brand,
-            serving_size: serving_size || '1 serving',
-            calories_per_serving,
-            servings_consumed: servings_consumed || 1.0,
-            protein_g: protein_g || 0,
-            carbs_g: carbs_g || 0,
-            fat_g: fat_g || 0,
-            fiber_g: fiber_g || 0,
-            sugar_g: sugar_g || 0,
-            sodium_mg: sodium_mg || 0,
+            ...nutrition,
             meal_type: meal_type || 'snack',
             consumed_at: consumed_at || new Date(),
             notes
         });
 
+        const fastingWarning = await getFastingWarning(req.user.uid, newEntry.consumed_at);
+
         res.status(201).json({
             success: true,
             message: 'Food entry created successfully',
-            data: newEntry
+            data: newEntry,
+            ...(fastingWarning && { fasting_warning: fastingWarning })
         });
     } catch (error) {
         res.status(500).json({
@@ -54,6 +91,344 @@ async function createFoodEntry(req, res) {
     }
 }
 
+const MAX_BULK_ENTRIES = 200;
+
+// Resolve and validate one bulk item without writing it; returns { row, errors }
+async function prepareBulkEntry(item, firebaseUid, userId) {
+    const errors = [];
+
+    if (!item || typeof item !== 'object') {
+        return { row: null, errors: [{ field: null, message: 'Entry must be an object' }] };
+    }
+
+    if (!item.food_id && !item.recipe_id) {
+        if (!item.food_name) {
+            errors.push({ field: 'food_name', message: 'food_name is required' });
+        }
+        if (item.calories_per_serving === undefined || item.calories_per_serving === null) {
+            errors.push({ field: 'calories_per_serving', message: 'calories_per_serving is required' });
+        }
+    }
+
+    if (item.meal_type && !MEAL_TYPES.includes(item.meal_type)) {
+        errors.push({ field: 'meal_type', message: `meal_type must be one of: ${MEAL_TYPES.join(', ')}` });
+    }
+
+    const consumedAt = item.consumed_at ? new Date(item.consumed_at) : new Date();
+    if (isNaN(consumedAt.getTime())) {
+        errors.push({ field: 'consumed_at', message: 'Invalid consumed_at date' });
+    }
+
+    if (errors.length > 0) {
+        return { row: null, errors };
+    }
+
+    const { nutrition, error } = await foodEntryService.buildEntryNutrition(item, userId);
+    if (error) {
+        return { row: null, errors: [{ field: item.recipe_id ? 'recipe_id' : 'food_id', message: error.message }] };
+    }
+
+    const row = {
+        user_id: firebaseUid,
+        ...nutrition,
+        meal_type: item.meal_type || 'snack',
+        consumed_at: consumedAt,
+        notes: item.notes
+    };
+
+    // Run the model validators now so every failing item is reported, not just the first
+    try {
+        await CalorieEntries.build(row).validate();
+    } catch (validationError) {
+        return {
+            row: null,
+            errors: (validationError.errors || [validationError]).map(e => ({
+                field: e.path || null,
+                message: e.message
+            }))
+        };
+    }
+
+    return { row, errors: [] };
+}
+
+// Create many food entries at once - all are written, or none are
+async function createBulkFoodEntries(req, res) {
+    try {
+        const { entries } = req.body;
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'entries must be a non-empty array'
+            });
+        }
+
+        if (entries.length > MAX_BULK_ENTRIES) {
+            return res.status(400).json({
+                success: false,
+                message: `A bulk request can contain at most ${MAX_BULK_ENTRIES} entries`
+            });
+        }
+
+        const needsUserId = entries.some(item => item && (item.food_id || item.recipe_id));
+        const userId = needsUserId ? await getUserId(req.user.uid) : null;
+
+        const rows = [];
+        const itemErrors = [];
+        for (let index = 0; index < entries.length; index++) {
+            const { row, errors } = await prepareBulkEntry(entries[index], req.user.uid, userId);
+            if (errors.length > 0) {
+                itemErrors.push({ index, errors });
+            } else {
+                rows.push(row);
+            }
+        }
+
+        if (itemErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${itemErrors.length} of ${entries.length} entries failed validation. Nothing was saved.`,
+                errors: itemErrors
+            });
+        }
+
+        const newEntries = await db.sequelize.transaction(async (transaction) => {
+            return CalorieEntries.bulkCreate(rows, { transaction, validate: true });
+        });
+
+        const fastingWarnings = await getFastingWarnings(req.user.uid, newEntries);
+
+        res.status(201).json({
+            success: true,
+            message: `${newEntries.length} food entries created successfully`,
+            data: {
+                entries: newEntries,
+                created_count: newEntries.length
+            },
+            ...(fastingWarnings.length > 0 && { fasting_warnings: fastingWarnings })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating food entries',
+            error: error.message
+        });
+    }
+}
+
+// Import food diary history from another tracker's CSV export
+async function importFoodEntries(req, res) {
+    try {
+        const { csv, format = 'auto', dry_run = false, skip_duplicates = true } = req.body;
+
+        if (!csv || typeof csv !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'csv is required (the export file contents as a string)'
+            });
+        }
+
+        const supportedFormats = diaryImportService.getSupportedFormats();
+        if (format !== 'auto' && !supportedFormats.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: auto, ${supportedFormats.join(', ')}`
+            });
+        }
+
+        let parsed;
+        try {
+            parsed = await diaryImportService.parseExport(csv, { format, entryUserId: req.user.uid });
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: parseError.message
+            });
+        }
+
+        const { fresh, duplicates } = await diaryImportService.findDuplicates(parsed.rows, req.user.uid);
+        const skipDuplicates = skip_duplicates === true || skip_duplicates === 'true';
+        const toImport = skipDuplicates ? fresh : parsed.rows;
+
+        const dryRun = dry_run === true || dry_run === 'true';
+        const importedCount = dryRun ? 0 : await diaryImportService.saveRows(toImport);
+
+        const fastingWarnings = dryRun ? [] : await getFastingWarnings(req.user.uid, toImport.map(row => row.entry));
+
+        const importDates = toImport.map(row => formatLocalDate(row.entry.consumed_at)).sort();
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${toImport.length} entries would be imported`
+                : `Imported ${importedCount} food entries`,
+            data: {
+                format: parsed.format,
+                dry_run: dryRun,
+                summary: {
+                    total_rows: parsed.total_rows,
+                    parsed_rows: parsed.rows.length,
+                    imported: importedCount,
+                    would_import: toImport.length,
+                    duplicates: duplicates.length,
+                    duplicates_skipped: skipDuplicates ? duplicates.length : 0,
+                    skipped_lines: parsed.skipped.length,
+                    first_date: importDates[0] || null,
+                    last_date: importDates[importDates.length - 1] || null,
+                    totals: calorieTrackingService.calculateEntryTotals(toImport.map(row => row.entry))
+                },
+                skipped: parsed.skipped,
+                duplicates: duplicates.map(row => ({
+                    line: row.line,
+                    food_name: row.entry.food_name,
+                    consumed_at: row.entry.consumed_at
+                })),
+                preview: dryRun ? toImport.slice(0, 50).map(row => ({ line: row.line, ...row.entry })) : undefined
+            },
+            ...(fastingWarnings.length > 0 && { fasting_warnings: fastingWarnings })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error importing food entries',
+            error: error.message
+        });
+    }
+}
+
+// Turn a sentence like "2 eggs and a slice of toast" into candidate entries (nothing is saved)
+async function parseFoodText(req, res) {
+    try {
+        const { text, meal_type, consumed_at } = req.body;
+
+        if (meal_type && !MEAL_TYPES.includes(meal_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `meal_type must be one of: ${MEAL_TYPES.join(', ')}`
+            });
+        }
+
+        const consumedAt = consumed_at ? new Date(consumed_at) : new Date();
+        if (isNaN(consumedAt.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid consumed_at date'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        const result = await foodTextParserService.parse(text, {
+            userId,
+            consumedAt,
+            mealType: meal_type
+        });
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const { error, ...data } = result;
+        res.status(200).json({
+            success: true,
+            message: `Recognized ${data.items.length} food${data.items.length === 1 ? '' : 's'}`
+                + (data.unmatched.length > 0 ? `, ${data.unmatched.length} not found in the catalog` : ''),
+            data: {
+                ...data,
+                totals: calorieTrackingService.calculateEntryTotals(data.items.map(item => item.entry))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error parsing food text',
+            error: error.message
+        });
+    }
+}
+
+// Read the shared recents/frequents query: days, limit, meal_type, time (HH:MM or "now")
+function parseHistoryQuery(query) {
+    const { meal_type, time } = query;
+    const days = query.days === undefined ? undefined : parseInt(query.days);
+    const limit = query.limit === undefined ? undefined : parseInt(query.limit);
+
+    if (days !== undefined && !(days >= 1 && days <= 365)) {
+        return { error: 'days must be between 1 and 365' };
+    }
+    if (limit !== undefined && !(limit >= 1 && limit <= 50)) {
+        return { error: 'limit must be between 1 and 50' };
+    }
+    if (meal_type && !MEAL_TYPES.includes(meal_type)) {
+        return { error: `meal_type must be one of: ${MEAL_TYPES.join(', ')}` };
+    }
+
+    let minuteOfDay;
+    if (time === 'now') {
+        const now = new Date();
+        minuteOfDay = now.getHours() * 60 + now.getMinutes();
+    } else if (time) {
+        const match = String(time).match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+        if (!match) {
+            return { error: 'time must be HH:MM (24-hour) or "now"' };
+        }
+        minuteOfDay = Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    return { options: { days, limit, meal_type, minute_of_day: minuteOfDay }, error: null };
+}
+
+// Foods the user logged most recently, for one-tap re-logging
+async function getRecentFoods(req, res) {
+    try {
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await foodHistoryService.getRecents(req.user.uid, options)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching recent foods',
+            error: error.message
+        });
+    }
+}
+
+// Foods the user logs most often, for one-tap re-logging
+async function getFrequentFoods(req, res) {
+    try {
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await foodHistoryService.getFrequents(req.user.uid, options)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching frequent foods',
+            error: error.message
+        });
+    }
+}
+
 // Get daily food entries for a user
 async function getDailyFoodEntries(req, res) {
     try {
@@ -67,53 +442,30 @@ async function getDailyFoodEntries(req, res) {
         const endOfDay = new Date(targetDate);
         endOfDay.setHours(23, 59, 59, 999);
 
-        const entries = await CalorieEntries.findAll({
-            where: {
-                user_id: req.user.uid,
-                consumed_at: {
-                    [Op.between]: [startOfDay, endOfDay]
-                }
-            },
-            order: [['consumed_at', 'ASC']]
-        });
+        const [entries, goals] = await Promise.all([
+            CalorieEntries.findAll({
+                where: {
+                    user_id: req.user.uid,
+                    consumed_at: {
+                        [Op.between]: [startOfDay, endOfDay]
+                    }
+                },
+                order: [['consumed_at', 'ASC']]
+            }),
+            calorieTrackingService.getUserGoals(req.user.uid)
+        ]);
 
         // Calculate daily totals
-        const dailyTotals = entries.reduce((totals, entry) => {
-            const totalCalories = entry.calories_per_serving * entry.servings_consumed;
-            const totalProtein = (entry.protein_g || 0) * entry.servings_consumed;
-            const totalCarbs = (entry.carbs_g || 0) * entry.servings_consumed;
-            const totalFat = (entry.fat_g || 0) * entry.servings_consumed;
-            const totalFiber = (entry.fiber_g || 0) * entry.servings_consumed;
-            const totalSugar = (entry.sugar_g || 0) * entry.servings_consumed;
-            const totalSodium = (entry.sodium_mg || 0) * entry.servings_consumed;
-
-            return {
-                total_calories: totals.total_calories + totalCalories,
-                total_protein: totals.total_protein + totalProtein,
-                total_carbs: totals.total_carbs + totalCarbs,
-                total_fat: totals.total_fat + totalFat,
-                total_fiber: totals.total_fiber + totalFiber,
-                total_sugar: totals.total_sugar + totalSugar,
-                total_sodium: totals.total_sodium + totalSodium,
-                entry_count: totals.entry_count + 1
-            };
-        }, {
-            total_calories: 0,
-            total_protein: 0,
-            total_carbs: 0,
-            total_fat: 0,
-            total_fiber: 0,
-            total_sugar: 0,
-            total_sodium: 0,
-            entry_count: 0
-        });
+        const dailyTotals = calorieTrackingService.calculateEntryTotals(entries);
 
         res.status(200).json({
             success: true,
             data: {
                 date: targetDate.toISOString().split('T')[0],
                 entries,
-                daily_totals: dailyTotals
+                daily_totals: dailyTotals,
+                meal_breakdown: calorieTrackingService.calculateMealBreakdown(entries, goals),
+                meal_timing: calorieTrackingService.calculateMealTiming(entries)
             }
         });
     } catch (error) {
@@ -125,11 +477,337 @@ async function getDailyFoodEntries(req, res) {
     }
 }
 
+// Get a day's vitamin and mineral intake against reference values for the user's age and gender
+async function getDailyMicronutrients(req, res) {
+    try {
+        const { date } = req.query; // Expected format: YYYY-MM-DD
+        const targetDate = date ? new Date(date) : new Date();
+
+        if (isNaN(targetDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        const startOfDay = new Date(targetDate);
+        startOfDay.setHours(0, 0, 0, 0);
+
+        const endOfDay = new Date(targetDate);
+        endOfDay.setHours(23, 59, 59, 999);
+
+        const [entries, user] = await Promise.all([
+            CalorieEntries.findAll({
+                where: {
+                    user_id: req.user.uid,
+                    consumed_at: {
+                        [Op.between]: [startOfDay, endOfDay]
+                    }
+                },
+                attributes: ['id', 'servings_consumed', 'sodium_mg', 'micronutrients']
+            }),
+            Users.findOne({
+                where: { firebase_uid: req.user.uid },
+                attributes: ['date_of_birth', 'gender']
+            })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                date: targetDate.toISOString().split('T')[0],
+                ...micronutrientService.buildDailyReport(entries, user, targetDate)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching micronutrient report',
+            error: error.message
+        });
+    }
+}
+
+// Fields carried over when an entry is copied to another day
+const COPYABLE_FIELDS = [
+    'food_id', 'recipe_id', 'food_name', 'brand', 'serving_size', 'calories_per_serving',
+    'quantity', 'unit', 'servings_consumed', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sugar_g',
+    'sodium_mg', 'micronutrients', 'meal_type', 'notes'
+];
+
+// Copy entries (optionally one meal) from one day to another
+async function copyFoodEntries(req, res) {
+    try {
+        const { source_date, target_date, meal_type, target_meal_type } = req.body;
+
+        if (!source_date) {
+            return res.status(400).json({
+                success: false,
+                message: 'source_date is required (format: YYYY-MM-DD)'
+            });
+        }
+
+        const sourceDate = new Date(source_date);
+        const targetDate = target_date ? new Date(target_date) : new Date();
+
+        if (isNaN(sourceDate.getTime()) || isNaN(targetDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        if ((meal_type && !MEAL_TYPES.includes(meal_type)) || (target_meal_type && !MEAL_TYPES.includes(target_meal_type))) {
+            return res.status(400).json({
+                success: false,
+                message: `meal_type must be one of: ${MEAL_TYPES.join(', ')}`
+            });
+        }
+
+        // Set start and end of the source day
+        const startOfDay = new Date(sourceDate);
+        startOfDay.setHours(0, 0, 0, 0);
+
+        const endOfDay = new Date(sourceDate);
+        endOfDay.setHours(23, 59, 59, 999);
+
+        const whereClause = {
+            user_id: req.user.uid,
+            consumed_at: {
+                [Op.between]: [startOfDay, endOfDay]
+            }
+        };
+        if (meal_type) {
+            whereClause.meal_type = meal_type;
+        }
+
+        const sourceEntries = await CalorieEntries.findAll({
+            where: whereClause,
+            order: [['consumed_at', 'ASC']]
+        });
+
+        if (sourceEntries.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `No ${meal_type ? meal_type + ' ' : ''}entries found on ${startOfDay.toISOString().split('T')[0]}`
+            });
+        }
+
+        const copies = sourceEntries.map(entry => {
+            const copy = { user_id: req.user.uid };
+            COPYABLE_FIELDS.forEach(field => {
+                copy[field] = entry[field];
+            });
+
+            // Keep the time of day, move the date
+            const consumedAt = new Date(entry.consumed_at);
+            consumedAt.setFullYear(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate());
+            copy.consumed_at = consumedAt;
+
+            if (target_meal_type) {
+                copy.meal_type = target_meal_type;
+            }
+            return copy;
+        });
+
+        const newEntries = await db.sequelize.transaction(async (transaction) => {
+            return CalorieEntries.bulkCreate(copies, { transaction, validate: true });
+        });
+
+        const fastingWarnings = await getFastingWarnings(req.user.uid, newEntries);
+
+        res.status(201).json({
+            success: true,
+            message: `Copied ${newEntries.length} food entries`,
+            data: {
+                source_date: startOfDay.toISOString().split('T')[0],
+                target_date: targetDate.toISOString().split('T')[0],
+                entries: newEntries,
+                copied_totals: calorieTrackingService.calculateEntryTotals(newEntries)
+            },
+            ...(fastingWarnings.length > 0 && { fasting_warnings: fastingWarnings })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error copying food entries',
+            error: error.message
+        });
+    }
+}
+
+// Sortable columns for the diary range query (prefix with - for descending)
+const SORTABLE_FIELDS = ['consumed_at', 'food_name', 'meal_type', 'calories_per_serving', 'createdAt'];
+const MAX_RANGE_DAYS = 366;
+
+// Local calendar date (YYYY-MM-DD), matching the setHours() day boundaries used for queries
+function formatLocalDate(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Get paginated food entries for a date range with per-day and range totals
+async function getFoodEntries(req, res) {
+    try {
+        const { from, to, meal_type, q, sort = '-consumed_at' } = req.query;
+
+        // A repeated parameter (?sort=a&sort=b) arrives as an array
+        if ((q !== undefined && typeof q !== 'string') || typeof sort !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'sort and q must be single values'
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        // Default range: the last 30 days including today
+        const toDate = to ? new Date(to) : new Date();
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        const startOfRange = new Date(fromDate);
+        startOfRange.setHours(0, 0, 0, 0);
+
+        const endOfRange = new Date(toDate);
+        endOfRange.setHours(23, 59, 59, 999);
+
+        if (startOfRange > endOfRange) {
+            return res.status(400).json({
+                success: false,
+                message: 'from must be on or before to'
+            });
+        }
+
+        if ((endOfRange - startOfRange) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+            });
+        }
+
+        if (meal_type && !MEAL_TYPES.includes(meal_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `meal_type must be one of: ${MEAL_TYPES.join(', ')}`
+            });
+        }
+
+        const sortField = sort.replace(/^-/, '');
+        if (!SORTABLE_FIELDS.includes(sortField)) {
+            return res.status(400).json({
+                success: false,
+                message: `sort must be one of: ${SORTABLE_FIELDS.join(', ')} (prefix with - for descending)`
+            });
+        }
+        const sortDirection = sort.startsWith('-') ? 'DESC' : 'ASC';
+
+        const whereClause = {
+            user_id: req.user.uid,
+            consumed_at: {
+                [Op.between]: [startOfRange, endOfRange]
+            }
+        };
+        if (meal_type) {
+            whereClause.meal_type = meal_type;
+        }
+        if (q) {
+            whereClause[Op.or] = [
+                { food_name: { [Op.like]: containsPattern(q) } },
+                { brand: { [Op.like]: containsPattern(q) } }
+            ];
+        }
+
+        // Page of entries plus every matching row's nutrition for the totals
+        const [{ count, rows }, allEntries] = await Promise.all([
+            CalorieEntries.findAndCountAll({
+                where: whereClause,
+                order: [[sortField, sortDirection], ['id', sortDirection]],
+                limit,
+                offset: (page - 1) * limit
+            }),
+            CalorieEntries.findAll({
+                where: whereClause,
+                attributes: [
+                    'consumed_at', 'calories_per_serving', 'servings_consumed',
+                    'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sugar_g', 'sodium_mg'
+                ],
+                order: [['consumed_at', 'ASC']]
+            })
+        ]);
+
+        // Group by local day and total each day the same way as the daily diary
+        const entriesByDay = allEntries.reduce((days, entry) => {
+            const day = formatLocalDate(entry.consumed_at);
+            if (!days[day]) {
+                days[day] = [];
+            }
+            days[day].push(entry);
+            return days;
+        }, {});
+
+        const dailyTotals = Object.keys(entriesByDay).map(day => ({
+            date: day,
+            ...calorieTrackingService.calculateEntryTotals(entriesByDay[day])
+        }));
+
+        const rangeTotals = calorieTrackingService.calculateEntryTotals(allEntries);
+        const daysLogged = dailyTotals.length;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: formatLocalDate(startOfRange),
+                to: formatLocalDate(endOfRange),
+                entries: rows,
+                pagination: {
+                    page,
+                    limit,
+                    total_entries: count,
+                    total_pages: Math.ceil(count / limit)
+                },
+                daily_totals: dailyTotals,
+                range_totals: {
+                    ...rangeTotals,
+                    days_logged: daysLogged,
+                    average_daily_calories: daysLogged > 0 ? Math.round(rangeTotals.total_calories / daysLogged) : 0
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching food entries',
+            error: error.message
+        });
+    }
+}
+
+// Fields a food entry can be edited in; food_id and recipe_id stay with the entry's source
+const UPDATABLE_FIELDS = [
+    'food_name', 'brand', 'serving_size', 'quantity', 'unit', 'calories_per_serving', 'servings_consumed',
+    'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sugar_g', 'sodium_mg', 'micronutrients', 'meal_type',
+    'consumed_at', 'notes'
+];
+
 // Update a food entry
 async function updateFoodEntry(req, res) {
     try {
         const { id } = req.params;
-        const updateData = req.body;
+
+        const updateData = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updateData[field] = req.body[field];
+            }
+        });
 
         const entry = await CalorieEntries.findOne({
             where: {
@@ -145,12 +823,49 @@ async function updateFoodEntry(req, res) {
             });
         }
 
-        await entry.update(updateData);
+        if (updateData.micronutrients !== undefined) {
+            const micronutrients = micronutrientService.normalize(updateData.micronutrients);
+            if (micronutrients.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid micronutrients',
+                    errors: micronutrients.errors
+                });
+            }
+            updateData.micronutrients = micronutrients.values;
+        }
+
+        // A new amount re-derives the nutrition: catalog and recipe entries from their source,
+        // free-form entries relative to their serving_size
+        if (updateData.quantity !== undefined || updateData.unit !== undefined) {
+            const userId = (entry.food_id || entry.recipe_id) ? await getUserId(req.user.uid) : null;
+            const { nutrition, error } = await foodEntryService.buildEntryNutrition({
+                ...entry.toJSON(),
+                quantity_g: undefined,
+                serving_label: undefined,
+                ...updateData,
+                food_id: entry.food_id,
+                recipe_id: entry.recipe_id
+            }, userId);
+
+            if (error) {
+                const { status, ...details } = error;
+                return res.status(status).json({
+                    success: false,
+                    ...details
+                });
+            }
+
+            Object.assign(updateData, nutrition);
+        }
+
+        const { changes } = await entryRevisionService.updateEntry('calorie_entry', entry, updateData);
 
         res.status(200).json({
             success: true,
             message: 'Food entry updated successfully',
-            data: entry
+            data: entry,
+            changed_fields: Object.keys(changes)
         });
     } catch (error) {
         res.status(500).json({
@@ -161,7 +876,7 @@ async function updateFoodEntry(req, res) {
     }
 }
 
-// Delete a food entry
+// Delete a food entry (soft delete, undone with the restore endpoint)
 async function deleteFoodEntry(req, res) {
     try {
         const { id } = req.params;
@@ -180,11 +895,16 @@ async function deleteFoodEntry(req, res) {
             });
         }
 
-        await entry.destroy();
+        await entryRevisionService.deleteEntry('calorie_entry', entry);
 
         res.status(200).json({
             success: true,
-            message: 'Food entry deleted successfully'
+            message: 'Food entry deleted successfully',
+            data: {
+                id: entry.id,
+                deletedAt: entry.deletedAt,
+                restorable_until: entryRevisionService.getRestorableUntil(entry.deletedAt)
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -195,9 +915,95 @@ async function deleteFoodEntry(req, res) {
     }
 }
 
+// Undo deleting a food entry
+async function restoreFoodEntry(req, res) {
+    try {
+        const entry = await CalorieEntries.findOne({
+            where: {
+                id: req.params.id,
+                user_id: req.user.uid
+            },
+            paranoid: false
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food entry not found'
+            });
+        }
+
+        if (!entry.deletedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Food entry is not deleted'
+            });
+        }
+
+        await entryRevisionService.restoreEntry('calorie_entry', entry);
+
+        res.status(200).json({
+            success: true,
+            message: 'Food entry restored successfully',
+            data: entry
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error restoring food entry',
+            error: error.message
+        });
+    }
+}
+
+// Get a food entry's change history (also for deleted entries)
+async function getFoodEntryHistory(req, res) {
+    try {
+        const entry = await CalorieEntries.findOne({
+            where: {
+                id: req.params.id,
+                user_id: req.user.uid
+            },
+            paranoid: false
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food entry not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entry,
+                is_deleted: Boolean(entry.deletedAt),
+                revisions: await entryRevisionService.getHistory('calorie_entry', entry.id)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching food entry history',
+            error: error.message
+        });
+    }
+}
+
 module.exports = {
     createFoodEntry,
+    createBulkFoodEntries,
+    importFoodEntries,
+    parseFoodText,
     getDailyFoodEntries,
+    getDailyMicronutrients,
+    getRecentFoods,
+    getFrequentFoods,
+    getFoodEntries,
+    copyFoodEntries,
     updateFoodEntry,
-    deleteFoodEntry
+    deleteFoodEntry,
+    restoreFoodEntry,
+    getFoodEntryHistory
 };
@@ -0,0 +1,153 @@
+const entryPhotoService = require('../services/entry-photo.service');
+const db = require('../../../models');
+const CalorieEntries = db.CalorieEntries;
+const UserExercises = db.UserExercises;
+const Users = db.Users;
+
+/**
+ * Entry Photos Controller
+ * Photo attachments for food entries and logged exercises
+ */
+
+/**
+ * Get integer user ID from Firebase UID (null if the profile doesn't exist yet)
+ */
+async function getUserId(firebaseUid) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+    return user ? user.id : null;
+}
+
+/**
+ * Find the entry a photo request is about, scoped to the signed-in user
+ * Food entries store the Firebase UID, logged exercises the integer user ID.
+ * @returns {Promise<Object|null>} { entry, userId } or null when not found
+ */
+async function findOwnedEntry(attachableType, req) {
+    const userId = await getUserId(req.user.uid);
+    if (!userId) {
+        return null;
+    }
+
+    const entry = attachableType === 'calorie_entry'
+        ? await CalorieEntries.findOne({ where: { id: req.params.id, user_id: req.user.uid } })
+        : await UserExercises.findOne({ where: { id: req.params.id, user_id: userId } });
+
+    return entry ? { entry, userId } : null;
+}
+
+const ENTRY_LABELS = {
+    calorie_entry: 'Food entry',
+    user_exercise: 'Exercise entry'
+};
+
+/**
+ * Build upload / list / delete handlers for one kind of entry
+ */
+function photoHandlers(attachableType) {
+    const label = ENTRY_LABELS[attachableType];
+
+    async function uploadPhoto(req, res) {
+        try {
+            const owned = await findOwnedEntry(attachableType, req);
+            if (!owned) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${label} not found`
+                });
+            }
+
+            const { photo, error } = await entryPhotoService.attachPhoto(
+                owned.userId,
+                attachableType,
+                owned.entry.id,
+                req.file.buffer
+            );
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Photo uploaded successfully',
+                data: photo
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error uploading photo',
+                error: error.message
+            });
+        }
+    }
+
+    async function getPhotos(req, res) {
+        try {
+            const owned = await findOwnedEntry(attachableType, req);
+            if (!owned) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${label} not found`
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: await entryPhotoService.listPhotos(attachableType, owned.entry.id)
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching photos',
+                error: error.message
+            });
+        }
+    }
+
+    async function deletePhoto(req, res) {
+        try {
+            const owned = await findOwnedEntry(attachableType, req);
+            const deleted = owned
+                ? await entryPhotoService.deletePhoto(attachableType, owned.entry.id, req.params.photoId)
+                : false;
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Photo not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Photo deleted successfully'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting photo',
+                error: error.message
+            });
+        }
+    }
+
+    return { uploadPhoto, getPhotos, deletePhoto };
+}
+
+const foodEntryPhotos = photoHandlers('calorie_entry');
+const exercisePhotos = photoHandlers('user_exercise');
+
+module.exports = {
+    uploadFoodEntryPhoto: foodEntryPhotos.uploadPhoto,
+    getFoodEntryPhotos: foodEntryPhotos.getPhotos,
+    deleteFoodEntryPhoto: foodEntryPhotos.deletePhoto,
+    uploadExercisePhoto: exercisePhotos.uploadPhoto,
+    getExercisePhotos: exercisePhotos.getPhotos,
+    deleteExercisePhoto: exercisePhotos.deletePhoto
+};
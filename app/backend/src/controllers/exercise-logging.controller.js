@@ -1,8 +1,22 @@
 const db = require('../../../models');
 const UserExercises = db.UserExercises;
 const Exercises = db.Exercises;
+const UserExerciseSets = db.UserExerciseSets;
 const Users = db.Users;
 const { Op } = require('sequelize');
+const entryRevisionService = require('../services/entry-revision.service');
+const exerciseCalorieService = require('../services/exercise-calorie.service');
+const exerciseSetService = require('../services/exercise-set.service');
+const personalRecordService = require('../services/personal-record.service');
+const workoutService = require('../services/workout.service');
+
+// Per-set details of a logged exercise, in the order they were performed
+const SET_DETAILS_INCLUDE = {
+    model: UserExerciseSets,
+    as: 'set_details',
+    attributes: ['id', 'set_number', 'reps', 'weight_kg', 'rpe', 'rir', 'is_warmup', 'rest_seconds']
+};
+const SET_DETAILS_ORDER = [{ model: UserExerciseSets, as: 'set_details' }, 'set_number', 'ASC'];
 
 /**
  * Smart hybrid exercise logging with intelligent manual input suggestions
@@ -19,13 +33,36 @@ async function logExercise(req, res) {
             calories_burned, // Optional: manual override
             performed_at,
             notes,
-            rating
+            rating,
+            intensity, // Optional: light | moderate | vigorous
+            workout_id // Optional: workout session the exercise belongs to
         } = req.body;
 
-        // Get user's integer ID from Firebase UID first
+        if (intensity && !exerciseCalorieService.getIntensityLevels().includes(intensity)) {
+            return res.status(400).json({
+                success: false,
+                message: `intensity must be one of: ${exerciseCalorieService.getIntensityLevels().join(', ')}`
+            });
+        }
+
+        // sets is either a set count or the individual sets (pyramids, drop sets)
+        let setRows = null;
+        if (Array.isArray(sets)) {
+            const prepared = exerciseSetService.prepareSets(sets);
+            if (prepared.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid sets',
+                    errors: prepared.errors
+                });
+            }
+            setRows = prepared.rows;
+        }
+
+        // Get user's integer ID (and weight for the MET calculation) from Firebase UID first
         const user = await Users.findOne({
             where: { firebase_uid: req.user.uid },
-            attributes: ['id']
+            attributes: ['id', 'weight_kg']
         });
 
         if (!user) {
@@ -44,6 +81,24 @@ async function logExercise(req, res) {
             });
         }
 
+        if (workout_id) {
+            const workout = await workoutService.getWorkoutForUser(workout_id, user.id);
+            if (!workout) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Workout not found'
+                });
+            }
+
+            const { status, error } = workoutService.checkCanLogExercise(workout, performed_at || new Date());
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+
         // Check user's manual input history for smart suggestions
         const userStats = await getUserExerciseStats(user.id);
         
@@ -51,13 +106,17 @@ async function logExercise(req, res) {
         let finalCaloriesBurned = calories_burned;
         let calculationMethod = 'automatic';
         let smartSuggestion = null;
+        const estimate = exerciseCalorieService.estimateCalories(exercise, duration_minutes, {
+            weightKg: user.weight_kg,
+            intensity
+        });
         
-        if (!calories_burned && duration_minutes && exercise.calories_per_minute) {
-            // Auto-calculate: calories_per_minute × duration
-            finalCaloriesBurned = Math.round(exercise.calories_per_minute * duration_minutes);
+        if (!calories_burned && estimate.calories !== null) {
+            // Auto-calculate: MET × body weight × time, or calories_per_minute × duration without a weight
+            finalCaloriesBurned = estimate.calories;
             
             // Smart suggestion logic
-            smartSuggestion = generateSmartSuggestion(userStats, exercise, duration_minutes, finalCaloriesBurned);
+            smartSuggestion = generateSmartSuggestion(userStats, exercise, duration_minutes, finalCaloriesBurned, estimate.method);
         } else if (calories_burned) {
             finalCaloriesBurned = calories_burned;
             calculationMethod = 'manual';
@@ -65,27 +124,51 @@ async function logExercise(req, res) {
 
 
 
-        const newExerciseLog = await UserExercises.create({
-            user_id: user.id,
-            exercise_id,
-            duration_minutes,
-            sets,
-            reps,
-            weight_kg,
-            distance_km,
-            calories_burned: finalCaloriesBurned || 0,
-            performed_at: performed_at || new Date(),
-            notes,
-            rating
+        const newExerciseLog = await db.sequelize.transaction(async (transaction) => {
+            const created = await UserExercises.create({
+                user_id: user.id,
+                exercise_id,
+                workout_id: workout_id || null,
+                duration_minutes,
+                sets,
+                reps,
+                weight_kg,
+                distance_km,
+                calories_burned: finalCaloriesBurned || 0,
+                calories_source: calculationMethod,
+                intensity,
+                performed_at: performed_at || new Date(),
+                notes,
+                rating,
+                // With per-set details the row keeps the working set count and top set
+                ...(setRows ? exerciseSetService.getSummaryFields(setRows) : {})
+            }, { transaction });
+
+            if (setRows) {
+                await exerciseSetService.createSets(created.id, setRows, transaction);
+            }
+
+            return created;
         });
 
+        await workoutService.refreshTotals(newExerciseLog.workout_id);
+
+        // A failed record check shouldn't fail the log itself
+        let newRecords = [];
+        try {
+            newRecords = await personalRecordService.detectRecords(user.id, newExerciseLog, setRows);
+        } catch (error) {
+            console.warn('Error detecting personal records:', error.message);
+        }
+
         // Return with exercise details and smart suggestions
         const exerciseWithDetails = await UserExercises.findByPk(newExerciseLog.id, {
             include: [{
                 model: Exercises,
                 as: 'exercise',
-                attributes: ['name', 'category', 'calories_per_minute']
-            }]
+                attributes: ['name', 'category', 'calories_per_minute', 'met_value']
+            }, SET_DETAILS_INCLUDE],
+            order: [SET_DETAILS_ORDER]
         });
 
         res.status(201).json({
@@ -94,6 +177,9 @@ async function logExercise(req, res) {
             data: {
                 ...exerciseWithDetails.toJSON(),
                 calculation_method: calculationMethod,
+                calculation: calculationMethod === 'automatic' ? estimate.calculation : null,
+                set_summary: setRows ? exerciseSetService.calculateSummary(setRows) : null,
+                new_records: newRecords,
                 preset_calories_per_min: exercise.calories_per_minute,
                 smart_suggestion: smartSuggestion,
                 user_stats: {
@@ -112,6 +198,48 @@ async function logExercise(req, res) {
     }
 }
 
+/**
+ * Calories from the exercise preset: calories_per_minute × duration
+ * @returns {number|null} Null when the exercise has no preset rate or there is no duration
+ */
+function calculatePresetCalories(exercise, durationMinutes) {
+    if (!exercise || !exercise.calories_per_minute || !durationMinutes) {
+        return null;
+    }
+    return Math.round(exercise.calories_per_minute * durationMinutes);
+}
+
+/**
+ * Whether a log's calories were entered by hand
+ * Older entries have no calories_source and were calculated from the preset;
+ * like getUserExerciseStats, treat more than 5% away from it as manual.
+ */
+function hasManualCalories(exerciseLog, exercise) {
+    if (exerciseLog.calories_source) {
+        return exerciseLog.calories_source === 'manual';
+    }
+
+    const expected = calculatePresetCalories(exercise, exerciseLog.duration_minutes);
+    if (!expected) {
+        return Boolean(exerciseLog.calories_burned);
+    }
+    return Math.abs(exerciseLog.calories_burned - expected) / expected > 0.05;
+}
+
+/**
+ * Rebuild personal records after a log was edited, deleted or restored
+ * Like detectRecords on create, a failure here shouldn't fail the request.
+ */
+async function refreshPersonalRecords(userId, exerciseIds) {
+    try {
+        for (const exerciseId of new Set(exerciseIds)) {
+            await personalRecordService.recalculateRecords(userId, exerciseId);
+        }
+    } catch (error) {
+        console.warn('Error recalculating personal records:', error.message);
+    }
+}
+
 /**
  * Analyze user's exercise logging patterns
  */
@@ -156,10 +284,14 @@ async function getUserExerciseStats(userId) {
                 const actualCalories = log.calories_burned;
                 
                 // If calories differ significantly from preset, likely manual input
+                // (entries that record their calories_source don't need the guess)
                 const difference = Math.abs(actualCalories - expectedCalories);
                 const percentDiff = (difference / expectedCalories) * 100;
+                const isManual = log.calories_source
+                    ? log.calories_source === 'manual'
+                    : percentDiff > 5; // More than 5% difference suggests manual input
                 
-                if (percentDiff > 5) { // More than 5% difference suggests manual input
+                if (isManual) {
                     manualInputs++;
                     totalCalorieDiff += difference;
                 }
@@ -190,7 +322,7 @@ async function getUserExerciseStats(userId) {
 /**
  * Generate smart suggestions for manual input
  */
-function generateSmartSuggestion(userStats, exercise, duration, calculatedCalories) {
+function generateSmartSuggestion(userStats, exercise, duration, calculatedCalories, estimateMethod) {
     const suggestions = [];
     
     // Suggest manual input for likely fitness tracker users
@@ -227,7 +359,9 @@ function generateSmartSuggestion(userStats, exercise, duration, calculatedCalori
     if (userStats.total_workouts < 5) {
         suggestions.push({
             type: 'new_user_education',
-            message: `Estimated ${calculatedCalories} calories based on average rates. You can always enter custom amounts!`,
+            message: estimateMethod === 'met'
+                ? `Estimated ${calculatedCalories} calories based on your body weight. You can always enter custom amounts!`
+                : `Estimated ${calculatedCalories} calories based on average rates. Add your weight to your profile for a personal estimate!`,
             confidence: 'info',
             suggested_action: 'preset_ok'
         });
@@ -274,8 +408,8 @@ async function getDailyExercises(req, res) {
                 model: Exercises,
                 as: 'exercise',
                 attributes: ['name', 'category', 'calories_per_minute']
-            }],
-            order: [['performed_at', 'ASC']]
+            }, SET_DETAILS_INCLUDE],
+            order: [['performed_at', 'ASC'], SET_DETAILS_ORDER]
         });
 
         // Calculate daily totals
@@ -309,6 +443,260 @@ async function getDailyExercises(req, res) {
     }
 }
 
+// Sortable columns for the exercise range query (prefix with - for descending)
+const SORTABLE_FIELDS = ['performed_at', 'duration_minutes', 'calories_burned', 'createdAt'];
+const EXERCISE_CATEGORIES = ['cardio', 'strength', 'flexibility', 'sports', 'functional'];
+const MAX_RANGE_DAYS = 366;
+
+// Local calendar date (YYYY-MM-DD), matching the setHours() day boundaries used for queries
+function formatLocalDate(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Totals for a set of logged exercises
+ */
+function calculateExerciseTotals(exerciseLogs) {
+    const totals = exerciseLogs.reduce((sum, log) => {
+        sum.total_calories_burned += log.calories_burned || 0;
+        sum.total_duration_minutes += log.duration_minutes || 0;
+        sum.total_distance_km += Number(log.distance_km) || 0;
+        sum.total_volume_kg += exerciseSetService.calculateLogVolume(log);
+        sum.total_exercises++;
+        return sum;
+    }, {
+        total_calories_burned: 0,
+        total_duration_minutes: 0,
+        total_volume_kg: 0,
+        total_distance_km: 0,
+        total_exercises: 0
+    });
+
+    totals.total_volume_kg = Math.round(totals.total_volume_kg * 10) / 10;
+    totals.total_distance_km = Math.round(totals.total_distance_km * 100) / 100;
+    return totals;
+}
+
+/**
+ * Get paginated logged exercises for a date range with per-day and range totals
+ */
+async function getExercises(req, res) {
+    try {
+        const { from, to, exercise_id, category, sort = '-performed_at' } = req.query;
+
+        // A repeated parameter (?sort=a&sort=b) arrives as an array
+        if (typeof sort !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'sort must be a single value'
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        // Default range: the last 30 days including today
+        const toDate = to ? new Date(to) : new Date();
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        const startOfRange = new Date(fromDate);
+        startOfRange.setHours(0, 0, 0, 0);
+
+        const endOfRange = new Date(toDate);
+        endOfRange.setHours(23, 59, 59, 999);
+
+        if (startOfRange > endOfRange) {
+            return res.status(400).json({
+                success: false,
+                message: 'from must be on or before to'
+            });
+        }
+
+        if ((endOfRange - startOfRange) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+            });
+        }
+
+        if (category && !EXERCISE_CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                success: false,
+                message: `category must be one of: ${EXERCISE_CATEGORIES.join(', ')}`
+            });
+        }
+
+        if (exercise_id !== undefined && !(parseInt(exercise_id) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'exercise_id must be a positive integer'
+            });
+        }
+
+        const sortField = sort.replace(/^-/, '');
+        if (!SORTABLE_FIELDS.includes(sortField)) {
+            return res.status(400).json({
+                success: false,
+                message: `sort must be one of: ${SORTABLE_FIELDS.join(', ')} (prefix with - for descending)`
+            });
+        }
+        const sortDirection = sort.startsWith('-') ? 'DESC' : 'ASC';
+
+        const user = await Users.findOne({
+            where: { firebase_uid: req.user.uid },
+            attributes: ['id']
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const whereClause = {
+            user_id: user.id,
+            performed_at: {
+                [Op.between]: [startOfRange, endOfRange]
+            }
+        };
+        if (exercise_id !== undefined) {
+            whereClause.exercise_id = parseInt(exercise_id);
+        }
+
+        // Filtering by category needs the exercise join on both queries
+        const exerciseInclude = {
+            model: Exercises,
+            as: 'exercise',
+            attributes: ['name', 'category', 'calories_per_minute'],
+            ...(category ? { where: { category }, required: true } : {})
+        };
+
+        // Page of entries plus every matching row's numbers for the totals
+        const [{ count, rows }, allExercises] = await Promise.all([
+            UserExercises.findAndCountAll({
+                where: whereClause,
+                include: [exerciseInclude, SET_DETAILS_INCLUDE],
+                order: [[sortField, sortDirection], ['id', sortDirection], SET_DETAILS_ORDER],
+                limit,
+                offset: (page - 1) * limit,
+                distinct: true
+            }),
+            UserExercises.findAll({
+                where: whereClause,
+                include: [
+                    { ...exerciseInclude, attributes: [] },
+                    { ...SET_DETAILS_INCLUDE, attributes: ['id', 'reps', 'weight_kg', 'is_warmup'] }
+                ],
+                attributes: [
+                    'id', 'performed_at', 'duration_minutes', 'sets', 'reps', 'weight_kg', 'distance_km', 'calories_burned'
+                ],
+                order: [['performed_at', 'ASC']]
+            })
+        ]);
+
+        // Group by local day so a progress chart can be drawn from one request
+        const exercisesByDay = allExercises.reduce((days, log) => {
+            const day = formatLocalDate(log.performed_at);
+            if (!days[day]) {
+                days[day] = [];
+            }
+            days[day].push(log);
+            return days;
+        }, {});
+
+        const dailyTotals = Object.keys(exercisesByDay).map(day => ({
+            date: day,
+            ...calculateExerciseTotals(exercisesByDay[day])
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: formatLocalDate(startOfRange),
+                to: formatLocalDate(endOfRange),
+                exercises: rows,
+                pagination: {
+                    page,
+                    limit,
+                    total_entries: count,
+                    total_pages: Math.ceil(count / limit)
+                },
+                daily_totals: dailyTotals,
+                range_totals: {
+                    ...calculateExerciseTotals(allExercises),
+                    days_active: dailyTotals.length
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching exercises',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get the user's personal records, grouped by exercise
+ */
+async function getPersonalRecords(req, res) {
+    try {
+        const { exercise_id, record_type } = req.query;
+
+        if (exercise_id !== undefined && !(parseInt(exercise_id) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'exercise_id must be a positive integer'
+            });
+        }
+
+        if (record_type && !personalRecordService.getRecordTypes().includes(record_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `record_type must be one of: ${personalRecordService.getRecordTypes().join(', ')}`
+            });
+        }
+
+        const user = await Users.findOne({
+            where: { firebase_uid: req.user.uid },
+            attributes: ['id']
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const records = await personalRecordService.getRecords(user.id, {
+            exerciseId: exercise_id !== undefined ? parseInt(exercise_id) : null,
+            recordType: record_type
+        });
+
+        res.status(200).json({
+            success: true,
+            data: records
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching personal records',
+            error: error.message
+        });
+    }
+}
+
 /**
  * Get all available exercises with preset calorie rates
  */
@@ -330,7 +718,7 @@ async function getAvailableExercises(req, res) {
             where: whereClause,
             attributes: [
                 'id', 'name', 'category', 'difficulty_level', 
-                'calories_per_minute', 'equipment_needed', 
+                'calories_per_minute', 'met_value', 'intensity_met_values', 'equipment_needed', 
                 'description', 'instructions'
             ],
             order: [['category', 'ASC'], ['name', 'ASC']]
@@ -363,8 +751,311 @@ async function getAvailableExercises(req, res) {
     }
 }
 
+/**
+ * Find a logged exercise owned by the user
+ * @param {boolean} includeDeleted - Also find soft-deleted entries
+ */
+async function findOwnedExerciseLog(firebaseUid, id, includeDeleted = false) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+
+    return user ? UserExercises.findOne({
+        where: {
+            id,
+            user_id: user.id
+        },
+        include: [{
+            model: Exercises,
+            as: 'exercise',
+            attributes: ['name', 'category', 'calories_per_minute', 'met_value', 'intensity_met_values']
+        }, SET_DETAILS_INCLUDE],
+        order: [SET_DETAILS_ORDER],
+        paranoid: !includeDeleted
+    }) : null;
+}
+
+/**
+ * Get one logged exercise
+ */
+async function getExerciseLog(req, res) {
+    try {
+        const exerciseLog = await findOwnedExerciseLog(req.user.uid, req.params.id);
+
+        if (!exerciseLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exercise entry not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...exerciseLog.toJSON(),
+                calculation_method: hasManualCalories(exerciseLog, exerciseLog.exercise) ? 'manual' : 'automatic',
+                set_summary: exerciseLog.set_details.length > 0 ? exerciseSetService.calculateSummary(exerciseLog.set_details) : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching exercise entry',
+            error: error.message
+        });
+    }
+}
+
+// Fields a logged exercise can be edited in
+const UPDATABLE_FIELDS = [
+    'exercise_id', 'duration_minutes', 'sets', 'reps', 'weight_kg', 'distance_km',
+    'calories_burned', 'intensity', 'performed_at', 'notes', 'rating'
+];
+
+/**
+ * Update a logged exercise
+ * Automatically calculated calories follow changes to duration_minutes,
+ * exercise_id or intensity; calories the user entered are kept. Sending
+ * calories_burned sets them manually, sending null switches back to the
+ * automatic calculation.
+ */
+async function updateExercise(req, res) {
+    try {
+        const exerciseLog = await findOwnedExerciseLog(req.user.uid, req.params.id);
+
+        if (!exerciseLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exercise entry not found'
+            });
+        }
+
+        const updateData = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updateData[field] = req.body[field];
+            }
+        });
+
+        if (Array.isArray(updateData.sets)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Per-set details can only be sent when logging an exercise; sets must be a number here'
+            });
+        }
+
+        if (updateData.intensity && !exerciseCalorieService.getIntensityLevels().includes(updateData.intensity)) {
+            return res.status(400).json({
+                success: false,
+                message: `intensity must be one of: ${exerciseCalorieService.getIntensityLevels().join(', ')}`
+            });
+        }
+
+        // Moving an exercise of a finished workout outside its start/end would change the stored total
+        if (updateData.performed_at !== undefined && exerciseLog.workout_id) {
+            const workout = await workoutService.getWorkoutForUser(exerciseLog.workout_id, exerciseLog.user_id);
+            const { status, error } = workout
+                ? workoutService.checkCanLogExercise(workout, updateData.performed_at)
+                : { status: 200, error: null };
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    message: error
+                });
+            }
+        }
+
+        let exercise = exerciseLog.exercise;
+        if (updateData.exercise_id !== undefined && Number(updateData.exercise_id) !== exerciseLog.exercise_id) {
+            exercise = await Exercises.findByPk(updateData.exercise_id);
+            if (!exercise) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Exercise not found'
+                });
+            }
+        }
+
+        const previousExerciseId = exerciseLog.exercise_id;
+        const wasManual = hasManualCalories(exerciseLog, exerciseLog.exercise);
+        const caloriesGiven = updateData.calories_burned !== undefined
+            && updateData.calories_burned !== null
+            && updateData.calories_burned !== '';
+        const clearsCalories = updateData.calories_burned !== undefined && !caloriesGiven;
+        const calculationInputsChanged = ['duration_minutes', 'exercise_id', 'intensity']
+            .some(field => updateData[field] !== undefined);
+
+        let calculationMethod = wasManual ? 'manual' : 'automatic';
+        let calculation = null;
+        if (caloriesGiven) {
+            calculationMethod = 'manual';
+        } else if (clearsCalories || (!wasManual && calculationInputsChanged)) {
+            // Same calculation as logExercise, with the user's current weight
+            const user = await Users.findOne({
+                where: { firebase_uid: req.user.uid },
+                attributes: ['weight_kg']
+            });
+            const duration = updateData.duration_minutes !== undefined ? updateData.duration_minutes : exerciseLog.duration_minutes;
+            const estimate = exerciseCalorieService.estimateCalories(exercise, duration, {
+                weightKg: user && user.weight_kg,
+                intensity: updateData.intensity !== undefined ? updateData.intensity : exerciseLog.intensity
+            });
+            updateData.calories_burned = estimate.calories || 0;
+            calculationMethod = 'automatic';
+            calculation = estimate.calculation;
+        }
+        updateData.calories_source = calculationMethod;
+
+        const { changes } = await entryRevisionService.updateEntry('user_exercise', exerciseLog, updateData);
+        await exerciseLog.reload();
+        await workoutService.refreshTotals(exerciseLog.workout_id);
+        if (Object.keys(changes).length > 0) {
+            await refreshPersonalRecords(exerciseLog.user_id, [previousExerciseId, exerciseLog.exercise_id]);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Exercise entry updated successfully',
+            data: {
+                ...exerciseLog.toJSON(),
+                calculation_method: calculationMethod,
+                calculation
+            },
+            changed_fields: Object.keys(changes)
+        });
+    } catch (error) {
+        if (error.name === 'SequelizeValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid exercise entry values',
+                errors: error.errors.map(e => ({ field: e.path, message: e.message }))
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating exercise entry',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Delete a logged exercise (soft delete, undone with the restore endpoint)
+ */
+async function deleteExercise(req, res) {
+    try {
+        const exerciseLog = await findOwnedExerciseLog(req.user.uid, req.params.id);
+
+        if (!exerciseLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exercise entry not found'
+            });
+        }
+
+        await entryRevisionService.deleteEntry('user_exercise', exerciseLog);
+        await workoutService.refreshTotals(exerciseLog.workout_id);
+        await refreshPersonalRecords(exerciseLog.user_id, [exerciseLog.exercise_id]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Exercise entry deleted successfully',
+            data: {
+                id: exerciseLog.id,
+                deletedAt: exerciseLog.deletedAt,
+                restorable_until: entryRevisionService.getRestorableUntil(exerciseLog.deletedAt)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting exercise entry',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Undo deleting a logged exercise
+ */
+async function restoreExercise(req, res) {
+    try {
+        const exerciseLog = await findOwnedExerciseLog(req.user.uid, req.params.id, true);
+
+        if (!exerciseLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exercise entry not found'
+            });
+        }
+
+        if (!exerciseLog.deletedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Exercise entry is not deleted'
+            });
+        }
+
+        await entryRevisionService.restoreEntry('user_exercise', exerciseLog);
+        await workoutService.refreshTotals(exerciseLog.workout_id);
+        await refreshPersonalRecords(exerciseLog.user_id, [exerciseLog.exercise_id]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Exercise entry restored successfully',
+            data: exerciseLog
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error restoring exercise entry',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get a logged exercise's change history (also for deleted entries)
+ */
+async function getExerciseHistory(req, res) {
+    try {
+        const exerciseLog = await findOwnedExerciseLog(req.user.uid, req.params.id, true);
+
+        if (!exerciseLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exercise entry not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entry: exerciseLog,
+                is_deleted: Boolean(exerciseLog.deletedAt),
+                revisions: await entryRevisionService.getHistory('user_exercise', exerciseLog.id)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching exercise entry history',
+            error: error.message
+        });
+    }
+}
+
 module.exports = {
     logExercise,
     getDailyExercises,
-    getAvailableExercises
+    getExercises,
+    getAvailableExercises,
+    getPersonalRecords,
+    getExerciseLog,
+    updateExercise,
+    deleteExercise,
+    restoreExercise,
+    getExerciseHistory
 };
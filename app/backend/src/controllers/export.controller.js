@@ -0,0 +1,184 @@
+const dataExportService = require('../services/data-export.service');
+const { formatCsvRow } = require('../utils/csv');
+const db = require('../../../models');
+const Users = db.Users;
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Local calendar date (YYYY-MM-DD), matching the setHours() day boundaries used for queries
+function formatLocalDate(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Data Export Controller
+ */
+
+/**
+ * Write a chunk and wait for the socket to drain when its buffer is full
+ * Throws once the client has disconnected, so the export stops reading rows.
+ */
+async function writeChunk(res, chunk) {
+    if (res.destroyed) {
+        throw new Error('Client disconnected');
+    }
+
+    if (!res.write(chunk)) {
+        // 'drain' never fires after a disconnect, so stop waiting on 'close' too
+        await new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+
+        if (res.destroyed) {
+            throw new Error('Client disconnected');
+        }
+    }
+}
+
+/**
+ * Stream one dataset as CSV rows
+ */
+async function streamCsv(res, dataset, rows) {
+    // BOM so Excel opens the file as UTF-8
+    await writeChunk(res, '\uFEFF' + formatCsvRow(dataExportService.getColumns(dataset)));
+
+    for await (const row of rows) {
+        await writeChunk(res, formatCsvRow(dataExportService.toValues(dataset, row)));
+    }
+}
+
+/**
+ * Stream one dataset as the members of a JSON array
+ */
+async function streamJsonArray(res, dataset, rows) {
+    let first = true;
+    for await (const row of rows) {
+        await writeChunk(res, (first ? '' : ',') + JSON.stringify(dataExportService.toRecord(dataset, row)));
+        first = false;
+    }
+}
+
+/**
+ * Export the food diary and/or workout log for a date range
+ */
+async function exportData(req, res) {
+    try {
+        const { from, to, format = 'csv' } = req.query;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        // A CSV file holds one table, JSON can carry both
+        const type = req.query.type || (format === 'csv' ? 'food' : 'all');
+        const datasets = type === 'all' ? dataExportService.getDatasets() : [type];
+
+        if (!datasets.every(dataset => dataExportService.getDatasets().includes(dataset))) {
+            return res.status(400).json({
+                success: false,
+                message: `type must be one of: ${dataExportService.getDatasets().join(', ')}, all`
+            });
+        }
+
+        if (format === 'csv' && datasets.length > 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'CSV exports contain one table, use type=food or type=exercises (or format=json for both)'
+            });
+        }
+
+        // Omitting from exports the whole history (full backups)
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : null;
+
+        if (isNaN(end.getTime()) || (start && isNaN(start.getTime()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        end.setHours(23, 59, 59, 999);
+        if (start) {
+            start.setHours(0, 0, 0, 0);
+            if (start > end) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from must be on or before to'
+                });
+            }
+        }
+
+        // Exercises are keyed by the integer user ID, food entries by Firebase UID
+        let userId = null;
+        if (datasets.includes('exercises')) {
+            const user = await Users.findOne({
+                where: { firebase_uid: req.user.uid },
+                attributes: ['id']
+            });
+            userId = user ? user.id : null;
+        }
+
+        const range = { start, end };
+        const rowsFor = dataset => {
+            if (dataset === 'food') {
+                return dataExportService.iterateFoodEntries(req.user.uid, range);
+            }
+            return userId ? dataExportService.iterateExercises(userId, range) : [];
+        };
+
+        const fileRange = {
+            from: start ? formatLocalDate(start) : null,
+            to: formatLocalDate(end)
+        };
+        const fileName = dataExportService.getFileName(type, fileRange, format);
+
+        res.status(200);
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        if (format === 'csv') {
+            await streamCsv(res, datasets[0], rowsFor(datasets[0]));
+        } else {
+            await writeChunk(res, `{"success":true,"data":{"from":${JSON.stringify(fileRange.from)},"to":${JSON.stringify(fileRange.to)}`);
+            for (const dataset of datasets) {
+                await writeChunk(res, `,"${dataset === 'food' ? 'food_entries' : 'exercises'}":[`);
+                await streamJsonArray(res, dataset, rowsFor(dataset));
+                await writeChunk(res, ']');
+            }
+            await writeChunk(res, '}}');
+        }
+
+        res.end();
+    } catch (error) {
+        // Nobody left to tell
+        if (res.destroyed) {
+            return;
+        }
+
+        // Once streaming has started the status is sent; cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting data',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    exportData
+};
@@ -0,0 +1,320 @@
+const fastingService = require('../services/fasting.service');
+const db = require('../../../models');
+const FastingSessions = db.FastingSessions;
+const Users = db.Users;
+
+const MAX_HISTORY_DAYS = 366;
+
+// Local calendar date (YYYY-MM-DD), matching the setHours() day boundaries used for queries
+function formatLocalDate(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Fasting Controller
+ */
+
+/**
+ * Get the user's profile (null if it doesn't exist yet)
+ */
+async function getUser(firebaseUid) {
+    return Users.findOne({ where: { firebase_uid: firebaseUid } });
+}
+
+/**
+ * Parse an optional date field; undefined when absent, null when invalid
+ */
+function parseOptionalDate(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function userNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'User not found. Please complete profile setup first.'
+    });
+}
+
+/**
+ * Start a fast
+ */
+async function startFast(req, res) {
+    try {
+        const startedAt = parseOptionalDate(req.body.started_at);
+        if (startedAt === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid started_at date'
+            });
+        }
+
+        const user = await getUser(req.user.uid);
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const { fast, status, error } = await fastingService.startFast(user, {
+            protocol: req.body.protocol,
+            target_hours: req.body.target_hours,
+            started_at: startedAt,
+            notes: req.body.notes
+        });
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Fast started',
+            data: fastingService.formatFast(fast)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error starting fast',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Stop the running fast
+ */
+async function stopFast(req, res) {
+    try {
+        const endedAt = parseOptionalDate(req.body.ended_at);
+        if (endedAt === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ended_at date'
+            });
+        }
+
+        const user = await getUser(req.user.uid);
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const { fast, status, error } = await fastingService.stopFast(user.id, endedAt || new Date());
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const result = fastingService.formatFast(fast);
+        res.status(200).json({
+            success: true,
+            message: result.target_reached
+                ? `Fast completed: ${result.duration_hours} h, target reached`
+                : `Fast ended after ${result.duration_hours} h, ${result.remaining_hours} h short of the target`,
+            data: result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error stopping fast',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Current fasting status: the running fast, or time since the last food entry
+ */
+async function getCurrentFast(req, res) {
+    try {
+        const user = await getUser(req.user.uid);
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const [active, sinceLastEntry] = await Promise.all([
+            fastingService.getActiveFast(user.id),
+            fastingService.getTimeSinceLastEntry(req.user.uid)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                protocol: fastingService.getUserProtocol(user),
+                active_fast: active ? fastingService.formatFast(active) : null,
+                since_last_entry: sinceLastEntry
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching fasting status',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Fasting history with streaks, including fasts inferred from food entry gaps
+ */
+async function getFastingHistory(req, res) {
+    try {
+        const { from, to } = req.query;
+
+        // Default range: the last 30 days including today
+        const toDate = to ? new Date(to) : new Date();
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        const start = new Date(fromDate);
+        start.setHours(0, 0, 0, 0);
+
+        const end = new Date(toDate);
+        end.setHours(23, 59, 59, 999);
+
+        if (start > end || (end - start) / (24 * 60 * 60 * 1000) > MAX_HISTORY_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `from must be on or before to, at most ${MAX_HISTORY_DAYS} days apart`
+            });
+        }
+
+        const user = await getUser(req.user.uid);
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const history = await fastingService.getHistory(user, { start, end });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: formatLocalDate(start),
+                to: formatLocalDate(end),
+                ...history
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching fasting history',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get the supported protocols and the user's default
+ */
+async function getProtocol(req, res) {
+    try {
+        const user = await getUser(req.user.uid);
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                current: fastingService.getUserProtocol(user),
+                available: fastingService.getProtocols()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching fasting protocol',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Set the user's default protocol
+ */
+async function updateProtocol(req, res) {
+    try {
+        const user = await getUser(req.user.uid);
+        if (!user) {
+            return userNotFound(res);
+        }
+
+        const { protocol, target_hours, error } = await fastingService.setUserProtocol(user, req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Fasting protocol updated successfully',
+            data: { protocol, target_hours }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating fasting protocol',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Delete a fast
+ */
+async function deleteFast(req, res) {
+    try {
+        const user = await getUser(req.user.uid);
+        const fast = user ? await FastingSessions.findOne({
+            where: {
+                id: req.params.id,
+                user_id: user.id
+            }
+        }) : null;
+
+        if (!fast) {
+            return res.status(404).json({
+                success: false,
+                message: 'Fast not found'
+            });
+        }
+
+        await fast.destroy();
+
+        res.status(200).json({
+            success: true,
+            message: 'Fast deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting fast',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    startFast,
+    stopFast,
+    getCurrentFast,
+    getFastingHistory,
+    getProtocol,
+    updateProtocol,
+    deleteFast
+};
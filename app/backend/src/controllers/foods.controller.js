@@ -0,0 +1,191 @@
+const foodCatalogService = require('../services/food-catalog.service');
+const micronutrientService = require('../services/micronutrient.service');
+const db = require('../../../models');
+const Users = db.Users;
+
+/**
+ * Food Catalog Controller
+ */
+
+/**
+ * Get integer user ID from Firebase UID (null if the profile doesn't exist yet)
+ */
+async function getUserId(firebaseUid) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+    return user ? user.id : null;
+}
+
+/**
+ * Search the food catalog by name or brand
+ */
+async function searchFoods(req, res) {
+    try {
+        const { q, limit } = req.query;
+
+        if (!q || q.trim().length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query q must be at least 2 characters'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        const foods = await foodCatalogService.searchFoods(q, { limit, userId });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                query: q,
+                foods: foods.map(food => foodCatalogService.formatFood(food)),
+                total_count: foods.length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error searching foods',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Resolve a scanned UPC/EAN barcode to a catalog food
+ */
+async function getFoodByBarcode(req, res) {
+    try {
+        const barcode = foodCatalogService.normalizeBarcode(req.params.code);
+
+        if (!barcode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid barcode. Expected an 8, 12, 13 or 14 digit UPC/EAN code'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        const food = await foodCatalogService.getFoodByBarcode(barcode, userId);
+
+        if (!food) {
+            return res.status(404).json({
+                success: false,
+                message: `No food found for barcode ${barcode}`,
+                barcode
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                barcode,
+                food: foodCatalogService.formatFood(food),
+                // Ready-made body for POST /api/calorie-entries (add meal_type, consumed_at, etc.)
+                entry_template: foodCatalogService.buildEntryFromFood(food)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error looking up barcode',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get a single food with its serving definitions
+ */
+async function getFood(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const food = await foodCatalogService.getFoodById(req.params.id, userId);
+
+        if (!food) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: foodCatalogService.formatFood(food)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching food',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Add a custom food to the catalog (visible only to its creator)
+ */
+async function createFood(req, res) {
+    try {
+        const { name, calories_per_100g } = req.body;
+
+        if (!name || calories_per_100g === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'name and calories_per_100g are required'
+            });
+        }
+
+        const micronutrients = micronutrientService.normalize(req.body.micronutrients_per_100g);
+        if (micronutrients.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid micronutrients_per_100g',
+                errors: micronutrients.errors
+            });
+        }
+
+        const unitGrams = foodCatalogService.normalizeUnitGrams(req.body.unit_grams);
+        if (unitGrams.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid unit_grams',
+                errors: unitGrams.errors
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found. Please complete profile setup first.'
+            });
+        }
+
+        const food = await foodCatalogService.createFood({
+            ...req.body,
+            micronutrients_per_100g: micronutrients.values,
+            unit_grams: unitGrams.values
+        }, userId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Food added to catalog',
+            data: foodCatalogService.formatFood(food)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating food',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    searchFoods,
+    getFoodByBarcode,
+    getFood,
+    createFood
+};
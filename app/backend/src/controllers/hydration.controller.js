@@ -0,0 +1,145 @@
+const hydrationService = require('../services/hydration.service');
+const db = require('../../../models');
+const WaterLogs = db.WaterLogs;
+const Users = db.Users;
+
+/**
+ * Hydration Controller
+ */
+
+/**
+ * Get integer user ID from Firebase UID (null if the profile doesn't exist yet)
+ */
+async function getUserId(firebaseUid) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+    return user ? user.id : null;
+}
+
+/**
+ * Log a drink
+ */
+async function logWater(req, res) {
+    try {
+        const { amount_ml, error } = hydrationService.parseAmount(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const loggedAt = req.body.logged_at ? new Date(req.body.logged_at) : new Date();
+        if (isNaN(loggedAt.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid logged_at date'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found. Please complete profile setup first.'
+            });
+        }
+
+        const waterLog = await hydrationService.logWater(userId, {
+            amount_ml,
+            beverage: req.body.beverage,
+            logged_at: loggedAt,
+            notes: req.body.notes
+        });
+
+        const summary = await hydrationService.getDailySummary(req.user.uid, loggedAt);
+
+        res.status(201).json({
+            success: true,
+            message: 'Water intake logged successfully',
+            data: {
+                entry: waterLog,
+                daily_total_ml: summary.total_ml,
+                goal_ml: summary.goal_ml,
+                remaining_ml: summary.remaining_ml
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging water intake',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get a day's water intake and progress towards the goal
+ */
+async function getDailyHydration(req, res) {
+    try {
+        const { date } = req.query; // Expected format: YYYY-MM-DD
+        const targetDate = date ? new Date(date) : new Date();
+
+        if (isNaN(targetDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await hydrationService.getDailySummary(req.user.uid, targetDate)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching water intake',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Delete a water log entry
+ */
+async function deleteWaterLog(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const waterLog = userId ? await WaterLogs.findOne({
+            where: {
+                id: req.params.id,
+                user_id: userId
+            }
+        }) : null;
+
+        if (!waterLog) {
+            return res.status(404).json({
+                success: false,
+                message: 'Water log entry not found'
+            });
+        }
+
+        await waterLog.destroy();
+
+        res.status(200).json({
+            success: true,
+            message: 'Water log entry deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting water log entry',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    logWater,
+    getDailyHydration,
+    deleteWaterLog
+};
@@ -0,0 +1,299 @@
+const savedMealService = require('../services/saved-meal.service');
+const calorieTrackingService = require('../services/calorie-tracking.service');
+const fastingService = require('../services/fasting.service');
+const db = require('../../../models');
+const Users = db.Users;
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Saved Meals Controller
+ */
+
+/**
+ * Get integer user ID from Firebase UID (null if the profile doesn't exist yet)
+ */
+async function getUserId(firebaseUid) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+    return user ? user.id : null;
+}
+
+/**
+ * Create a saved meal template
+ */
+async function createMeal(req, res) {
+    try {
+        const { name, default_meal_type, items } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'name is required'
+            });
+        }
+
+        if (default_meal_type && !MEAL_TYPES.includes(default_meal_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `default_meal_type must be one of: ${MEAL_TYPES.join(', ')}`
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found. Please complete profile setup first.'
+            });
+        }
+
+        const { rows, errors } = await savedMealService.prepareItems(items, userId);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid meal items',
+                errors
+            });
+        }
+
+        const meal = await savedMealService.createMeal(userId, req.body, rows);
+
+        res.status(201).json({
+            success: true,
+            message: 'Saved meal created successfully',
+            data: await savedMealService.describeMeal(meal, userId)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating saved meal',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * List the user's saved meals
+ */
+async function listMeals(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const meals = userId ? await savedMealService.listMeals(userId) : [];
+
+        const described = [];
+        for (const meal of meals) {
+            described.push(await savedMealService.describeMeal(meal, userId));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                meals: described,
+                total_count: described.length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching saved meals',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get a saved meal with its items
+ */
+async function getMeal(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const meal = userId ? await savedMealService.getMealForUser(req.params.id, userId) : null;
+
+        if (!meal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved meal not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await savedMealService.describeMeal(meal, userId)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching saved meal',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Update a saved meal (items, when given, replace the current list)
+ */
+async function updateMeal(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const meal = userId ? await savedMealService.getMealForUser(req.params.id, userId) : null;
+
+        if (!meal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved meal not found'
+            });
+        }
+
+        if (req.body.default_meal_type && !MEAL_TYPES.includes(req.body.default_meal_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `default_meal_type must be one of: ${MEAL_TYPES.join(', ')}`
+            });
+        }
+
+        let rows = null;
+        if (req.body.items !== undefined) {
+            const prepared = await savedMealService.prepareItems(req.body.items, userId);
+            if (prepared.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid meal items',
+                    errors: prepared.errors
+                });
+            }
+            rows = prepared.rows;
+        }
+
+        const updated = await savedMealService.updateMeal(meal, req.body, rows);
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved meal updated successfully',
+            data: await savedMealService.describeMeal(updated, userId)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating saved meal',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Delete a saved meal
+ */
+async function deleteMeal(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const meal = userId ? await savedMealService.getMealForUser(req.params.id, userId) : null;
+
+        if (!meal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved meal not found'
+            });
+        }
+
+        await meal.update({ is_active: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved meal deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting saved meal',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Log every item of a saved meal as food entries in one transaction
+ */
+async function logMeal(req, res) {
+    try {
+        const { consumed_at, meal_type, notes } = req.body;
+
+        if (meal_type && !MEAL_TYPES.includes(meal_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `meal_type must be one of: ${MEAL_TYPES.join(', ')}`
+            });
+        }
+
+        const consumedAt = consumed_at ? new Date(consumed_at) : new Date();
+        if (isNaN(consumedAt.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid consumed_at date'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        const meal = userId ? await savedMealService.getMealForUser(req.params.id, userId) : null;
+
+        if (!meal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved meal not found'
+            });
+        }
+
+        // Resolve everything up front so a missing food/recipe writes nothing
+        const { entries: resolved, errors } = await savedMealService.resolveItems(meal, userId);
+        if (errors.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some meal items can no longer be logged. Update the saved meal first.',
+                errors
+            });
+        }
+
+        const entries = await savedMealService.logMeal(resolved, {
+            entryUserId: req.user.uid, // Same user key as POST /api/calorie-entries
+            meal_type: meal_type || meal.default_meal_type,
+            consumed_at: consumedAt,
+            notes
+        });
+
+        // The entries are saved either way, so a failed check only drops the warning
+        let fastingWarning = null;
+        try {
+            fastingWarning = await fastingService.checkEntryAgainstFasts(req.user.uid, consumedAt);
+        } catch (error) {
+            console.warn('Error checking entry against fasts:', error.message);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Logged ${entries.length} items from ${meal.name}`,
+            data: {
+                saved_meal_id: meal.id,
+                entries,
+                meal_totals: calorieTrackingService.calculateEntryTotals(entries)
+            },
+            ...(fastingWarning && { fasting_warning: fastingWarning })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging saved meal',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    createMeal,
+    listMeals,
+    getMeal,
+    updateMeal,
+    deleteMeal,
+    logMeal
+};
@@ -0,0 +1,200 @@
+const recipeService = require('../services/recipe.service');
+const db = require('../../../models');
+const Users = db.Users;
+
+/**
+ * Recipes Controller
+ */
+
+/**
+ * Get integer user ID from Firebase UID (null if the profile doesn't exist yet)
+ */
+async function getUserId(firebaseUid) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+    return user ? user.id : null;
+}
+
+/**
+ * Create a recipe with its ingredients
+ */
+async function createRecipe(req, res) {
+    try {
+        const { name, ingredients } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: 'name is required'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found. Please complete profile setup first.'
+            });
+        }
+
+        const { rows, errors } = await recipeService.prepareIngredients(ingredients, userId);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ingredients',
+                errors
+            });
+        }
+
+        const recipe = await recipeService.createRecipe(userId, req.body, rows);
+
+        res.status(201).json({
+            success: true,
+            message: 'Recipe created successfully',
+            data: recipeService.formatRecipe(recipe)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating recipe',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * List the user's recipes with per-serving nutrition
+ */
+async function listRecipes(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const recipes = userId ? await recipeService.listRecipes(userId, req.query.q) : [];
+
+        res.status(200).json({
+            success: true,
+            data: {
+                recipes: recipes.map(recipe => recipeService.formatRecipe(recipe)),
+                total_count: recipes.length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching recipes',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get a recipe with ingredient breakdown
+ */
+async function getRecipe(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const recipe = userId ? await recipeService.getRecipeForUser(req.params.id, userId) : null;
+
+        if (!recipe) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recipe not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: recipeService.formatRecipe(recipe)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching recipe',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Update a recipe (ingredients, when given, replace the current list)
+ */
+async function updateRecipe(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const recipe = userId ? await recipeService.getRecipeForUser(req.params.id, userId) : null;
+
+        if (!recipe) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recipe not found'
+            });
+        }
+
+        let rows = null;
+        if (req.body.ingredients !== undefined) {
+            const prepared = await recipeService.prepareIngredients(req.body.ingredients, userId);
+            if (prepared.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid ingredients',
+                    errors: prepared.errors
+                });
+            }
+            rows = prepared.rows;
+        }
+
+        const updated = await recipeService.updateRecipe(recipe, req.body, rows);
+
+        res.status(200).json({
+            success: true,
+            message: 'Recipe updated successfully',
+            data: recipeService.formatRecipe(updated)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating recipe',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Delete a recipe
+ * Archived rather than removed so entries logged from it keep their recipe_id link.
+ */
+async function deleteRecipe(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        const recipe = userId ? await recipeService.getRecipeForUser(req.params.id, userId) : null;
+
+        if (!recipe) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recipe not found'
+            });
+        }
+
+        await recipe.update({ is_active: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'Recipe deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting recipe',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    createRecipe,
+    listRecipes,
+    getRecipe,
+    updateRecipe,
+    deleteRecipe
+};
@@ -0,0 +1,289 @@
+const workoutService = require('../services/workout.service');
+const firebaseRealtimeService = require('../services/firebase-realtime.service');
+const db = require('../../../models');
+const Users = db.Users;
+
+/**
+ * Workouts Controller
+ */
+
+/**
+ * Get user's integer ID from Firebase UID
+ */
+async function getUserId(firebaseUid) {
+    const user = await Users.findOne({
+        where: { firebase_uid: firebaseUid },
+        attributes: ['id']
+    });
+    return user ? user.id : null;
+}
+
+/**
+ * Parse an optional date field; undefined when absent, null when invalid
+ */
+function parseOptionalDate(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Mirror the workout in progress to the Firebase currentWorkout the app shows live
+ * MySQL is the record of the workout, so a failed sync doesn't fail the request.
+ */
+async function syncCurrentWorkout(firebaseUid, workout) {
+    try {
+        if (workout.ended_at) {
+            await firebaseRealtimeService.clearCurrentWorkout(firebaseUid, workout.id);
+        } else {
+            await firebaseRealtimeService.startWorkoutSession(firebaseUid, {
+                workoutId: workout.id,
+                startTime: new Date(workout.started_at).getTime()
+            });
+        }
+    } catch (error) {
+        console.warn('Error syncing current workout to Firebase:', error.message);
+    }
+}
+
+function userNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'User not found. Please complete profile setup first.'
+    });
+}
+
+function workoutNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Workout not found'
+    });
+}
+
+/**
+ * Start a workout
+ */
+async function startWorkout(req, res) {
+    try {
+        const { title, notes } = req.body;
+
+        const startedAt = parseOptionalDate(req.body.started_at);
+        if (startedAt === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid started_at date'
+            });
+        }
+
+        if (title && String(title).length > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'title can be at most 100 characters'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return userNotFound(res);
+        }
+
+        const { workout, status, error } = await workoutService.startWorkout(userId, {
+            title,
+            notes,
+            started_at: startedAt
+        });
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await syncCurrentWorkout(req.user.uid, workout);
+
+        res.status(201).json({
+            success: true,
+            message: 'Workout started',
+            data: workoutService.formatWorkout(workout)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error starting workout',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Finish a workout
+ */
+async function finishWorkout(req, res) {
+    try {
+        const { perceived_exertion, title, notes } = req.body;
+
+        const endedAt = parseOptionalDate(req.body.ended_at);
+        if (endedAt === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ended_at date'
+            });
+        }
+
+        if (perceived_exertion !== undefined && perceived_exertion !== null
+            && !(Number.isInteger(Number(perceived_exertion)) && perceived_exertion >= 1 && perceived_exertion <= 10)) {
+            return res.status(400).json({
+                success: false,
+                message: 'perceived_exertion must be a whole number between 1 and 10'
+            });
+        }
+
+        if (title && String(title).length > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'title can be at most 100 characters'
+            });
+        }
+
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return userNotFound(res);
+        }
+
+        const workout = await workoutService.getWorkoutForUser(req.params.id, userId);
+        if (!workout) {
+            return workoutNotFound(res);
+        }
+
+        const { status, error } = await workoutService.finishWorkout(workout, {
+            ended_at: endedAt,
+            perceived_exertion,
+            title,
+            notes
+        });
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await syncCurrentWorkout(req.user.uid, workout);
+
+        const finished = await workoutService.getWorkoutForUser(workout.id, userId, true);
+
+        res.status(200).json({
+            success: true,
+            message: 'Workout finished',
+            data: workoutService.formatWorkout(finished)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error finishing workout',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get the workout in progress with its exercises
+ */
+async function getCurrentWorkout(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return userNotFound(res);
+        }
+
+        const active = await workoutService.getActiveWorkout(userId);
+        const workout = active ? await workoutService.getWorkoutForUser(active.id, userId, true) : null;
+
+        res.status(200).json({
+            success: true,
+            data: workout ? workoutService.formatWorkout(workout) : null
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching current workout',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Get a workout with its exercises
+ */
+async function getWorkout(req, res) {
+    try {
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return userNotFound(res);
+        }
+
+        const workout = await workoutService.getWorkoutForUser(req.params.id, userId, true);
+        if (!workout) {
+            return workoutNotFound(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: workoutService.formatWorkout(workout)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching workout',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * List the user's workouts, newest first
+ */
+async function getWorkouts(req, res) {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const userId = await getUserId(req.user.uid);
+        if (!userId) {
+            return userNotFound(res);
+        }
+
+        const { count, rows } = await workoutService.listWorkouts(userId, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                workouts: rows.map(workout => workoutService.formatWorkout(workout)),
+                pagination: {
+                    page,
+                    limit,
+                    total_entries: count,
+                    total_pages: Math.ceil(count / limit)
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching workouts',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    startWorkout,
+    finishWorkout,
+    getCurrentWorkout,
+    getWorkout,
+    getWorkouts
+};
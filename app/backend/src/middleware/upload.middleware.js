@@ -0,0 +1,56 @@
+/**
+ * Photo Upload Middleware
+ *
+ * Accepts a single multipart image in the "photo" field and keeps it in
+ * memory (req.file.buffer) for the photo service to process. Uploads over
+ * PHOTO_MAX_BYTES (8 MB by default) or of other types are rejected with 400.
+ */
+
+const multer = require('multer');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_BYTES = Number(process.env.PHOTO_MAX_BYTES) || 8 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_BYTES,
+        files: 1
+    },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_TYPES.includes(file.mimetype)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `Unsupported image type ${file.mimetype}. Allowed: ${ALLOWED_TYPES.join(', ')}`;
+            return callback(error);
+        }
+        callback(null, true);
+    }
+}).single('photo');
+
+const photoUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `Photo is too large. Maximum size is ${Math.round(MAX_BYTES / 1024 / 1024)} MB`
+                    : error.message,
+                code: error.code
+            });
+        }
+        if (error) {
+            return next(error);
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No photo uploaded. Send the image as multipart/form-data in the "photo" field'
+            });
+        }
+
+        next();
+    });
+};
+
+module.exports = photoUpload;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const calorieTrackingService = require('../services/calorie-tracking.service');
+const hydrationService = require('../services/hydration.service');
 const authMiddleware = require('../middleware/auth.middleware');
 
 // Apply authentication middleware to all routes
@@ -25,7 +26,21 @@ router.use(authMiddleware);
  *     goal_percentage: number,
  *     status: string (UNDER_GOAL|OVER_GOAL|NO_GOAL_SET),
  *     remaining_calories: number,
- *     excess_calories: number
+ *     excess_calories: number,
+ *     macro_goal_type: string (grams|percentage),
+ *     macro_balance: {
+ *       protein|carbs|fat|fiber|sugar|sodium: {
+ *         consumed: number,
+ *         target: number|null (grams, mg for sodium),
+ *         unit: string,
+ *         goal_kind: string (minimum|limit),
+ *         remaining: number,
+ *         excess: number,
+ *         goal_percentage: number,
+ *         is_met: boolean|null,
+ *         status: string (UNDER_GOAL|OVER_GOAL|NO_GOAL_SET)
+ *       }
+ *     }
  *   }
  * }
  */
@@ -77,6 +92,17 @@ router.get('/daily', async (req, res) => {
  *       days_under_goal: number,
  *       days_over_goal: number
  *     },
+ *     weekly_macros: {
+ *       protein|carbs|fat|fiber|sugar|sodium: {
+ *         total: number,
+ *         daily_average: number,
+ *         daily_target: number|null,
+ *         weekly_target: number|null,
+ *         unit: string,
+ *         goal_kind: string (minimum|limit),
+ *         days_goal_met: number
+ *       }
+ *     },
  *     weekly_average_net: number,
  *     success_rate: number
  *   }
@@ -134,7 +160,11 @@ router.get('/weekly', async (req, res) => {
  *     quick_stats: {
  *       calories_remaining: number,
  *       can_eat_more: boolean,
- *       goal_completion: string
+ *       goal_completion: string,
+ *       water_ml: number,
+ *       water_goal_ml: number,
+ *       water_remaining_ml: number,
+ *       water_goal_completion: string
  *     }
  *   }
  * }
@@ -142,10 +172,10 @@ router.get('/weekly', async (req, res) => {
 router.get('/summary', async (req, res) => {
     try {
         const today = new Date();
-        const balance = await calorieTrackingService.calculateDailyBalance(
-            req.user.uid, 
-            today
-        );
+        const [balance, hydration] = await Promise.all([
+            calorieTrackingService.calculateDailyBalance(req.user.uid, today),
+            hydrationService.getDailySummary(req.user.uid, today)
+        ]);
 
         // Create quick stats for easy mobile app consumption
         const quickStats = {
@@ -155,7 +185,11 @@ router.get('/summary', async (req, res) => {
             goal_completion: balance.daily_goal === 0 ? 
                 'No goal set' : 
                 `${balance.goal_percentage}% of goal`,
-            net_calories_today: balance.net_calories
+            net_calories_today: balance.net_calories,
+            water_ml: hydration.total_ml,
+            water_goal_ml: hydration.goal_ml,
+            water_remaining_ml: hydration.remaining_ml,
+            water_goal_completion: `${hydration.goal_percentage}% of goal`
         };
 
         res.status(200).json({
@@ -174,4 +208,110 @@ router.get('/summary', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/calorie-balance/goals
+ * @desc    Get the user's calorie and macro goals with resolved daily targets
+ * @access  Private
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     goals: { daily_calorie_goal, macro_goal_type, protein_goal, carbs_goal, fat_goal,
+ *       fiber_goal_g, sugar_goal_g, sodium_goal_mg, breakfast_calorie_goal, lunch_calorie_goal,
+ *       dinner_calorie_goal, snack_calorie_goal },
+ *     daily_targets: { protein, carbs, fat, fiber, sugar, sodium } (grams, mg for sodium, null when not set)
+ *   }
+ * }
+ */
+router.get('/goals', async (req, res) => {
+    try {
+        const goals = await calorieTrackingService.getUserGoals(req.user.uid);
+
+        if (!goals) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found. Please complete profile setup first.'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                goals,
+                daily_targets: calorieTrackingService.resolveMacroTargets(goals)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching goals',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/calorie-balance/goals
+ * @desc    Set calorie and macro goals (send null to clear a goal)
+ * @access  Private
+ * @body    {
+ *   daily_calorie_goal: number (optional, 1000-5000),
+ *   macro_goal_type: string (optional, grams|percentage - whether protein/carbs/fat goals are grams
+ *     or % of daily_calorie_goal, default: grams),
+ *   protein_goal: number (optional, grams or %),
+ *   carbs_goal: number (optional, grams or %),
+ *   fat_goal: number (optional, grams or %),
+ *   fiber_goal_g: number (optional, daily minimum),
+ *   sugar_goal_g: number (optional, daily limit),
+ *   sodium_goal_mg: number (optional, daily limit),
+ *   breakfast_calorie_goal: number (optional, 0-5000),
+ *   lunch_calorie_goal: number (optional, 0-5000),
+ *   dinner_calorie_goal: number (optional, 0-5000),
+ *   snack_calorie_goal: number (optional, 0-5000, all snacks combined;
+ *     the four meal goals can't add up to more than daily_calorie_goal)
+ * }
+ * @response Same as GET /api/calorie-balance/goals
+ */
+router.put('/goals', async (req, res) => {
+    try {
+        const { goals, error } = await calorieTrackingService.updateUserGoals(req.user.uid, req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (!goals) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found. Please complete profile setup first.'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Goals updated successfully',
+            data: {
+                goals,
+                daily_targets: calorieTrackingService.resolveMacroTargets(goals)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'SequelizeValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid goal values',
+                errors: error.errors.map(e => ({ field: e.path, message: e.message }))
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating goals',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
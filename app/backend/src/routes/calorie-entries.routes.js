@@ -1,20 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const calorieEntriesController = require('../controllers/calorie-entries.controller');
+const entryPhotosController = require('../controllers/entry-photos.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const photoUpload = require('../middleware/upload.middleware');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
 
 /**
  * @route   POST /api/calorie-entries
- * @desc    Create a new food entry
+ * @desc    Create a new food entry, either free-form, from the food catalog or from a recipe
  * @access  Private
  * @body    {
- *   food_name: string (required),
+ *   food_id: number (optional, catalog food - nutrition fields below are then filled in from the catalog),
+ *   quantity_g: number (optional, with food_id: amount eaten in grams),
+ *   serving_label: string (optional, with food_id: one of the food's serving labels, default: its default serving),
+ *   quantity: number (optional, amount eaten in unit - nutrition is worked out from it),
+ *   unit: string (required with quantity: g|kg|oz|lb|ml|l|fl_oz|cup|tbsp|tsp|piece;
+ *     with food_id any of the food's available_units, with recipe_id a weight unit,
+ *     free-form entries need a serving_size such as "100 g" or "1 cup" in a compatible unit),
+ *   recipe_id: number (optional, log a recipe - nutrition is snapshotted from its ingredients;
+ *     quantity_g may be used instead of servings_consumed when the recipe has total_yield_g),
+ *   food_name: string (required without food_id/recipe_id),
  *   brand: string (optional),
  *   serving_size: string (optional, default: "1 serving"),
- *   calories_per_serving: number (required),
+ *   calories_per_serving: number (required without food_id/recipe_id),
  *   servings_consumed: number (optional, default: 1.0),
  *   protein_g: number (optional),
  *   carbs_g: number (optional),
@@ -22,13 +33,47 @@ router.use(authMiddleware);
  *   fiber_g: number (optional),
  *   sugar_g: number (optional),
  *   sodium_mg: number (optional),
+ *   micronutrients: object (optional, per serving, e.g. { "iron_mg": 2.1, "vitamin_c_mg": 30 };
+ *     keys: vitamin_a_mcg, vitamin_c_mg, vitamin_d_mcg, vitamin_e_mg, vitamin_k_mcg, vitamin_b12_mcg,
+ *     folate_mcg, calcium_mg, iron_mg, magnesium_mg, potassium_mg, zinc_mg;
+ *     filled in automatically for food_id/recipe_id entries when the catalog has them),
  *   meal_type: string (optional, enum: breakfast|lunch|dinner|snack),
  *   consumed_at: datetime (optional, default: now),
  *   notes: string (optional)
  * }
+ * @response {
+ *   success: boolean,
+ *   data: object (the new entry),
+ *   fasting_warning: object (only when the entry falls inside a fast:
+ *     { fast_id, is_active, started_at, consumed_at, hours_fasted, target_hours, target_reached, message })
+ * }
  */
 router.post('/', calorieEntriesController.createFoodEntry);
 
+/**
+ * @route   POST /api/calorie-entries/bulk
+ * @desc    Create many food entries in one transaction (e.g. an offline queue flush)
+ * @access  Private
+ * @body    {
+ *   entries: array (required, max 200 items, each item accepts the same fields as POST /api/calorie-entries)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     entries: Array,
+ *     created_count: number
+ *   },
+ *   fasting_warnings: array (only when entries fall inside fasts: one fasting_warning per fast,
+ *     for the earliest entry inside it)
+ * }
+ * @error   400 {
+ *   success: false,
+ *   message: string,
+ *   errors: array[{ index: number, errors: array[{ field: string|null, message: string }] }]
+ * } - nothing is saved when any item fails
+ */
+router.post('/bulk', calorieEntriesController.createBulkFoodEntries);
+
 /**
  * @route   GET /api/calorie-entries/daily
  * @desc    Get daily food entries with totals
@@ -48,27 +93,291 @@ router.post('/', calorieEntriesController.createFoodEntry);
  *       total_sugar: number,
  *       total_sodium: number,
  *       entry_count: number
+ *     },
+ *     meal_breakdown: {
+ *       breakfast|lunch|dinner|snack: {
+ *         ...same fields as daily_totals,
+ *         calorie_share: number (% of the day's calories),
+ *         first_entry_at: datetime|null,
+ *         last_entry_at: datetime|null,
+ *         calorie_target: number|null (from the user's <meal>_calorie_goal),
+ *         calories_remaining: number|null,
+ *         is_over_target: boolean|null
+ *       }
+ *     },
+ *     meal_timing: {
+ *       first_meal_at: datetime|null,
+ *       last_meal_at: datetime|null,
+ *       eating_window_minutes: number,
+ *       eating_window_hours: number
  *     }
  *   }
  * }
  */
 router.get('/daily', calorieEntriesController.getDailyFoodEntries);
 
+/**
+ * @route   GET /api/calorie-entries/micronutrients
+ * @desc    Get a day's vitamin and mineral intake compared with reference intakes
+ *          for the user's age (from date_of_birth) and gender
+ * @access  Private
+ * @query   date: string (optional, format: YYYY-MM-DD, default: today)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     date: string,
+ *     reference_profile: { age: number, gender: string|null, age_assumed: boolean },
+ *     coverage: { entry_count: number, entries_with_micronutrients: number },
+ *     nutrients: array[{
+ *       key: string,
+ *       name: string,
+ *       unit: string (mg|mcg),
+ *       consumed: number,
+ *       reference_amount: number,
+ *       reference_kind: string (rda|ai|limit),
+ *       percent_of_reference: number,
+ *       remaining: number,
+ *       status: string (MET|BELOW_REFERENCE|WITHIN_LIMIT|OVER_LIMIT)
+ *     }]
+ *   }
+ * }
+ */
+router.get('/micronutrients', calorieEntriesController.getDailyMicronutrients);
+
+/**
+ * @route   GET /api/calorie-entries/recents
+ * @desc    Foods the user logged most recently, grouped by food name, brand and serving size.
+ *          With meal_type and/or time, foods logged in that context come first.
+ * @access  Private
+ * @query   days: number (optional, history to look back over, 1-365, default: 90),
+ *          limit: number (optional, 1-50, default: 20),
+ *          meal_type: string (optional, breakfast|lunch|dinner|snack),
+ *          time: string (optional, HH:MM or "now"; entries within 90 minutes of this time of day)
+ * @response {
+ *   success: boolean,
+ *   data: array[{
+ *     food_name, brand, serving_size, food_id, recipe_id,
+ *     times_logged: number,
+ *     last_logged_at: datetime,
+ *     usual_meal_type: string,
+ *     context_matches: number (only with meal_type or time, entries that fit them),
+ *     calories: number (as last logged),
+ *     entry_request: object (body for POST /api/calorie-entries to log it again)
+ *   }]
+ * }
+ */
+router.get('/recents', calorieEntriesController.getRecentFoods);
+
+/**
+ * @route   GET /api/calorie-entries/frequents
+ * @desc    Foods the user logs most often, grouped like recents.
+ *          With meal_type and/or time, ranked by how often they were logged in that context.
+ * @access  Private
+ * @query   days: number (optional, history to look back over, 1-365, default: 90),
+ *          limit: number (optional, 1-50, default: 20),
+ *          meal_type: string (optional, breakfast|lunch|dinner|snack),
+ *          time: string (optional, HH:MM or "now"; entries within 90 minutes of this time of day)
+ * @response Same shape as GET /api/calorie-entries/recents
+ */
+router.get('/frequents', calorieEntriesController.getFrequentFoods);
+
+/**
+ * @route   GET /api/calorie-entries
+ * @desc    Get food diary entries for a date range with pagination, filters and totals
+ * @access  Private
+ * @query   {
+ *   from: string (optional, format: YYYY-MM-DD, default: 29 days before to),
+ *   to: string (optional, format: YYYY-MM-DD, default: today),
+ *   meal_type: string (optional, enum: breakfast|lunch|dinner|snack),
+ *   q: string (optional, matches food_name or brand),
+ *   page: number (optional, default: 1),
+ *   limit: number (optional, default: 50, max: 200),
+ *   sort: string (optional, consumed_at|food_name|meal_type|calories_per_serving|createdAt,
+ *     prefix with - for descending, default: -consumed_at)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     from: string,
+ *     to: string,
+ *     entries: Array (current page),
+ *     pagination: { page, limit, total_entries, total_pages },
+ *     daily_totals: array[{ date: string, ...same fields as /daily daily_totals }] (all matching entries),
+ *     range_totals: { ...same fields as /daily daily_totals, days_logged, average_daily_calories }
+ *   }
+ * }
+ */
+router.get('/', calorieEntriesController.getFoodEntries);
+
+/**
+ * @route   POST /api/calorie-entries/copy
+ * @desc    Copy all entries (or one meal) from a source day to a target day
+ * @access  Private
+ * @body    {
+ *   source_date: string (required, format: YYYY-MM-DD),
+ *   target_date: string (optional, format: YYYY-MM-DD, default: today),
+ *   meal_type: string (optional, only copy this meal: breakfast|lunch|dinner|snack),
+ *   target_meal_type: string (optional, log the copies under a different meal)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     source_date: string,
+ *     target_date: string,
+ *     entries: Array (new entries, consumed_at keeps the original time of day),
+ *     copied_totals: object (same shape as daily_totals)
+ *   },
+ *   fasting_warnings: array (only when entries fall inside fasts: one fasting_warning per fast,
+ *     for the earliest entry inside it)
+ * }
+ */
+router.post('/copy', calorieEntriesController.copyFoodEntries);
+
+/**
+ * @route   POST /api/calorie-entries/import
+ * @desc    Import food diary history from a MyFitnessPal or Cronometer CSV export
+ * @access  Private
+ * @body    {
+ *   csv: string (required, contents of the exported CSV file),
+ *   format: string (optional, auto|myfitnesspal|cronometer, default: auto),
+ *   dry_run: boolean (optional, parse and report without saving, default: false),
+ *   skip_duplicates: boolean (optional, skip rows matching an existing entry's time, name and calories, default: true;
+ *     identical rows are only skipped as many times as the diary already has them)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     format: string,
+ *     dry_run: boolean,
+ *     summary: {
+ *       total_rows, parsed_rows, imported, would_import, duplicates, duplicates_skipped,
+ *       skipped_lines, first_date, last_date, totals (same shape as daily_totals)
+ *     },
+ *     skipped: array[{ line: number, reason: string }],
+ *     duplicates: array[{ line: number, food_name: string, consumed_at: datetime }],
+ *     preview: Array (dry run only, first 50 entries that would be created)
+ *   },
+ *   fasting_warnings: array (not on dry runs; only when entries fall inside fasts: one fasting_warning per fast,
+ *     for the earliest entry inside it)
+ * }
+ */
+router.post('/import', calorieEntriesController.importFoodEntries);
+
+/**
+ * @route   POST /api/calorie-entries/parse
+ * @desc    Parse a free-text description ("2 eggs and a slice of toast") into candidate entries
+ *          matched against the food catalog. Nothing is saved; send the confirmed items'
+ *          entry_request objects to POST /api/calorie-entries/bulk.
+ * @access  Private
+ * @body    {
+ *   text: string (required, max 500 characters),
+ *   consumed_at: datetime (optional, default: now, used to infer the meal),
+ *   meal_type: string (optional, overrides a meal named in the text or inferred from the time of day)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     meal_type: string,
+ *     meal_type_source: string (request|text|time_of_day),
+ *     consumed_at: datetime,
+ *     items: array[{
+ *       text, quantity, unit, quantity_assumed (no amount given, 1 was used),
+ *       food: { id, name, brand, available_units },
+ *       confidence: string (high|medium|low),
+ *       warning: string|null,
+ *       entry: object (CalorieEntries fields with the nutrition that would be logged),
+ *       entry_request: object (body for the bulk endpoint),
+ *       alternatives: array[{ id, name, brand }]
+ *     }],
+ *     unmatched: array[{ text, food_phrase, quantity, unit }],
+ *     totals: object (same shape as daily_totals, matched items only)
+ *   }
+ * }
+ */
+router.post('/parse', calorieEntriesController.parseFoodText);
+
+/**
+ * @route   POST /api/calorie-entries/:id/photos
+ * @desc    Attach a photo to a food entry (resized, re-encoded as JPEG, with a thumbnail)
+ * @access  Private (user can only attach photos to their own entries)
+ * @params  id: number (food entry ID)
+ * @body    multipart/form-data with the image in the "photo" field
+ *          (JPEG, PNG or WebP, max 8 MB by default, at most 5 photos per entry)
+ * @response {
+ *   success: boolean,
+ *   data: { id, attachable_type, attachable_id, content_type, size_bytes, width, height, url, thumbnail_url, createdAt }
+ * }
+ */
+router.post('/:id/photos', photoUpload, entryPhotosController.uploadFoodEntryPhoto);
+
+/**
+ * @route   GET /api/calorie-entries/:id/photos
+ * @desc    List the photos attached to a food entry
+ * @access  Private
+ * @params  id: number (food entry ID)
+ * @response { success: boolean, data: Array (same shape as the upload response) }
+ */
+router.get('/:id/photos', entryPhotosController.getFoodEntryPhotos);
+
+/**
+ * @route   DELETE /api/calorie-entries/:id/photos/:photoId
+ * @desc    Delete a photo and its stored files
+ * @access  Private
+ * @params  id: number (food entry ID), photoId: number
+ */
+router.delete('/:id/photos/:photoId', entryPhotosController.deleteFoodEntryPhoto);
+
 /**
  * @route   PUT /api/calorie-entries/:id
  * @desc    Update a food entry
  * @access  Private (user can only update their own entries)
  * @params  id: number (food entry ID)
- * @body    Any field from the create endpoint
+ * @body    Any field from the create endpoint except food_id and recipe_id; a new quantity/unit recalculates the entry's
+ *          nutrition. Other fields are ignored
+ * @response { success: boolean, data: object (updated entry), changed_fields: array (recorded in the entry's history) }
  */
 router.put('/:id', calorieEntriesController.updateFoodEntry);
 
 /**
  * @route   DELETE /api/calorie-entries/:id
- * @desc    Delete a food entry
+ * @desc    Delete a food entry. Deletes are soft: the entry can be restored for 30 days,
+ *          after which it is purged with its photos (npm run purge:deleted)
  * @access  Private (user can only delete their own entries)
  * @params  id: number (food entry ID)
+ * @response {
+ *   success: boolean,
+ *   data: { id: number, deletedAt: datetime, restorable_until: datetime }
+ * }
  */
 router.delete('/:id', calorieEntriesController.deleteFoodEntry);
 
+/**
+ * @route   POST /api/calorie-entries/:id/restore
+ * @desc    Undo deleting a food entry
+ * @access  Private
+ * @params  id: number (food entry ID)
+ * @response { success: boolean, data: object (the restored entry) }
+ */
+router.post('/:id/restore', calorieEntriesController.restoreFoodEntry);
+
+/**
+ * @route   GET /api/calorie-entries/:id/history
+ * @desc    Change history of a food entry, including deleted entries
+ * @access  Private
+ * @params  id: number (food entry ID)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     entry: object (current values),
+ *     is_deleted: boolean,
+ *     revisions: array[{
+ *       id, action: string (update|delete|restore),
+ *       changes: object|null (updates only, { field: { from, to } }),
+ *       createdAt: datetime
+ *     }]
+ *   }
+ * }
+ */
+router.get('/:id/history', calorieEntriesController.getFoodEntryHistory);
+
 module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const exerciseLoggingController = require('../controllers/exercise-logging.controller');
+const entryPhotosController = require('../controllers/entry-photos.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const photoUpload = require('../middleware/upload.middleware');
+const exerciseCalorieService = require('../services/exercise-calorie.service');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -13,20 +16,38 @@ router.use(authMiddleware);
  * @body    {
  *   exercise_id: number (required),
  *   duration_minutes: number (optional),
- *   sets: number (optional),
- *   reps: number (optional),
- *   weight_kg: number (optional),
+ *   sets: number | array (optional - a set count, or each set: [{
+ *     reps: number (required),
+ *     weight_kg: number (optional, omit for bodyweight),
+ *     rpe: number (optional, 1-10),
+ *     rir: number (optional, reps in reserve, 0-10),
+ *     is_warmup: boolean (optional, default: false),
+ *     rest_seconds: number (optional, rest after the set)
+ *   }], up to 50),
+ *   reps: number (optional, ignored when sets is an array),
+ *   weight_kg: number (optional, ignored when sets is an array),
  *   distance_km: number (optional),
  *   calories_burned: number (optional - manual override),
  *   performed_at: datetime (optional, default: now),
  *   notes: string (optional),
- *   rating: number (optional, 1-5 stars)
+ *   rating: number (optional, 1-5 stars),
+ *   intensity: string (optional, enum: light|moderate|vigorous, default: moderate),
+ *   workout_id: number (optional, workout session from POST /api/workouts; once the workout is
+ *     finished, 409 unless performed_at is between its started_at and ended_at)
  * }
  * @response {
  *   success: boolean,
  *   data: {
  *     ...exercise_log,
  *     calculation_method: string (automatic|manual),
+ *     calculation: string|null (formula used: MET × body weight × time, or calories_per_minute × duration),
+ *     set_details: array (the logged sets, empty without per-set details),
+ *     new_records: array (personal records this log set, same shape as GET /records),
+ *     set_summary: {
+ *       total_sets, working_sets, warmup_sets, total_reps,
+ *       total_volume_kg: number (reps × weight over working sets),
+ *       best_set: { set_number, reps, weight_kg } (heaviest working set)
+ *     } | null,
  *     preset_calories_per_min: number,
  *     smart_suggestion: object|null,
  *     user_stats: {
@@ -39,6 +60,35 @@ router.use(authMiddleware);
  */
 router.post('/', exerciseLoggingController.logExercise);
 
+/**
+ * @route   GET /api/exercise-logging
+ * @desc    Get logged exercises for a date range with pagination, filters and totals
+ * @access  Private
+ * @query   {
+ *   from: string (optional, format: YYYY-MM-DD, default: 29 days before to),
+ *   to: string (optional, format: YYYY-MM-DD, default: today),
+ *   exercise_id: number (optional),
+ *   category: string (optional, enum: cardio|strength|flexibility|sports|functional),
+ *   page: number (optional, default: 1),
+ *   limit: number (optional, default: 50, max: 200),
+ *   sort: string (optional, performed_at|duration_minutes|calories_burned|createdAt,
+ *     prefix with - for descending, default: -performed_at)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     from: string,
+ *     to: string,
+ *     exercises: Array (current page, with exercise: { name, category, calories_per_minute } and set_details),
+ *     pagination: { page, limit, total_entries, total_pages },
+ *     daily_totals: array[{ date: string, total_calories_burned, total_duration_minutes,
+ *       total_volume_kg (from set_details, or sets × reps × weight_kg), total_distance_km, total_exercises }] (all matching entries),
+ *     range_totals: { ...same fields as daily_totals, days_active }
+ *   }
+ * }
+ */
+router.get('/', exerciseLoggingController.getExercises);
+
 /**
  * @route   GET /api/exercise-logging/daily
  * @desc    Get daily exercise log with total calories burned
@@ -57,13 +107,15 @@ router.get('/exercises', exerciseLoggingController.getAvailableExercises);
 
 /**
  * @route   GET /api/exercise-logging/preview
- * @desc    Preview calorie burn for an exercise without logging it
+ * @desc    Preview calorie burn for an exercise without logging it. Uses MET × body weight × time
+ *          when the user has a weight set, otherwise the exercise's calories_per_minute
  * @access  Private
- * @query   exercise_id: number (required), duration_minutes: number (required)
+ * @query   exercise_id: number (required), duration_minutes: number (required),
+ *          intensity: string (optional, enum: light|moderate|vigorous, default: moderate)
  */
 router.get('/preview', async (req, res) => {
     try {
-        const { exercise_id, duration_minutes } = req.query;
+        const { exercise_id, duration_minutes, intensity } = req.query;
         
         if (!exercise_id || !duration_minutes) {
             return res.status(400).json({
@@ -72,6 +124,13 @@ router.get('/preview', async (req, res) => {
             });
         }
 
+        if (intensity && !exerciseCalorieService.getIntensityLevels().includes(intensity)) {
+            return res.status(400).json({
+                success: false,
+                message: `intensity must be one of: ${exerciseCalorieService.getIntensityLevels().join(', ')}`
+            });
+        }
+
         const db = require('../../../models');
         const exercise = await db.Exercises.findByPk(exercise_id);
         
@@ -82,9 +141,15 @@ router.get('/preview', async (req, res) => {
             });
         }
 
-        const estimatedCalories = exercise.calories_per_minute 
-            ? Math.round(exercise.calories_per_minute * duration_minutes)
-            : 0;
+        const user = await db.Users.findOne({
+            where: { firebase_uid: req.user.uid },
+            attributes: ['weight_kg']
+        });
+        const estimate = exerciseCalorieService.estimateCalories(exercise, duration_minutes, {
+            weightKg: user && user.weight_kg,
+            intensity
+        });
+        const estimatedCalories = estimate.calories || 0;
 
         res.status(200).json({
             success: true,
@@ -93,12 +158,19 @@ router.get('/preview', async (req, res) => {
                     id: exercise.id,
                     name: exercise.name,
                     category: exercise.category,
-                    calories_per_minute: exercise.calories_per_minute
+                    calories_per_minute: exercise.calories_per_minute,
+                    met_value: exercise.met_value
                 },
                 duration_minutes: parseInt(duration_minutes),
+                intensity: estimate.intensity,
                 estimated_calories: estimatedCalories,
-                calculation: `${exercise.calories_per_minute} cal/min × ${duration_minutes} min = ${estimatedCalories} calories`,
-                suggestion: 'This is an estimate. You can always enter your actual calories burned when logging!'
+                calculation_basis: estimate.method, // met | preset | null (exercise has no rate)
+                met_value: estimate.met_value,
+                weight_kg: estimate.weight_kg,
+                calculation: estimate.calculation || `No calorie rate for ${exercise.name}`,
+                suggestion: estimate.method === 'met'
+                    ? 'This is an estimate. You can always enter your actual calories burned when logging!'
+                    : 'This is an estimate for an average person. Add your weight to your profile for a personal estimate!'
             }
         });
     } catch (error) {
@@ -110,4 +182,132 @@ router.get('/preview', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/exercise-logging/records
+ * @desc    Personal records: heaviest weight, most reps at each weight, best estimated 1RM
+ *          (average of Epley and Brzycki, sets of up to 12 reps), longest distance and fastest pace.
+ *          Records are rebuilt from the remaining logs when a log is edited, deleted or restored
+ * @access  Private
+ * @query   {
+ *   exercise_id: number (optional),
+ *   record_type: string (optional, enum: heaviest_weight|most_reps|estimated_1rm|longest_distance|fastest_pace)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: array[{
+ *     exercise_id: number,
+ *     exercise: { name, category },
+ *     records: array[{
+ *       id, record_type, value: number, unit: string (kg|reps|km|min/km),
+ *       weight_kg, reps, distance_km, duration_minutes,
+ *       previous_value: number|null, is_first_record: boolean,
+ *       user_exercise_id: number, achieved_at: datetime,
+ *       formulas: { epley, brzycki } (estimated_1rm only)
+ *     }]
+ *   }]
+ * }
+ */
+router.get('/records', exerciseLoggingController.getPersonalRecords);
+
+/**
+ * @route   GET /api/exercise-logging/:id
+ * @desc    Get one logged exercise
+ * @access  Private (user can only view their own entries)
+ * @params  id: number (logged exercise ID)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     ...exercise_log,
+ *     exercise: { name, category, calories_per_minute, met_value, intensity_met_values },
+ *     set_details: array,
+ *     calculation_method: string (automatic|manual),
+ *     set_summary: object|null (same as on create)
+ *   }
+ * }
+ */
+router.get('/:id', exerciseLoggingController.getExerciseLog);
+
+/**
+ * @route   PUT /api/exercise-logging/:id
+ * @desc    Update a logged exercise. When duration_minutes, exercise_id or intensity changes, automatically
+ *          calculated calories are recalculated like on create; manually entered calories are kept
+ * @access  Private (user can only update their own entries)
+ * @params  id: number (logged exercise ID)
+ * @body    Any field from the create endpoint except per-set details (sets must be a number);
+ *          calories_burned sets calories manually, calories_burned: null switches back to the
+ *          automatic calculation. In a finished workout, performed_at must stay between the
+ *          workout's started_at and ended_at (409 otherwise)
+ * @response {
+ *   success: boolean,
+ *   data: { ...exercise_log, calculation_method: string (automatic|manual) },
+ *   changed_fields: array (recorded in the entry's history)
+ * }
+ */
+router.put('/:id', exerciseLoggingController.updateExercise);
+
+/**
+ * @route   DELETE /api/exercise-logging/:id
+ * @desc    Delete a logged exercise. Deletes are soft: the entry can be restored for 30 days,
+ *          after which it is purged with its photos (npm run purge:deleted)
+ * @access  Private (user can only delete their own entries)
+ * @params  id: number (logged exercise ID)
+ * @response {
+ *   success: boolean,
+ *   data: { id: number, deletedAt: datetime, restorable_until: datetime }
+ * }
+ */
+router.delete('/:id', exerciseLoggingController.deleteExercise);
+
+/**
+ * @route   POST /api/exercise-logging/:id/photos
+ * @desc    Attach a photo to a logged exercise (resized, re-encoded as JPEG, with a thumbnail)
+ * @access  Private (user can only attach photos to their own entries)
+ * @params  id: number (logged exercise ID)
+ * @body    multipart/form-data with the image in the "photo" field
+ *          (JPEG, PNG or WebP, max 8 MB by default, at most 5 photos per entry)
+ * @response {
+ *   success: boolean,
+ *   data: { id, attachable_type, attachable_id, content_type, size_bytes, width, height, url, thumbnail_url, createdAt }
+ * }
+ */
+router.post('/:id/photos', photoUpload, entryPhotosController.uploadExercisePhoto);
+
+/**
+ * @route   GET /api/exercise-logging/:id/photos
+ * @desc    List the photos attached to a logged exercise
+ * @access  Private
+ * @params  id: number (logged exercise ID)
+ * @response { success: boolean, data: Array (same shape as the upload response) }
+ */
+router.get('/:id/photos', entryPhotosController.getExercisePhotos);
+
+/**
+ * @route   DELETE /api/exercise-logging/:id/photos/:photoId
+ * @desc    Delete a photo and its stored files
+ * @access  Private
+ * @params  id: number (logged exercise ID), photoId: number
+ */
+router.delete('/:id/photos/:photoId', entryPhotosController.deleteExercisePhoto);
+
+/**
+ * @route   POST /api/exercise-logging/:id/restore
+ * @desc    Undo deleting a logged exercise (deletes are soft and kept for 30 days)
+ * @access  Private
+ * @params  id: number (logged exercise ID)
+ * @response { success: boolean, data: object (the restored entry) }
+ */
+router.post('/:id/restore', exerciseLoggingController.restoreExercise);
+
+/**
+ * @route   GET /api/exercise-logging/:id/history
+ * @desc    Change history of a logged exercise, including deleted entries
+ * @access  Private
+ * @params  id: number (logged exercise ID)
+ * @response {
+ *   success: boolean,
+ *   data: { entry: object, is_deleted: boolean, revisions: array (same shape as the food entry history) }
+ * }
+ */
+router.get('/:id/history', exerciseLoggingController.getExerciseHistory);
+
 module.exports = router;
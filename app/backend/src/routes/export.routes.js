@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/export.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/export
+ * @desc    Download the food diary and/or workout log (streamed, suitable for spreadsheets and backups)
+ * @access  Private
+ * @query   {
+ *   from: string (optional, format: YYYY-MM-DD, default: earliest entry),
+ *   to: string (optional, format: YYYY-MM-DD, default: today),
+ *   format: string (optional, csv|json, default: csv),
+ *   type: string (optional, food|exercises|all, default: food for csv, all for json - csv holds one table)
+ * }
+ * @response csv: attachment with a header row, UTF-8 BOM and CRLF line endings
+ *   food columns: date, time, meal_type, food_name, brand, serving_size, servings_consumed,
+ *     calories_per_serving, total_calories, protein_g, carbs_g, fat_g, fiber_g, sugar_g, sodium_mg, notes, entry_id
+ *   exercises columns: date, time, exercise_name, category, duration_minutes, sets, reps,
+ *     weight_kg, distance_km, calories_burned, rating, notes, entry_id
+ * @response json: attachment {
+ *   success: boolean,
+ *   data: {
+ *     from: string|null,
+ *     to: string,
+ *     food_entries: array (same fields as the csv columns),
+ *     exercises: array (same fields as the csv columns)
+ *   }
+ * }
+ */
+router.get('/', exportController.exportData);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const fastingController = require('../controllers/fasting.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/fasting/start
+ * @desc    Start a fast (only one can run at a time)
+ * @access  Private
+ * @body    {
+ *   protocol: string (optional, 12:12|14:10|16:8|18:6|20:4|omad|custom, default: the user's protocol or 16:8),
+ *   target_hours: number (optional, 12-72, sets a custom protocol),
+ *   started_at: datetime (optional, default: now, e.g. the time of the last meal),
+ *   notes: string (optional)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     id, source: string (manual), protocol, target_hours, started_at, ended_at,
+ *     target_end_at: datetime, is_active: boolean, duration_hours: number,
+ *     remaining_hours: number, progress_percentage: number, target_reached: boolean, notes
+ *   }
+ * }
+ */
+router.post('/start', fastingController.startFast);
+
+/**
+ * @route   POST /api/fasting/stop
+ * @desc    End the running fast
+ * @access  Private
+ * @body    { ended_at: datetime (optional, default: now) }
+ * @response { success: boolean, data: object (same shape as start) }
+ */
+router.post('/stop', fastingController.stopFast);
+
+/**
+ * @route   GET /api/fasting/current
+ * @desc    Current fasting status
+ * @access  Private
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     protocol: { protocol: string, target_hours: number },
+ *     active_fast: object|null (same shape as start),
+ *     since_last_entry: { last_entry_at: datetime, hours: number }|null
+ *   }
+ * }
+ */
+router.get('/current', fastingController.getCurrentFast);
+
+/**
+ * @route   GET /api/fasting/history
+ * @desc    Fasts in a date range with a summary and streaks. Besides started/stopped fasts this
+ *          includes windows of 12 h or more between food entries (source: inferred) that don't
+ *          overlap one, measured against the user's protocol.
+ * @access  Private
+ * @query   from: string (optional, YYYY-MM-DD, default: 29 days before to),
+ *          to: string (optional, YYYY-MM-DD, default: today)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     from: string,
+ *     to: string,
+ *     protocol: { protocol: string, target_hours: number },
+ *     fasts: array (same shape as start, source: manual|inferred),
+ *     summary: { completed_fasts, target_reached, success_rate, average_hours, longest_hours },
+ *     streaks: {
+ *       current_streak: number (consecutive days up to today with a fast that reached its target),
+ *       longest_streak: number,
+ *       days_target_reached: number
+ *     }
+ *   }
+ * }
+ */
+router.get('/history', fastingController.getFastingHistory);
+
+/**
+ * @route   GET /api/fasting/protocol
+ * @desc    Get the user's default protocol and the supported protocols
+ * @access  Private
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     current: { protocol: string, target_hours: number },
+ *     available: array[{ protocol: string, target_hours: number }]
+ *   }
+ * }
+ */
+router.get('/protocol', fastingController.getProtocol);
+
+/**
+ * @route   PUT /api/fasting/protocol
+ * @desc    Set the user's default protocol, used for new fasts and inferred windows
+ * @access  Private
+ * @body    {
+ *   protocol: string (optional, 12:12|14:10|16:8|18:6|20:4|omad|custom),
+ *   target_hours: number (required for custom, 12-72)
+ * }
+ */
+router.put('/protocol', fastingController.updateProtocol);
+
+/**
+ * @route   DELETE /api/fasting/:id
+ * @desc    Delete a fast
+ * @access  Private (user can only delete their own fasts)
+ * @params  id: number (fast ID)
+ */
+router.delete('/:id', fastingController.deleteFast);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const foodsController = require('../controllers/foods.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/foods/search
+ * @desc    Search the food catalog by name or brand
+ * @access  Private
+ * @query   q: string (required, min 2 characters), limit: number (optional, default: 20, max: 100)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     query: string,
+ *     foods: array[{
+ *       ...food,
+ *       per_serving: {
+ *         calories: number,
+ *         protein_g: number,
+ *         carbs_g: number,
+ *         fat_g: number,
+ *         fiber_g: number,
+ *         sugar_g: number,
+ *         sodium_mg: number
+ *       }
+ *     }],
+ *     total_count: number
+ *   }
+ * }
+ */
+router.get('/search', foodsController.searchFoods);
+
+/**
+ * @route   GET /api/foods/barcode/:code
+ * @desc    Look up a packaged food by UPC/EAN barcode
+ * @access  Private
+ * @params  code: string (UPC-A, EAN-8, EAN-13 or GTIN-14 with a valid check digit)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     barcode: string (normalized),
+ *     food: object (same shape as search results),
+ *     entry_template: object (body for POST /api/calorie-entries, one default serving)
+ *   }
+ * }
+ */
+router.get('/barcode/:code', foodsController.getFoodByBarcode);
+
+/**
+ * @route   POST /api/foods
+ * @desc    Add a custom food to the catalog
+ * @access  Private (custom foods are only visible to their creator)
+ * @body    {
+ *   name: string (required),
+ *   brand: string (optional),
+ *   serving_size_g: number (optional, default: 100),
+ *   serving_description: string (optional, default: "<serving_size_g> g"),
+ *   servings: array (optional, [{ label: string, grams: number }] - labels like "1 cup" also enable that unit),
+ *   unit_grams: object (optional, grams per volume or piece unit, e.g. { "cup": 244, "piece": 50 };
+ *     one volume unit is enough for the others to be derived),
+ *   calories_per_100g: number (required),
+ *   protein_per_100g: number (optional),
+ *   carbs_per_100g: number (optional),
+ *   fat_per_100g: number (optional),
+ *   fiber_per_100g: number (optional),
+ *   sugar_per_100g: number (optional),
+ *   sodium_mg_per_100g: number (optional),
+ *   micronutrients_per_100g: object (optional, e.g. { "iron_mg": 2.1 }, same keys as entry micronutrients)
+ * }
+ */
+router.post('/', foodsController.createFood);
+
+/**
+ * @route   GET /api/foods/:id
+ * @desc    Get a food with its serving definitions
+ * @access  Private
+ * @params  id: number (food ID)
+ */
+router.get('/:id', foodsController.getFood);
+
+module.exports = router;
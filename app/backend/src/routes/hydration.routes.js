@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const hydrationController = require('../controllers/hydration.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/hydration
+ * @desc    Log water (or another drink)
+ * @access  Private
+ * @body    {
+ *   amount_ml: number (required unless amount and unit are given, 1-5000),
+ *   amount: number (optional, with unit),
+ *   unit: string (optional, ml|l|fl_oz|cup|tbsp|tsp),
+ *   beverage: string (optional, default: "water"),
+ *   logged_at: datetime (optional, default: now),
+ *   notes: string (optional)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     entry: object,
+ *     daily_total_ml: number,
+ *     goal_ml: number,
+ *     remaining_ml: number
+ *   }
+ * }
+ */
+router.post('/', hydrationController.logWater);
+
+/**
+ * @route   GET /api/hydration
+ * @desc    Get a day's water intake against the daily goal (35 ml per kg of weight_kg, 2000 ml when weight isn't set)
+ * @access  Private
+ * @query   date: string (optional, format: YYYY-MM-DD, default: today)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     date: string,
+ *     total_ml: number,
+ *     goal_ml: number,
+ *     remaining_ml: number,
+ *     goal_percentage: number,
+ *     goal_met: boolean,
+ *     goal_basis: string (body_weight|default),
+ *     entries: Array
+ *   }
+ * }
+ */
+router.get('/', hydrationController.getDailyHydration);
+
+/**
+ * @route   DELETE /api/hydration/:id
+ * @desc    Delete a water log entry
+ * @access  Private (user can only delete their own entries)
+ * @params  id: number (water log ID)
+ */
+router.delete('/:id', hydrationController.deleteWaterLog);
+
+module.exports = router;
@@ -6,6 +6,13 @@ const calorieEntriesRoutes = require('./calorie-entries.routes');
 const calorieBalanceRoutes = require('./calorie-balance.routes');
 const exerciseLoggingRoutes = require('./exercise-logging.routes');
 const aiRecommendationsRoutes = require('./ai-recommendations.routes');
+const foodsRoutes = require('./foods.routes');
+const recipesRoutes = require('./recipes.routes');
+const mealsRoutes = require('./meals.routes');
+const exportRoutes = require('./export.routes');
+const hydrationRoutes = require('./hydration.routes');
+const fastingRoutes = require('./fasting.routes');
+const workoutsRoutes = require('./workouts.routes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -22,6 +29,13 @@ router.use('/calorie-entries', calorieEntriesRoutes);
 router.use('/calorie-balance', calorieBalanceRoutes);
 router.use('/exercise-logging', exerciseLoggingRoutes);
 router.use('/ai-recommendations', aiRecommendationsRoutes);
+router.use('/foods', foodsRoutes);
+router.use('/recipes', recipesRoutes);
+router.use('/meals', mealsRoutes);
+router.use('/export', exportRoutes);
+router.use('/hydration', hydrationRoutes);
+router.use('/fasting', fastingRoutes);
+router.use('/workouts', workoutsRoutes);
 
 // 404 handler for unmatched API routes
 router.use('*', (req, res) => {
@@ -32,20 +46,90 @@ router.use('*', (req, res) => {
             health: 'GET /api/health',
             food_logging: {
                 create: 'POST /api/calorie-entries',
+                bulk_create: 'POST /api/calorie-entries/bulk',
+                list: 'GET /api/calorie-entries',
                 daily: 'GET /api/calorie-entries/daily',
+                micronutrients: 'GET /api/calorie-entries/micronutrients',
+                recents: 'GET /api/calorie-entries/recents',
+                frequents: 'GET /api/calorie-entries/frequents',
+                copy: 'POST /api/calorie-entries/copy',
+                import: 'POST /api/calorie-entries/import',
+                parse: 'POST /api/calorie-entries/parse',
                 update: 'PUT /api/calorie-entries/:id',
-                delete: 'DELETE /api/calorie-entries/:id'
+                delete: 'DELETE /api/calorie-entries/:id',
+                restore: 'POST /api/calorie-entries/:id/restore',
+                history: 'GET /api/calorie-entries/:id/history',
+                upload_photo: 'POST /api/calorie-entries/:id/photos',
+                list_photos: 'GET /api/calorie-entries/:id/photos',
+                delete_photo: 'DELETE /api/calorie-entries/:id/photos/:photoId'
+            },
+            food_catalog: {
+                search: 'GET /api/foods/search',
+                barcode: 'GET /api/foods/barcode/:code',
+                get_food: 'GET /api/foods/:id',
+                create_food: 'POST /api/foods'
+            },
+            recipes: {
+                create: 'POST /api/recipes',
+                list: 'GET /api/recipes',
+                get: 'GET /api/recipes/:id',
+                update: 'PUT /api/recipes/:id',
+                delete: 'DELETE /api/recipes/:id'
+            },
+            saved_meals: {
+                create: 'POST /api/meals',
+                list: 'GET /api/meals',
+                get: 'GET /api/meals/:id',
+                update: 'PUT /api/meals/:id',
+                delete: 'DELETE /api/meals/:id',
+                log: 'POST /api/meals/:id/log'
+            },
+            hydration: {
+                log: 'POST /api/hydration',
+                daily: 'GET /api/hydration',
+                delete: 'DELETE /api/hydration/:id'
+            },
+            fasting: {
+                start: 'POST /api/fasting/start',
+                stop: 'POST /api/fasting/stop',
+                current: 'GET /api/fasting/current',
+                history: 'GET /api/fasting/history',
+                get_protocol: 'GET /api/fasting/protocol',
+                update_protocol: 'PUT /api/fasting/protocol',
+                delete: 'DELETE /api/fasting/:id'
+            },
+            workouts: {
+                start: 'POST /api/workouts',
+                list: 'GET /api/workouts',
+                current: 'GET /api/workouts/current',
+                get: 'GET /api/workouts/:id',
+                finish: 'POST /api/workouts/:id/finish'
             },
             calorie_balance: {
                 daily: 'GET /api/calorie-balance/daily',
                 weekly: 'GET /api/calorie-balance/weekly',
-                summary: 'GET /api/calorie-balance/summary'
+                summary: 'GET /api/calorie-balance/summary',
+                get_goals: 'GET /api/calorie-balance/goals',
+                update_goals: 'PUT /api/calorie-balance/goals'
             },
             exercise_logging: {
                 log_exercise: 'POST /api/exercise-logging',
+                list_exercises: 'GET /api/exercise-logging',
                 daily_exercises: 'GET /api/exercise-logging/daily',
                 available_exercises: 'GET /api/exercise-logging/exercises',
-                preview_calories: 'GET /api/exercise-logging/preview'
+                preview_calories: 'GET /api/exercise-logging/preview',
+                personal_records: 'GET /api/exercise-logging/records',
+                get: 'GET /api/exercise-logging/:id',
+                update: 'PUT /api/exercise-logging/:id',
+                delete: 'DELETE /api/exercise-logging/:id',
+                upload_photo: 'POST /api/exercise-logging/:id/photos',
+                list_photos: 'GET /api/exercise-logging/:id/photos',
+                delete_photo: 'DELETE /api/exercise-logging/:id/photos/:photoId',
+                restore: 'POST /api/exercise-logging/:id/restore',
+                history: 'GET /api/exercise-logging/:id/history'
+            },
+            data_export: {
+                export: 'GET /api/export'
             },
             ai_recommendations: {
                 personalized: 'GET /api/ai-recommendations/personalized',
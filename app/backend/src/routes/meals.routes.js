@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const mealsController = require('../controllers/meals.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/meals
+ * @desc    Create a saved meal template
+ * @access  Private
+ * @body    {
+ *   name: string (required),
+ *   default_meal_type: string (optional, enum: breakfast|lunch|dinner|snack, default: snack),
+ *   notes: string (optional),
+ *   items: array (required) [{
+ *     food_id: number (catalog food, with optional quantity_g or serving_label),
+ *       - or -
+ *     recipe_id: number,
+ *       - or -
+ *     food_name, calories_per_serving and optional brand, serving_size, macros (free-form),
+ *     servings_consumed: number (optional, default: 1.0)
+ *   }]
+ * }
+ */
+router.post('/', mealsController.createMeal);
+
+/**
+ * @route   GET /api/meals
+ * @desc    List saved meals with the totals they would log today
+ * @access  Private
+ */
+router.get('/', mealsController.listMeals);
+
+/**
+ * @route   POST /api/meals/:id/log
+ * @desc    Log every item of a saved meal as food entries in a single transaction
+ * @access  Private (user can only log their own saved meals)
+ * @params  id: number (saved meal ID)
+ * @body    {
+ *   consumed_at: datetime (optional, default: now),
+ *   meal_type: string (optional, default: the saved meal's default_meal_type),
+ *   notes: string (optional, applied to every entry)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     saved_meal_id: number,
+ *     entries: Array,
+ *     meal_totals: object (same shape as daily_totals)
+ *   },
+ *   fasting_warning: object (only when consumed_at falls inside a fast, same shape as POST /api/calorie-entries)
+ * }
+ */
+router.post('/:id/log', mealsController.logMeal);
+
+/**
+ * @route   GET /api/meals/:id
+ * @desc    Get a saved meal with its items and estimated totals
+ * @access  Private (user can only access their own saved meals)
+ * @params  id: number (saved meal ID)
+ */
+router.get('/:id', mealsController.getMeal);
+
+/**
+ * @route   PUT /api/meals/:id
+ * @desc    Update a saved meal; an items array replaces all current items
+ * @access  Private (user can only update their own saved meals)
+ * @params  id: number (saved meal ID)
+ * @body    Any field from the create endpoint
+ */
+router.put('/:id', mealsController.updateMeal);
+
+/**
+ * @route   DELETE /api/meals/:id
+ * @desc    Delete a saved meal (entries already logged from it are unaffected)
+ * @access  Private (user can only delete their own saved meals)
+ * @params  id: number (saved meal ID)
+ */
+router.delete('/:id', mealsController.deleteMeal);
+
+module.exports = router;
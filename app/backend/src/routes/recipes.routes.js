@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const recipesController = require('../controllers/recipes.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/recipes
+ * @desc    Create a recipe; nutrition is derived from its ingredients
+ * @access  Private
+ * @body    {
+ *   name: string (required),
+ *   description: string (optional),
+ *   servings: number (optional, servings the recipe yields, default: 1),
+ *   serving_description: string (optional, e.g. "1 bowl", default: "1 serving"),
+ *   total_yield_g: number (optional, cooked weight - allows logging by grams),
+ *   instructions: string (optional),
+ *   ingredients: array (required) [{
+ *     food_id: number (catalog food) with quantity_g: number or serving_label: string,
+ *       - or -
+ *     name: string and calories: number (raw nutrition for the amount used),
+ *     protein_g, carbs_g, fat_g, fiber_g, sugar_g, sodium_mg: number (optional, raw only),
+ *     servings: number (optional multiplier, default: 1)
+ *   }]
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     ...recipe,
+ *     ingredients: array[{ ...ingredient, nutrition: object }],
+ *     nutrition: {
+ *       totals: object,
+ *       per_serving: {
+ *         calories: number,
+ *         protein_g: number,
+ *         carbs_g: number,
+ *         fat_g: number,
+ *         fiber_g: number,
+ *         sugar_g: number,
+ *         sodium_mg: number
+ *       },
+ *       per_100g: object|null
+ *     }
+ *   }
+ * }
+ */
+router.post('/', recipesController.createRecipe);
+
+/**
+ * @route   GET /api/recipes
+ * @desc    List the user's recipes with derived nutrition
+ * @access  Private
+ * @query   q: string (optional, name filter)
+ */
+router.get('/', recipesController.listRecipes);
+
+/**
+ * @route   GET /api/recipes/:id
+ * @desc    Get a recipe with per-ingredient nutrition breakdown
+ * @access  Private (user can only access their own recipes)
+ * @params  id: number (recipe ID)
+ */
+router.get('/:id', recipesController.getRecipe);
+
+/**
+ * @route   PUT /api/recipes/:id
+ * @desc    Update a recipe; an ingredients array replaces all current ingredients
+ * @access  Private (user can only update their own recipes)
+ * @params  id: number (recipe ID)
+ * @body    Any field from the create endpoint
+ */
+router.put('/:id', recipesController.updateRecipe);
+
+/**
+ * @route   DELETE /api/recipes/:id
+ * @desc    Delete a recipe (already logged entries are unaffected)
+ * @access  Private (user can only delete their own recipes)
+ * @params  id: number (recipe ID)
+ */
+router.delete('/:id', recipesController.deleteRecipe);
+
+module.exports = router;
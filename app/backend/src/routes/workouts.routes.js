@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const workoutsController = require('../controllers/workouts.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/workouts
+ * @desc    Start a workout session (only one can be in progress at a time). Log its exercises
+ *          with POST /api/exercise-logging and workout_id. The session is also set as the Firebase
+ *          appState/currentWorkout (with workoutId) for live display
+ * @access  Private
+ * @body    {
+ *   title: string (optional, max 100 characters),
+ *   notes: string (optional),
+ *   started_at: datetime (optional, default: now)
+ * }
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     id, title, notes, started_at, ended_at: datetime|null, is_active: boolean,
+ *     duration_minutes: number (so far while in progress), perceived_exertion, total_calories_burned
+ *   }
+ * }
+ */
+router.post('/', workoutsController.startWorkout);
+
+/**
+ * @route   GET /api/workouts
+ * @desc    List workouts, newest first
+ * @access  Private
+ * @query   page: number (optional, default: 1), limit: number (optional, default: 20, max: 100)
+ * @response {
+ *   success: boolean,
+ *   data: { workouts: array (same shape as start), pagination: { page, limit, total_entries, total_pages } }
+ * }
+ */
+router.get('/', workoutsController.getWorkouts);
+
+/**
+ * @route   GET /api/workouts/current
+ * @desc    The workout in progress with its exercises, or null
+ * @access  Private
+ * @response { success: boolean, data: object|null (same shape as GET /:id) }
+ */
+router.get('/current', workoutsController.getCurrentWorkout);
+
+/**
+ * @route   GET /api/workouts/:id
+ * @desc    A workout with its exercises
+ * @access  Private (user can only view their own workouts)
+ * @params  id: number (workout ID)
+ * @response {
+ *   success: boolean,
+ *   data: {
+ *     ...same fields as start,
+ *     exercises: array (logged exercises with exercise and set_details, in order performed),
+ *     summary: {
+ *       exercise_count, total_calories_burned, total_exercise_minutes,
+ *       total_volume_kg, total_distance_km
+ *     }
+ *   }
+ * }
+ */
+router.get('/:id', workoutsController.getWorkout);
+
+/**
+ * @route   POST /api/workouts/:id/finish
+ * @desc    Finish a workout and store its total calories. Clears the Firebase appState/currentWorkout
+ *          when it is this workout
+ * @access  Private (user can only finish their own workouts)
+ * @params  id: number (workout ID)
+ * @body    {
+ *   ended_at: datetime (optional, default: now),
+ *   perceived_exertion: number (optional, session RPE 1-10),
+ *   title: string (optional),
+ *   notes: string (optional)
+ * }
+ * @response { success: boolean, data: object (same shape as GET /:id) }
+ */
+router.post('/:id/finish', workoutsController.finishWorkout);
+
+module.exports = router;
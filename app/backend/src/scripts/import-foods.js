@@ -0,0 +1,66 @@
+/**
+ * Offline food catalog importer
+ *
+ * Loads an Open Food Facts style dump (CSV/TSV export or JSONL, optionally
+ * gzipped) into the foods table so scanned barcodes resolve locally.
+ *
+ * Usage (from the app directory):
+ *   npm run import:foods -- <file> [--format csv|jsonl] [--batch 500] [--limit N] [--source name] [--dry-run]
+ */
+
+const db = require('../../../models');
+const foodImportService = require('../services/food-import.service');
+
+function parseArgs(argv) {
+    const args = { file: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--format') {
+            args.format = argv[++i];
+        } else if (arg === '--batch') {
+            args.batchSize = parseInt(argv[++i]);
+        } else if (arg === '--limit') {
+            args.limit = parseInt(argv[++i]);
+        } else if (arg === '--source') {
+            args.source = argv[++i];
+        } else if (!args.file) {
+            args.file = arg;
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.file) {
+        console.error('Usage: npm run import:foods -- <file> [--format csv|jsonl] [--batch 500] [--limit N] [--source name] [--dry-run]');
+        process.exit(1);
+    }
+
+    console.log(`📦 Importing foods from ${args.file}${args.dryRun ? ' (dry run)' : ''}...`);
+
+    try {
+        await db.sequelize.authenticate();
+
+        const summary = await foodImportService.importFile(args.file, {
+            ...args,
+            onProgress: progress => {
+                console.log(`   ${progress.records_read} read, ${progress.imported} imported, ${progress.skipped} skipped`);
+            }
+        });
+
+        console.log('✅ Import finished:', JSON.stringify(summary, null, 2));
+    } catch (error) {
+        console.error('❌ Food import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.sequelize.close();
+    }
+}
+
+main();
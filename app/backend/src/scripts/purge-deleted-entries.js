@@ -0,0 +1,53 @@
+/**
+ * Purge soft-deleted diary entries
+ *
+ * Permanently removes food entries and logged exercises that were deleted
+ * longer ago than the restore window, together with their photos and
+ * revision history. Meant to run from a daily cron job.
+ *
+ * Usage (from the app directory):
+ *   npm run purge:deleted -- [--days 30] [--dry-run]
+ */
+
+const db = require('../../../models');
+const entryRevisionService = require('../services/entry-revision.service');
+
+function parseArgs(argv) {
+    const args = { dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            args.dryRun = true;
+        } else if (argv[i] === '--days') {
+            args.days = parseInt(argv[++i]);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.days !== undefined && !(args.days >= 0)) {
+        console.error('Usage: npm run purge:deleted -- [--days 30] [--dry-run]');
+        process.exit(1);
+    }
+
+    console.log(`🧹 Purging deleted entries${args.dryRun ? ' (dry run)' : ''}...`);
+
+    try {
+        await db.sequelize.authenticate();
+
+        const summary = await entryRevisionService.purgeDeleted(args);
+
+        console.log(`✅ ${args.dryRun ? 'Would purge' : 'Purged'}:`, JSON.stringify(summary));
+    } catch (error) {
+        console.error('❌ Purge failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.sequelize.close();
+    }
+}
+
+main();
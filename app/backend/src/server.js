@@ -9,6 +9,8 @@ const db = require('../../models');
 
 // Import routes
 const apiRoutes = require('./routes');
+const path = require('path');
+const localStorageService = require('./services/local-storage.service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,6 +22,16 @@ app.use(morgan('combined')); // Request logging
 app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
+// Uploaded photos, when stored on local disk rather than S3
+// Only photos/ is served: photos of soft-deleted entries are moved to deleted/.
+if ((process.env.STORAGE_DRIVER || 'local').toLowerCase() === 'local') {
+    app.use('/uploads/photos', (req, res, next) => {
+        // helmet defaults to same-origin, which would stop the frontend loading images
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+        next();
+    }, express.static(path.join(localStorageService.getRoot(), 'photos'), { maxAge: '7d', index: false }));
+}
+
 // API routes
 app.use('/api', apiRoutes);
 
@@ -31,7 +43,12 @@ app.get('/', (req, res) => {
         endpoints: {
             health: '/api/health',
             food_logging: '/api/calorie-entries',
-            calorie_balance: '/api/calorie-balance'
+            food_catalog: '/api/foods',
+            calorie_balance: '/api/calorie-balance',
+            data_export: '/api/export',
+            hydration: '/api/hydration',
+            fasting: '/api/fasting',
+            workouts: '/api/workouts'
         }
     });
 });
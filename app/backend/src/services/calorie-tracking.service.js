@@ -4,6 +4,29 @@ const UserExercises = db.UserExercises;
 const Users = db.Users;
 const { Op } = require('sequelize');
 
+/**
+ * Macro goals tracked alongside calories
+ * kind: minimum goals are met at or above the target, limits at or below it.
+ * kcal_per_g converts percentage-of-calorie goals to grams.
+ */
+const MACRO_GOALS = [
+    { key: 'protein', total: 'total_protein', goal: 'protein_goal', unit: 'g', kind: 'minimum', kcal_per_g: 4 },
+    { key: 'carbs', total: 'total_carbs', goal: 'carbs_goal', unit: 'g', kind: 'limit', kcal_per_g: 4 },
+    { key: 'fat', total: 'total_fat', goal: 'fat_goal', unit: 'g', kind: 'limit', kcal_per_g: 9 },
+    { key: 'fiber', total: 'total_fiber', goal: 'fiber_goal_g', unit: 'g', kind: 'minimum' },
+    { key: 'sugar', total: 'total_sugar', goal: 'sugar_goal_g', unit: 'g', kind: 'limit' },
+    { key: 'sodium', total: 'total_sodium', goal: 'sodium_goal_mg', unit: 'mg', kind: 'limit' }
+];
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Optional per-meal calorie targets, e.g. breakfast_calorie_goal
+const MEAL_GOAL_FIELDS = MEAL_TYPES.map(mealType => `${mealType}_calorie_goal`);
+
+const GOAL_FIELDS = ['daily_calorie_goal', 'macro_goal_type', ...MACRO_GOALS.map(macro => macro.goal), ...MEAL_GOAL_FIELDS];
+
+const round1 = value => Math.round(value * 10) / 10;
+
 /**
  * Calculate daily calorie balance for a user
  * Formula: Net Calories = Food Calories - Exercise Calories
@@ -18,40 +41,137 @@ class CalorieTrackingService {
      * @returns {Promise<number>} Total calories consumed
      */
     async getDailyFoodCalories(userId, date) {
-        try {
-            // Convert Firebase UID to integer user ID
-            const user = await Users.findOne({
-                where: { firebase_uid: userId },
-                attributes: ['id']
-            });
-
-            if (!user) {
-                return 0; // User not found, return 0 calories
-            }
+        const totals = await this.getDailyFoodTotals(userId, date);
+        return Math.round(totals.total_calories);
+    }
 
+    /**
+     * Get calorie and nutrient totals for a specific date
+     * @param {string} userId - User's Firebase UID
+     * @param {Date} date - Target date
+     * @returns {Promise<Object>} Totals in the calculateEntryTotals shape
+     */
+    async getDailyFoodTotals(userId, date) {
+        try {
             const startOfDay = new Date(date);
             startOfDay.setHours(0, 0, 0, 0);
             
             const endOfDay = new Date(date);
             endOfDay.setHours(23, 59, 59, 999);
 
+            // Food entries are stored under the Firebase UID (see POST /api/calorie-entries)
             const foodEntries = await CalorieEntries.findAll({
                 where: {
-                    user_id: user.id,
+                    user_id: userId,
                     consumed_at: {
                         [Op.between]: [startOfDay, endOfDay]
                     }
                 }
             });
 
-            const totalFoodCalories = foodEntries.reduce((total, entry) => {
-                return total + (entry.calories_per_serving * entry.servings_consumed);
-            }, 0);
-
-            return Math.round(totalFoodCalories);
+            return this.calculateEntryTotals(foodEntries);
         } catch (error) {
-            throw new Error(`Error calculating daily food calories: ${error.message}`);
+            throw new Error(`Error calculating daily food totals: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sum calories and nutrients across food entries (servings already applied)
+     * @param {Array} entries - CalorieEntries rows or plain objects with the same fields
+     * @returns {Object} Totals in the daily_totals shape used by the food diary
+     */
+    calculateEntryTotals(entries) {
+        return entries.reduce((totals, entry) => {
+            const totalCalories = entry.calories_per_serving * entry.servings_consumed;
+            const totalProtein = (entry.protein_g || 0) * entry.servings_consumed;
+            const totalCarbs = (entry.carbs_g || 0) * entry.servings_consumed;
+            const totalFat = (entry.fat_g || 0) * entry.servings_consumed;
+            const totalFiber = (entry.fiber_g || 0) * entry.servings_consumed;
+            const totalSugar = (entry.sugar_g || 0) * entry.servings_consumed;
+            const totalSodium = (entry.sodium_mg || 0) * entry.servings_consumed;
+
+            return {
+                total_calories: totals.total_calories + totalCalories,
+                total_protein: totals.total_protein + totalProtein,
+                total_carbs: totals.total_carbs + totalCarbs,
+                total_fat: totals.total_fat + totalFat,
+                total_fiber: totals.total_fiber + totalFiber,
+                total_sugar: totals.total_sugar + totalSugar,
+                total_sodium: totals.total_sodium + totalSodium,
+                entry_count: totals.entry_count + 1
+            };
+        }, {
+            total_calories: 0,
+            total_protein: 0,
+            total_carbs: 0,
+            total_fat: 0,
+            total_fiber: 0,
+            total_sugar: 0,
+            total_sodium: 0,
+            entry_count: 0
+        });
+    }
+
+    /**
+     * Split a day's entries by meal_type
+     * @param {Array} entries - The day's CalorieEntries
+     * @param {Object|null} goals - Result of getUserGoals, for per-meal calorie targets
+     * @returns {Object} Per meal: totals (calculateEntryTotals shape), calorie_share of the day,
+     *   first/last entry time, and calorie target / remaining when a target is set
+     */
+    calculateMealBreakdown(entries, goals) {
+        const dayCalories = entries.reduce((sum, entry) => sum + entry.calories_per_serving * entry.servings_consumed, 0);
+        const breakdown = {};
+
+        MEAL_TYPES.forEach(mealType => {
+            const mealEntries = entries.filter(entry => entry.meal_type === mealType);
+            const totals = this.calculateEntryTotals(mealEntries);
+            const calories = Math.round(totals.total_calories);
+            const target = goals ? goals[`${mealType}_calorie_goal`] : null;
+            const times = mealEntries.map(entry => new Date(entry.consumed_at).getTime());
+
+            breakdown[mealType] = {
+                ...totals,
+                total_calories: calories,
+                total_protein: round1(totals.total_protein),
+                total_carbs: round1(totals.total_carbs),
+                total_fat: round1(totals.total_fat),
+                total_fiber: round1(totals.total_fiber),
+                total_sugar: round1(totals.total_sugar),
+                total_sodium: round1(totals.total_sodium),
+                calorie_share: dayCalories > 0 ? Math.round((totals.total_calories / dayCalories) * 100) : 0,
+                first_entry_at: times.length > 0 ? new Date(Math.min(...times)) : null,
+                last_entry_at: times.length > 0 ? new Date(Math.max(...times)) : null,
+                calorie_target: target,
+                calories_remaining: target === null ? null : Math.max(target - calories, 0),
+                is_over_target: target === null ? null : calories > target
+            };
+        });
+
+        return breakdown;
+    }
+
+    /**
+     * First and last time food was logged, and the eating window between them
+     * @param {Array} entries - The day's CalorieEntries
+     * @returns {Object} { first_meal_at, last_meal_at, eating_window_minutes, eating_window_hours }
+     */
+    calculateMealTiming(entries) {
+        if (entries.length === 0) {
+            return { first_meal_at: null, last_meal_at: null, eating_window_minutes: 0, eating_window_hours: 0 };
         }
+
+        const times = entries.map(entry => new Date(entry.consumed_at).getTime());
+        const first = Math.min(...times);
+        const last = Math.max(...times);
+        const minutes = Math.round((last - first) / 60000);
+
+        return {
+            first_meal_at: new Date(first),
+            last_meal_at: new Date(last),
+            eating_window_minutes: minutes,
+            eating_window_hours: round1(minutes / 60)
+        };
     }
 
     /**
@@ -122,6 +242,151 @@ class CalorieTrackingService {
         }
     }
 
+    /**
+     * Get user's calorie and macro goals
+     * @param {string} userId - User's Firebase UID
+     * @returns {Promise<Object|null>} Goal fields, or null if the user doesn't exist
+     */
+    async getUserGoals(userId) {
+        const user = await Users.findOne({
+            where: { firebase_uid: userId },
+            attributes: GOAL_FIELDS
+        });
+
+        if (!user) {
+            return null;
+        }
+
+        const goals = {};
+        GOAL_FIELDS.forEach(field => {
+            const value = user[field];
+            goals[field] = value === null || value === undefined || field === 'macro_goal_type' ? value : Number(value);
+        });
+        return goals;
+    }
+
+    /**
+     * Validate and save goal changes
+     * @param {string} userId - User's Firebase UID
+     * @param {Object} changes - Any of daily_calorie_goal, macro_goal_type and the macro goal fields (null clears a goal)
+     * @returns {Promise<{ goals: Object|null, error: string|null }>} Updated goals, or a validation message
+     */
+    async updateUserGoals(userId, changes) {
+        const user = await Users.findOne({ where: { firebase_uid: userId } });
+        if (!user) {
+            return { goals: null, error: null };
+        }
+
+        const updates = {};
+        GOAL_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) {
+                updates[field] = changes[field] === '' ? null : changes[field];
+            }
+        });
+
+        const goalType = updates.macro_goal_type || user.macro_goal_type;
+        if (!['grams', 'percentage'].includes(goalType)) {
+            return { goals: null, error: 'macro_goal_type must be one of: grams, percentage' };
+        }
+
+        if (goalType === 'percentage') {
+            const percentages = MACRO_GOALS.filter(macro => macro.kcal_per_g).map(macro => {
+                const value = updates[macro.goal] !== undefined ? updates[macro.goal] : user[macro.goal];
+                return Number(value || 0);
+            });
+
+            if (percentages.some(value => value < 0 || value > 100)) {
+                return { goals: null, error: 'Percentage goals must be between 0 and 100' };
+            }
+            if (percentages.reduce((sum, value) => sum + value, 0) > 100) {
+                return { goals: null, error: 'protein_goal, carbs_goal and fat_goal add up to more than 100%' };
+            }
+        }
+
+        const dailyGoal = updates.daily_calorie_goal !== undefined ? updates.daily_calorie_goal : user.daily_calorie_goal;
+        const mealGoalTotal = MEAL_GOAL_FIELDS.reduce((sum, field) => {
+            const value = updates[field] !== undefined ? updates[field] : user[field];
+            return sum + Number(value || 0);
+        }, 0);
+        if (dailyGoal && mealGoalTotal > dailyGoal) {
+            return { goals: null, error: `Meal calorie goals add up to ${mealGoalTotal}, more than the daily_calorie_goal of ${dailyGoal}` };
+        }
+
+        await user.update(updates);
+        return { goals: await this.getUserGoals(userId), error: null };
+    }
+
+    /**
+     * Convert stored goals to daily gram (or mg) targets
+     * Percentage goals need a daily_calorie_goal; without one their targets are null.
+     * @param {Object|null} goals - Result of getUserGoals
+     * @returns {Object} Target per macro key, null when not set
+     */
+    resolveMacroTargets(goals) {
+        const targets = {};
+
+        MACRO_GOALS.forEach(macro => {
+            const value = goals ? goals[macro.goal] : null;
+
+            if (value === null || value === undefined) {
+                targets[macro.key] = null;
+            } else if (macro.kcal_per_g && goals.macro_goal_type === 'percentage') {
+                targets[macro.key] = goals.daily_calorie_goal
+                    ? round1((goals.daily_calorie_goal * value / 100) / macro.kcal_per_g)
+                    : null;
+            } else {
+                targets[macro.key] = value;
+            }
+        });
+
+        return targets;
+    }
+
+    /**
+     * Compare consumed nutrients with macro targets
+     * @param {Object} totals - Totals from calculateEntryTotals
+     * @param {Object} targets - Targets from resolveMacroTargets
+     * @returns {Object} Balance per macro key
+     */
+    calculateMacroBalance(totals, targets) {
+        const balance = {};
+
+        MACRO_GOALS.forEach(macro => {
+            const consumed = round1(totals[macro.total] || 0);
+            const target = targets[macro.key];
+
+            if (target === null) {
+                balance[macro.key] = {
+                    consumed,
+                    target: null,
+                    unit: macro.unit,
+                    goal_kind: macro.kind,
+                    remaining: 0,
+                    excess: 0,
+                    goal_percentage: 0,
+                    is_met: null,
+                    status: 'NO_GOAL_SET'
+                };
+                return;
+            }
+
+            const isOver = consumed > target;
+            balance[macro.key] = {
+                consumed,
+                target,
+                unit: macro.unit,
+                goal_kind: macro.kind, // minimum: aim to reach it, limit: aim to stay under it
+                remaining: isOver ? 0 : round1(target - consumed),
+                excess: isOver ? round1(consumed - target) : 0,
+                goal_percentage: target > 0 ? Math.round((consumed / target) * 100) : 0,
+                is_met: macro.kind === 'minimum' ? consumed >= target : consumed <= target,
+                status: isOver ? 'OVER_GOAL' : 'UNDER_GOAL'
+            };
+        });
+
+        return balance;
+    }
+
     /**
      * Calculate complete daily calorie balance
      * @param {string} userId - User's Firebase UID
@@ -131,11 +396,13 @@ class CalorieTrackingService {
     async calculateDailyBalance(userId, date = new Date()) {
         try {
             // Get all the data in parallel for efficiency
-            const [foodCalories, exerciseCalories, dailyGoal] = await Promise.all([
-                this.getDailyFoodCalories(userId, date),
+            const [foodTotals, exerciseCalories, dailyGoal, goals] = await Promise.all([
+                this.getDailyFoodTotals(userId, date),
                 this.getDailyExerciseCalories(userId, date),
-                this.getUserDailyGoal(userId)
+                this.getUserDailyGoal(userId),
+                this.getUserGoals(userId)
             ]);
+            const foodCalories = Math.round(foodTotals.total_calories);
 
             // Core calculation: Net Calories = Food - Exercise
             const netCalories = foodCalories - exerciseCalories;
@@ -160,7 +427,9 @@ class CalorieTrackingService {
                 goal_percentage: goalPercentage,
                 status: dailyGoal === 0 ? 'NO_GOAL_SET' : (isUnderGoal ? 'UNDER_GOAL' : 'OVER_GOAL'),
                 remaining_calories: (dailyGoal > 0 && isUnderGoal) ? calorieBalance : 0,
-                excess_calories: (dailyGoal > 0 && isOverGoal) ? Math.abs(calorieBalance) : 0
+                excess_calories: (dailyGoal > 0 && isOverGoal) ? Math.abs(calorieBalance) : 0,
+                macro_goal_type: goals ? goals.macro_goal_type : 'grams',
+                macro_balance: this.calculateMacroBalance(foodTotals, this.resolveMacroTargets(goals))
             };
         } catch (error) {
             throw new Error(`Error calculating daily balance: ${error.message}`);
@@ -201,10 +470,29 @@ class CalorieTrackingService {
                 days_over_goal: 0
             });
 
+            // Macro totals and how many days each goal was met
+            const weeklyMacros = {};
+            MACRO_GOALS.forEach(macro => {
+                const days = weekDays.map(day => day.macro_balance[macro.key]);
+                const total = round1(days.reduce((sum, day) => sum + day.consumed, 0));
+                const target = days[0].target;
+
+                weeklyMacros[macro.key] = {
+                    total,
+                    daily_average: round1(total / 7),
+                    daily_target: target,
+                    weekly_target: target === null ? null : round1(target * 7),
+                    unit: macro.unit,
+                    goal_kind: macro.kind,
+                    days_goal_met: days.filter(day => day.is_met === true).length
+                };
+            });
+
             return {
                 week_start: weekStartDate.toISOString().split('T')[0],
                 daily_balances: weekDays,
                 weekly_totals: weeklyTotals,
+                weekly_macros: weeklyMacros,
                 weekly_average_net: Math.round(weeklyTotals.total_net / 7),
                 success_rate: Math.round((weeklyTotals.days_under_goal / 7) * 100)
             };
@@ -0,0 +1,186 @@
+const db = require('../../../models');
+const CalorieEntries = db.CalorieEntries;
+const UserExercises = db.UserExercises;
+const Exercises = db.Exercises;
+const { Op } = require('sequelize');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Export columns per dataset: [column header, value getter]
+ */
+const DATASETS = {
+    food: {
+        label: 'food-diary',
+        columns: [
+            ['date', row => formatLocalDate(row.consumed_at)],
+            ['time', row => formatLocalTime(row.consumed_at)],
+            ['meal_type', row => row.meal_type],
+            ['food_name', row => row.food_name],
+            ['brand', row => row.brand],
+            ['serving_size', row => row.serving_size],
+            ['servings_consumed', row => toNumber(row.servings_consumed)],
+            ['calories_per_serving', row => row.calories_per_serving],
+            ['total_calories', row => Math.round(row.calories_per_serving * toNumber(row.servings_consumed))],
+            ['protein_g', row => toNumber(row.protein_g)],
+            ['carbs_g', row => toNumber(row.carbs_g)],
+            ['fat_g', row => toNumber(row.fat_g)],
+            ['fiber_g', row => toNumber(row.fiber_g)],
+            ['sugar_g', row => toNumber(row.sugar_g)],
+            ['sodium_mg', row => toNumber(row.sodium_mg)],
+            ['notes', row => row.notes],
+            ['entry_id', row => row.id]
+        ]
+    },
+    exercises: {
+        label: 'workout-log',
+        columns: [
+            ['date', row => formatLocalDate(row.performed_at)],
+            ['time', row => formatLocalTime(row.performed_at)],
+            ['exercise_name', row => row.exercise ? row.exercise.name : null],
+            ['category', row => row.exercise ? row.exercise.category : null],
+            ['duration_minutes', row => row.duration_minutes],
+            ['sets', row => row.sets],
+            ['reps', row => row.reps],
+            ['weight_kg', row => toNumber(row.weight_kg)],
+            ['distance_km', row => toNumber(row.distance_km)],
+            ['calories_burned', row => row.calories_burned],
+            ['rating', row => row.rating],
+            ['notes', row => row.notes],
+            ['entry_id', row => row.id]
+        ]
+    }
+};
+
+/**
+ * DECIMAL columns come back from MySQL as strings
+ */
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+function formatLocalDate(date) {
+    const d = new Date(date);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatLocalTime(date) {
+    const d = new Date(date);
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Data Export Service
+ *
+ * Reads a user's food diary and workout log in batches so exports of any
+ * length can be streamed to the client without loading every row at once.
+ */
+class DataExportService {
+
+    /**
+     * Dataset keys accepted by the export endpoint
+     */
+    getDatasets() {
+        return Object.keys(DATASETS);
+    }
+
+    /**
+     * Column headers for a dataset
+     * @param {string} dataset - food | exercises
+     * @returns {Array<string>}
+     */
+    getColumns(dataset) {
+        return DATASETS[dataset].columns.map(([header]) => header);
+    }
+
+    /**
+     * Flatten a row into export values, in column order
+     * @param {string} dataset - food | exercises
+     * @param {Object} row - CalorieEntries or UserExercises instance
+     * @returns {Array}
+     */
+    toValues(dataset, row) {
+        return DATASETS[dataset].columns.map(([, getter]) => getter(row));
+    }
+
+    /**
+     * Flatten a row into an export object keyed by column header
+     */
+    toRecord(dataset, row) {
+        const record = {};
+        DATASETS[dataset].columns.forEach(([header, getter]) => {
+            record[header] = getter(row);
+        });
+        return record;
+    }
+
+    /**
+     * Suggested download file name
+     * @param {string} dataset - food | exercises | all
+     * @param {Object} range - { from, to } as YYYY-MM-DD (from may be null)
+     * @param {string} extension - csv | json
+     */
+    getFileName(dataset, range, extension) {
+        const label = DATASETS[dataset] ? DATASETS[dataset].label : 'export';
+        const period = range.from ? `${range.from}-to-${range.to}` : `until-${range.to}`;
+        return `fitu-${label}-${period}.${extension}`;
+    }
+
+    /**
+     * Iterate a user's food entries oldest first
+     * @param {string} entryUserId - Value stored in calorie_entries.user_id
+     * @param {Object} range - { start, end } Date bounds (start may be null)
+     * @yields {Object} CalorieEntries instance
+     */
+    async* iterateFoodEntries(entryUserId, range) {
+        yield* this.iterateBatches(CalorieEntries, {
+            where: {
+                user_id: entryUserId,
+                consumed_at: this.buildRangeCondition(range)
+            },
+            order: [['consumed_at', 'ASC'], ['id', 'ASC']]
+        });
+    }
+
+    /**
+     * Iterate a user's logged exercises oldest first, with exercise names
+     * @param {number} userId - Integer user ID
+     * @param {Object} range - { start, end } Date bounds (start may be null)
+     * @yields {Object} UserExercises instance with exercise
+     */
+    async* iterateExercises(userId, range) {
+        yield* this.iterateBatches(UserExercises, {
+            where: {
+                user_id: userId,
+                performed_at: this.buildRangeCondition(range)
+            },
+            include: [{
+                model: Exercises,
+                as: 'exercise',
+                attributes: ['name', 'category']
+            }],
+            order: [['performed_at', 'ASC'], ['id', 'ASC']]
+        });
+    }
+
+    buildRangeCondition(range) {
+        return range.start
+            ? { [Op.between]: [range.start, range.end] }
+            : { [Op.lte]: range.end };
+    }
+
+    async* iterateBatches(model, query) {
+        for (let offset = 0; ; offset += BATCH_SIZE) {
+            const rows = await model.findAll({ ...query, limit: BATCH_SIZE, offset });
+            yield* rows;
+
+            if (rows.length < BATCH_SIZE) {
+                return;
+            }
+        }
+    }
+}
+
+module.exports = new DataExportService();
@@ -0,0 +1,294 @@
+const db = require('../../../models');
+const CalorieEntries = db.CalorieEntries;
+const { Op } = require('sequelize');
+const { readCsvRecords } = require('../utils/csv');
+
+// Exports only carry a date (MyFitnessPal) or an optional time (Cronometer),
+// so entries without a time are placed at a fixed time for their meal
+const DEFAULT_MEAL_TIMES = {
+    breakfast: [8, 0],
+    lunch: [12, 30],
+    dinner: [18, 30],
+    snack: [15, 0]
+};
+
+/**
+ * Column names per export format; the first header present in the file wins
+ */
+const FORMATS = {
+    myfitnesspal: {
+        label: 'MyFitnessPal',
+        columns: {
+            date: ['Date'],
+            meal: ['Meal'],
+            food_name: ['Food Name', 'Food', 'Note'],
+            calories: ['Calories'],
+            protein_g: ['Protein (g)', 'Protein'],
+            carbs_g: ['Carbohydrates (g)', 'Carbohydrates', 'Carbs (g)'],
+            fat_g: ['Fat (g)', 'Fat'],
+            fiber_g: ['Fiber', 'Fiber (g)'],
+            sugar_g: ['Sugar', 'Sugar (g)'],
+            sodium_mg: ['Sodium (mg)', 'Sodium']
+        }
+    },
+    cronometer: {
+        label: 'Cronometer',
+        columns: {
+            date: ['Day', 'Date'],
+            time: ['Time'],
+            meal: ['Group', 'Meal'],
+            food_name: ['Food Name'],
+            amount: ['Amount'],
+            calories: ['Energy (kcal)', 'Calories'],
+            protein_g: ['Protein (g)'],
+            carbs_g: ['Carbs (g)', 'Net Carbs (g)'],
+            fat_g: ['Fat (g)'],
+            fiber_g: ['Fiber (g)'],
+            sugar_g: ['Sugars (g)', 'Sugar (g)'],
+            sodium_mg: ['Sodium (mg)']
+        }
+    }
+};
+
+/**
+ * Diary Import Service
+ *
+ * Parses food diary CSV exports from other trackers into CalorieEntries rows,
+ * flags rows that already exist, and writes the rest in one transaction.
+ */
+class DiaryImportService {
+
+    /**
+     * Export formats accepted by parseExport
+     */
+    getSupportedFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Identify the export format from the header row
+     * @param {Array<string>} headers - CSV headers
+     * @returns {string|null} Format key or null when unrecognised
+     */
+    detectFormat(headers) {
+        const has = name => headers.some(header => header.toLowerCase() === name.toLowerCase());
+
+        if (has('Food Name') && has('Energy (kcal)')) {
+            return 'cronometer';
+        }
+        if (has('Date') && has('Meal') && has('Calories')) {
+            return 'myfitnesspal';
+        }
+        return null;
+    }
+
+    /**
+     * Parse an export into entry rows
+     * @param {string} csvText - Whole CSV file
+     * @param {Object} options - { format, entryUserId }
+     * @returns {Promise<Object>} { format, rows: [{ line, entry }], skipped: [{ line, reason }], total_rows }
+     */
+    async parseExport(csvText, options = {}) {
+        const rows = [];
+        const skipped = [];
+        let format = options.format && options.format !== 'auto' ? options.format : null;
+        let totalRows = 0;
+
+        for await (const { line, record } of readCsvRecords(csvText)) {
+            if (!format) {
+                format = this.detectFormat(Object.keys(record));
+                if (!format) {
+                    throw new Error(`Unrecognised CSV export. Supported formats: ${this.getSupportedFormats().join(', ')}`);
+                }
+            }
+
+            totalRows++;
+            const { entry, reason } = this.mapRecord(record, FORMATS[format], options.entryUserId);
+            if (entry) {
+                rows.push({ line, entry });
+            } else {
+                skipped.push({ line, reason });
+            }
+        }
+
+        return { format, rows, skipped, total_rows: totalRows };
+    }
+
+    /**
+     * Map one CSV record to CalorieEntries fields
+     * @returns {{ entry: Object|null, reason: string|null }}
+     */
+    mapRecord(record, format, entryUserId) {
+        const value = field => {
+            const header = (format.columns[field] || []).find(name => record[name] !== undefined && record[name] !== '');
+            return header ? record[header] : null;
+        };
+        const number = field => {
+            const parsed = parseFloat(String(value(field) || '').replace(/,/g, ''));
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+
+        const mealType = this.normalizeMealType(value('meal'));
+        const consumedAt = this.parseDateTime(value('date'), value('time'), mealType);
+        if (!consumedAt) {
+            return { entry: null, reason: value('date') ? `Invalid date "${value('date')}"` : 'Missing date' };
+        }
+
+        const calories = number('calories');
+        if (calories === null) {
+            return { entry: null, reason: 'Missing calories' };
+        }
+        if (calories < 0 || calories > 10000) {
+            return { entry: null, reason: `Calories out of range (${calories})` };
+        }
+
+        const round = field => Math.max(Math.round((number(field) || 0) * 100) / 100, 0);
+        const foodName = value('food_name') || `${format.label} ${mealType}`;
+
+        return {
+            reason: null,
+            entry: {
+                user_id: entryUserId,
+                food_name: foodName.slice(0, 255),
+                brand: null,
+                serving_size: (value('amount') || '1 serving').slice(0, 255),
+                calories_per_serving: Math.round(calories),
+                servings_consumed: 1.0,
+                protein_g: round('protein_g'),
+                carbs_g: round('carbs_g'),
+                fat_g: round('fat_g'),
+                fiber_g: round('fiber_g'),
+                sugar_g: round('sugar_g'),
+                sodium_mg: round('sodium_mg'),
+                meal_type: mealType,
+                consumed_at: consumedAt,
+                notes: `Imported from ${format.label}`
+            }
+        };
+    }
+
+    /**
+     * Map tracker meal names ("Snacks", "Uncategorized", "Meal 5") to FitU meal types
+     */
+    normalizeMealType(meal) {
+        const name = String(meal || '').toLowerCase();
+
+        if (name.startsWith('breakfast')) return 'breakfast';
+        if (name.startsWith('lunch')) return 'lunch';
+        if (name.startsWith('dinner') || name.startsWith('supper')) return 'dinner';
+        return 'snack';
+    }
+
+    /**
+     * Parse YYYY-MM-DD or MM/DD/YYYY plus an optional "HH:MM" / "h:mm AM" time as local time
+     * @returns {Date|null}
+     */
+    parseDateTime(dateText, timeText, mealType) {
+        if (!dateText) {
+            return null;
+        }
+
+        let year, month, day;
+        const iso = dateText.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const us = dateText.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (iso) {
+            [year, month, day] = [iso[1], iso[2], iso[3]].map(Number);
+        } else if (us) {
+            [month, day, year] = [us[1], us[2], us[3]].map(Number);
+        } else {
+            return null;
+        }
+
+        let [hours, minutes] = DEFAULT_MEAL_TIMES[mealType];
+        const time = String(timeText || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i);
+        if (time) {
+            hours = Number(time[1]) % (time[3] ? 12 : 24);
+            minutes = Number(time[2]);
+            if (time[3] && time[3].toLowerCase() === 'pm') {
+                hours += 12;
+            }
+        }
+
+        const date = new Date(year, month - 1, day, hours, minutes);
+        if (isNaN(date.getTime()) || date.getMonth() !== month - 1) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Key used to recognise an entry that was already imported or logged
+     */
+    duplicateKey(entry) {
+        const calories = Math.round(entry.calories_per_serving * entry.servings_consumed);
+        return `${new Date(entry.consumed_at).getTime()}|${entry.food_name.trim().toLowerCase()}|${calories}`;
+    }
+
+    /**
+     * Split parsed rows into new rows and rows matching existing diary entries
+     * Matches are counted per key, so identical lines in one meal (two bananas
+     * logged separately) are only skipped as far as the diary already has them.
+     * @param {Array} rows - Parsed rows from parseExport
+     * @param {string} entryUserId - Value stored in calorie_entries.user_id
+     * @returns {Promise<{ fresh: Array, duplicates: Array }>}
+     */
+    async findDuplicates(rows, entryUserId) {
+        if (rows.length === 0) {
+            return { fresh: [], duplicates: [] };
+        }
+
+        const times = rows.map(row => row.entry.consumed_at.getTime());
+        const earliest = times.reduce((min, time) => Math.min(min, time), Infinity);
+        const latest = times.reduce((max, time) => Math.max(max, time), -Infinity);
+
+        const existing = await CalorieEntries.findAll({
+            where: {
+                user_id: entryUserId,
+                consumed_at: {
+                    [Op.between]: [new Date(earliest), new Date(latest)]
+                }
+            },
+            attributes: ['consumed_at', 'food_name', 'calories_per_serving', 'servings_consumed']
+        });
+
+        const existingCounts = new Map();
+        existing.forEach(entry => {
+            const key = this.duplicateKey(entry);
+            existingCounts.set(key, (existingCounts.get(key) || 0) + 1);
+        });
+        const fresh = [];
+        const duplicates = [];
+
+        rows.forEach(row => {
+            const key = this.duplicateKey(row.entry);
+            const remaining = existingCounts.get(key) || 0;
+            if (remaining > 0) {
+                existingCounts.set(key, remaining - 1);
+                duplicates.push(row);
+            } else {
+                fresh.push(row);
+            }
+        });
+
+        return { fresh, duplicates };
+    }
+
+    /**
+     * Write parsed rows in one transaction
+     * @param {Array} rows - Rows to insert
+     * @returns {Promise<number>} Number of entries created
+     */
+    async saveRows(rows) {
+        await db.sequelize.transaction(async (transaction) => {
+            for (let i = 0; i < rows.length; i += 500) {
+                await CalorieEntries.bulkCreate(
+                    rows.slice(i, i + 500).map(row => row.entry),
+                    { transaction, validate: true }
+                );
+            }
+        });
+        return rows.length;
+    }
+}
+
+module.exports = new DiaryImportService();
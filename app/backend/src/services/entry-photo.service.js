@@ -0,0 +1,214 @@
+const db = require('../../../models');
+const EntryPhotos = db.EntryPhotos;
+const sharp = require('sharp');
+const { randomUUID } = require('crypto');
+const storageService = require('./storage.service');
+
+const MAX_PHOTOS_PER_ENTRY = 5;
+const MAX_DIMENSION = 2048; // Longest side of the stored image
+const THUMBNAIL_SIZE = 320; // Square thumbnail edge
+const JPEG_QUALITY = 82;
+const DELETED_PREFIX = 'deleted/'; // Files of soft-deleted entries, outside the served photos/ directory
+
+/**
+ * Entry Photo Service
+ *
+ * Photos attached to food entries and logged exercises. Uploads are
+ * re-encoded as JPEG (which also drops EXIF data such as GPS location),
+ * downsized, given a square thumbnail and written to the storage backend.
+ * While an entry is soft-deleted its files are moved under deleted/, so their
+ * URLs stop working until the entry is restored.
+ */
+class EntryPhotoService {
+
+    /**
+     * Resize and re-encode an upload
+     * @param {Buffer} buffer - Uploaded image
+     * @returns {Promise<Object>} { image, thumbnail, width, height }
+     */
+    async processImage(buffer) {
+        // rotate() applies the EXIF orientation before the metadata is dropped
+        const { data: image, info } = await sharp(buffer)
+            .rotate()
+            .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: JPEG_QUALITY })
+            .toBuffer({ resolveWithObject: true });
+
+        const thumbnail = await sharp(image)
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+            .jpeg({ quality: JPEG_QUALITY })
+            .toBuffer();
+
+        return { image, thumbnail, width: info.width, height: info.height };
+    }
+
+    /**
+     * Attach an uploaded photo to an entry
+     * @param {number} userId - Integer user ID
+     * @param {string} attachableType - calorie_entry | user_exercise
+     * @param {number} attachableId - Entry ID (ownership already checked)
+     * @param {Buffer} buffer - Uploaded image
+     * @returns {Promise<Object>} { photo, error }
+     */
+    async attachPhoto(userId, attachableType, attachableId, buffer) {
+        const existing = await EntryPhotos.count({
+            where: { attachable_type: attachableType, attachable_id: attachableId }
+        });
+        if (existing >= MAX_PHOTOS_PER_ENTRY) {
+            return { photo: null, error: `An entry can have at most ${MAX_PHOTOS_PER_ENTRY} photos` };
+        }
+
+        let processed;
+        try {
+            processed = await this.processImage(buffer);
+        } catch (error) {
+            return { photo: null, error: 'The uploaded file is not a readable image' };
+        }
+
+        const baseKey = `photos/${attachableType}/${randomUUID()}`;
+        const storageKey = `${baseKey}.jpg`;
+        const thumbnailKey = `${baseKey}_thumb.jpg`;
+
+        await storageService.put(storageKey, processed.image, 'image/jpeg');
+        await storageService.put(thumbnailKey, processed.thumbnail, 'image/jpeg');
+
+        try {
+            const photo = await EntryPhotos.create({
+                user_id: userId,
+                attachable_type: attachableType,
+                attachable_id: attachableId,
+                storage_key: storageKey,
+                thumbnail_key: thumbnailKey,
+                content_type: 'image/jpeg',
+                size_bytes: processed.image.length,
+                width: processed.width,
+                height: processed.height
+            });
+
+            return { photo: await this.formatPhoto(photo), error: null };
+        } catch (error) {
+            // Don't leave orphaned files behind when the row can't be saved
+            await this.removeFiles(storageKey, thumbnailKey);
+            throw error;
+        }
+    }
+
+    /**
+     * Photos for an entry, oldest first, with URLs
+     * @param {string} attachableType - calorie_entry | user_exercise
+     * @param {number} attachableId - Entry ID
+     * @returns {Promise<Array>}
+     */
+    async listPhotos(attachableType, attachableId) {
+        const photos = await EntryPhotos.findAll({
+            where: { attachable_type: attachableType, attachable_id: attachableId },
+            order: [['createdAt', 'ASC']]
+        });
+
+        return Promise.all(photos.map(photo => this.formatPhoto(photo)));
+    }
+
+    /**
+     * Delete one photo from an entry
+     * @returns {Promise<boolean>} False when the photo doesn't belong to the entry
+     */
+    async deletePhoto(attachableType, attachableId, photoId) {
+        const photo = await EntryPhotos.findOne({
+            where: { id: photoId, attachable_type: attachableType, attachable_id: attachableId }
+        });
+        if (!photo) {
+            return false;
+        }
+
+        await photo.destroy();
+        await this.removeFiles(photo.storage_key, photo.thumbnail_key);
+        return true;
+    }
+
+    /**
+     * Delete every photo of an entry, used when the entry itself is purged
+     * @returns {Promise<number>} Number of photos removed
+     */
+    async deletePhotosForEntry(attachableType, attachableId) {
+        const photos = await EntryPhotos.findAll({
+            where: { attachable_type: attachableType, attachable_id: attachableId }
+        });
+
+        for (const photo of photos) {
+            await photo.destroy();
+            // Purged entries were soft-deleted first, so their files are normally under deleted/
+            await this.removeFiles(
+                photo.storage_key, photo.thumbnail_key,
+                DELETED_PREFIX + photo.storage_key, DELETED_PREFIX + photo.thumbnail_key
+            );
+        }
+        return photos.length;
+    }
+
+    /**
+     * Move an entry's files out of public reach when the entry is soft-deleted
+     */
+    async hidePhotosForEntry(attachableType, attachableId) {
+        await this.moveFilesForEntry(attachableType, attachableId, key => [key, DELETED_PREFIX + key]);
+    }
+
+    /**
+     * Move an entry's files back when the entry is restored
+     */
+    async unhidePhotosForEntry(attachableType, attachableId) {
+        await this.moveFilesForEntry(attachableType, attachableId, key => [DELETED_PREFIX + key, key]);
+    }
+
+    /**
+     * Move the image and thumbnail of every photo of an entry, logging rather
+     * than failing like removeFiles
+     * @param {Function} getMove - key => [fromKey, toKey]
+     */
+    async moveFilesForEntry(attachableType, attachableId, getMove) {
+        const photos = await EntryPhotos.findAll({
+            where: { attachable_type: attachableType, attachable_id: attachableId }
+        });
+
+        for (const photo of photos) {
+            for (const key of [photo.storage_key, photo.thumbnail_key]) {
+                const [fromKey, toKey] = getMove(key);
+                try {
+                    await storageService.move(fromKey, toKey);
+                } catch (error) {
+                    console.warn(`Could not move stored file ${fromKey}:`, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove stored files, logging rather than failing so a storage hiccup
+     * doesn't block deleting the database row
+     */
+    async removeFiles(...keys) {
+        for (const key of keys) {
+            try {
+                await storageService.remove(key);
+            } catch (error) {
+                console.warn(`Could not remove stored file ${key}:`, error.message);
+            }
+        }
+    }
+
+    async formatPhoto(photo) {
+        return {
+            id: photo.id,
+            attachable_type: photo.attachable_type,
+            attachable_id: photo.attachable_id,
+            content_type: photo.content_type,
+            size_bytes: photo.size_bytes,
+            width: photo.width,
+            height: photo.height,
+            url: await storageService.getUrl(photo.storage_key),
+            thumbnail_url: await storageService.getUrl(photo.thumbnail_key),
+            createdAt: photo.createdAt
+        };
+    }
+}
+
+module.exports = new EntryPhotoService();
@@ -0,0 +1,192 @@
+const db = require('../../../models');
+const EntryRevisions = db.EntryRevisions;
+const { Op } = require('sequelize');
+const entryPhotoService = require('./entry-photo.service');
+
+// Soft-deleted entries can be restored until they are purged after this many days
+const RESTORE_WINDOW_DAYS = 30;
+
+/**
+ * Revisioned entry types: model and the fields whose changes are recorded
+ */
+const ENTRY_TYPES = {
+    calorie_entry: {
+        model: db.CalorieEntries,
+        fields: [
+            'food_id', 'recipe_id', 'food_name', 'brand', 'serving_size', 'quantity', 'unit',
+            'calories_per_serving', 'servings_consumed', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g',
+            'sugar_g', 'sodium_mg', 'micronutrients', 'meal_type', 'consumed_at', 'notes'
+        ],
+        dateFields: ['consumed_at']
+    },
+    user_exercise: {
+        model: db.UserExercises,
+        fields: [
+            'exercise_id', 'duration_minutes', 'sets', 'reps', 'weight_kg', 'distance_km',
+            'calories_burned', 'intensity', 'performed_at', 'notes', 'rating'
+        ],
+        dateFields: ['performed_at']
+    }
+};
+
+/**
+ * Entry Revision Service
+ *
+ * Soft deletes, restores and a per-entry change history for food entries and
+ * logged exercises. Every change goes through here so the entry and its
+ * revision are written in one transaction.
+ */
+class EntryRevisionService {
+
+    /**
+     * Comparable form of a field value
+     * DECIMAL columns come back as strings and dates may arrive as strings.
+     */
+    normalizeValue(entryType, field, value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        if (ENTRY_TYPES[entryType].dateFields.includes(field)) {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? String(value) : date.toISOString();
+        }
+        if (typeof value === 'object') {
+            return value;
+        }
+        if (typeof value === 'string' && value.trim() !== '' && isFinite(value)) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    /**
+     * Changed tracked fields between two snapshots
+     * @returns {Object} { field: { from, to } }, empty when nothing changed
+     */
+    diff(entryType, before, after) {
+        const changes = {};
+
+        ENTRY_TYPES[entryType].fields.forEach(field => {
+            const from = this.normalizeValue(entryType, field, before[field]);
+            const to = this.normalizeValue(entryType, field, after[field]);
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Update an entry and record what changed
+     * @param {string} entryType - calorie_entry | user_exercise
+     * @param {Object} entry - Model instance
+     * @param {Object} updateData - Fields to change
+     * @returns {Promise<Object>} { entry, changes } (no revision when nothing changed)
+     */
+    async updateEntry(entryType, entry, updateData) {
+        const before = entry.toJSON();
+
+        return db.sequelize.transaction(async (transaction) => {
+            await entry.update(updateData, { transaction });
+
+            const changes = this.diff(entryType, before, entry.toJSON());
+            if (Object.keys(changes).length > 0) {
+                await EntryRevisions.create({
+                    entry_type: entryType,
+                    entry_id: entry.id,
+                    action: 'update',
+                    changes
+                }, { transaction });
+            }
+
+            return { entry, changes };
+        });
+    }
+
+    /**
+     * Soft delete an entry (sets deletedAt) and move its photos out of public reach
+     */
+    async deleteEntry(entryType, entry) {
+        await db.sequelize.transaction(async (transaction) => {
+            await entry.destroy({ transaction });
+            await EntryRevisions.create({
+                entry_type: entryType,
+                entry_id: entry.id,
+                action: 'delete'
+            }, { transaction });
+        });
+        await entryPhotoService.hidePhotosForEntry(entryType, entry.id);
+    }
+
+    /**
+     * Undo a soft delete and bring its photos back
+     */
+    async restoreEntry(entryType, entry) {
+        await db.sequelize.transaction(async (transaction) => {
+            await entry.restore({ transaction });
+            await EntryRevisions.create({
+                entry_type: entryType,
+                entry_id: entry.id,
+                action: 'restore'
+            }, { transaction });
+        });
+        await entryPhotoService.unhidePhotosForEntry(entryType, entry.id);
+    }
+
+    /**
+     * Revisions of an entry, oldest first
+     * @returns {Promise<Array>}
+     */
+    async getHistory(entryType, entryId) {
+        return EntryRevisions.findAll({
+            where: { entry_type: entryType, entry_id: entryId },
+            attributes: ['id', 'action', 'changes', 'createdAt'],
+            order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+    }
+
+    /**
+     * Last day a soft-deleted entry can still be restored
+     */
+    getRestorableUntil(deletedAt) {
+        const until = new Date(deletedAt);
+        until.setDate(until.getDate() + RESTORE_WINDOW_DAYS);
+        return until;
+    }
+
+    /**
+     * Permanently remove entries deleted longer ago than the restore window,
+     * with their photos and revisions
+     * @param {Object} options - { days (default: restore window), dryRun }
+     * @returns {Promise<Object>} Purged counts per entry type
+     */
+    async purgeDeleted(options = {}) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - (options.days === undefined ? RESTORE_WINDOW_DAYS : options.days));
+
+        const summary = {};
+        for (const [entryType, { model }] of Object.entries(ENTRY_TYPES)) {
+            const entries = await model.findAll({
+                where: { deletedAt: { [Op.lt]: cutoff } },
+                attributes: ['id'],
+                paranoid: false
+            });
+            summary[entryType] = entries.length;
+
+            if (options.dryRun) {
+                continue;
+            }
+
+            for (const entry of entries) {
+                await entryPhotoService.deletePhotosForEntry(entryType, entry.id);
+                await EntryRevisions.destroy({ where: { entry_type: entryType, entry_id: entry.id } });
+                await entry.destroy({ force: true });
+            }
+        }
+
+        return summary;
+    }
+}
+
+module.exports = new EntryRevisionService();
@@ -0,0 +1,85 @@
+const INTENSITY_LEVELS = ['light', 'moderate', 'vigorous'];
+
+// Used when an exercise has a MET value but none for the requested intensity
+const INTENSITY_FACTORS = {
+    light: 0.75,
+    moderate: 1,
+    vigorous: 1.3
+};
+
+/**
+ * Exercise Calorie Service
+ *
+ * Calories burned from MET values (metabolic equivalents): MET × body weight
+ * in kg × hours. Falls back to the exercise's calories_per_minute preset when
+ * the user has no weight set or the exercise has no MET value.
+ */
+class ExerciseCalorieService {
+
+    getIntensityLevels() {
+        return INTENSITY_LEVELS;
+    }
+
+    /**
+     * MET value of an exercise at an intensity
+     * @param {Object} exercise - Exercises record (met_value, intensity_met_values)
+     * @param {string} intensity - light | moderate | vigorous (default: moderate)
+     * @returns {number|null} Null when the exercise has no MET value
+     */
+    getMetValue(exercise, intensity = 'moderate') {
+        const levels = exercise.intensity_met_values || {};
+        if (levels[intensity]) {
+            return Number(levels[intensity]);
+        }
+        if (!exercise.met_value) {
+            return null;
+        }
+        return Math.round(Number(exercise.met_value) * INTENSITY_FACTORS[intensity] * 10) / 10;
+    }
+
+    /**
+     * Estimate calories burned
+     * @param {Object} exercise - Exercises record
+     * @param {number} durationMinutes - Exercise duration
+     * @param {Object} options - { weightKg (user's body weight), intensity }
+     * @returns {Object} { calories, method: 'met'|'preset'|null, met_value, weight_kg, intensity, calculation }
+     */
+    estimateCalories(exercise, durationMinutes, options = {}) {
+        const duration = Number(durationMinutes);
+        const intensity = options.intensity || 'moderate';
+        const weightKg = options.weightKg ? Number(options.weightKg) : null;
+        const metValue = this.getMetValue(exercise, intensity);
+
+        if (!duration) {
+            return { calories: null, method: null, met_value: metValue, weight_kg: weightKg, intensity, calculation: null };
+        }
+
+        if (metValue && weightKg) {
+            const calories = Math.round(metValue * weightKg * (duration / 60));
+            return {
+                calories,
+                method: 'met',
+                met_value: metValue,
+                weight_kg: weightKg,
+                intensity,
+                calculation: `${metValue} MET × ${weightKg} kg × ${duration} min / 60 = ${calories} calories`
+            };
+        }
+
+        if (exercise.calories_per_minute) {
+            const calories = Math.round(exercise.calories_per_minute * duration);
+            return {
+                calories,
+                method: 'preset',
+                met_value: metValue,
+                weight_kg: weightKg,
+                intensity,
+                calculation: `${exercise.calories_per_minute} cal/min × ${duration} min = ${calories} calories`
+            };
+        }
+
+        return { calories: null, method: null, met_value: metValue, weight_kg: weightKg, intensity, calculation: null };
+    }
+}
+
+module.exports = new ExerciseCalorieService();
@@ -0,0 +1,152 @@
+const db = require('../../../models');
+const UserExerciseSets = db.UserExerciseSets;
+
+const MAX_SETS = 50;
+
+/**
+ * Exercise Set Service
+ *
+ * Per-set details for strength exercises (reps, weight, RPE/RIR, warm-ups,
+ * rest), so pyramids and drop sets can be recorded on one logged exercise.
+ * Warm-up sets are stored but don't count towards volume or the best set.
+ */
+class ExerciseSetService {
+
+    /**
+     * Validate set payloads from a request
+     * @param {Array} sets - [{ reps, weight_kg, rpe, rir, is_warmup, rest_seconds, set_number }]
+     * @returns {{ rows: Array, errors: Array }} Rows ready to insert, or per-set errors
+     */
+    prepareSets(sets) {
+        const errors = [];
+        const rows = [];
+
+        if (!Array.isArray(sets) || sets.length === 0) {
+            return { rows, errors: [{ index: null, message: 'sets must be a non-empty array' }] };
+        }
+        if (sets.length > MAX_SETS) {
+            return { rows, errors: [{ index: null, message: `At most ${MAX_SETS} sets can be logged per exercise` }] };
+        }
+
+        const isNumberIn = (value, min, max) => Number.isFinite(Number(value)) && Number(value) >= min && Number(value) <= max;
+        const isIntegerIn = (value, min, max) => Number.isInteger(Number(value)) && isNumberIn(value, min, max);
+        const isSet = value => value !== undefined && value !== null && value !== '';
+
+        sets.forEach((set, index) => {
+            set = set || {};
+
+            if (!isIntegerIn(set.reps, 1, 1000)) {
+                errors.push({ index, message: 'reps must be a whole number between 1 and 1000' });
+                return;
+            }
+            if (isSet(set.weight_kg) && !isNumberIn(set.weight_kg, 0, 1000)) {
+                errors.push({ index, message: 'weight_kg must be between 0 and 1000' });
+                return;
+            }
+            if (isSet(set.rpe) && !isNumberIn(set.rpe, 1, 10)) {
+                errors.push({ index, message: 'rpe must be between 1 and 10' });
+                return;
+            }
+            if (isSet(set.rir) && !isIntegerIn(set.rir, 0, 10)) {
+                errors.push({ index, message: 'rir must be a whole number between 0 and 10' });
+                return;
+            }
+            if (isSet(set.rest_seconds) && !isIntegerIn(set.rest_seconds, 0, 3600)) {
+                errors.push({ index, message: 'rest_seconds must be between 0 and 3600' });
+                return;
+            }
+
+            rows.push({
+                set_number: index + 1,
+                reps: Number(set.reps),
+                weight_kg: isSet(set.weight_kg) ? Number(set.weight_kg) : null,
+                rpe: isSet(set.rpe) ? Number(set.rpe) : null,
+                rir: isSet(set.rir) ? Number(set.rir) : null,
+                is_warmup: set.is_warmup === true || set.is_warmup === 'true',
+                rest_seconds: isSet(set.rest_seconds) ? Number(set.rest_seconds) : null
+            });
+        });
+
+        return { rows, errors };
+    }
+
+    /**
+     * Save prepared sets for a logged exercise
+     * @param {number} userExerciseId - Logged exercise ID
+     * @param {Array} rows - Rows from prepareSets
+     * @param {Object} transaction - Transaction the logged exercise was created in
+     */
+    async createSets(userExerciseId, rows, transaction) {
+        return UserExerciseSets.bulkCreate(
+            rows.map(row => ({ ...row, user_exercise_id: userExerciseId })),
+            { transaction, validate: true }
+        );
+    }
+
+    /**
+     * Columns stored on the logged exercise itself, so lists and older clients
+     * still show the working set count and the top set
+     */
+    getSummaryFields(rows) {
+        const summary = this.calculateSummary(rows);
+        return {
+            sets: summary.working_sets || null,
+            reps: summary.best_set ? summary.best_set.reps : null,
+            weight_kg: summary.best_set ? summary.best_set.weight_kg : null
+        };
+    }
+
+    /**
+     * Volume of a logged exercise
+     * From the per-set details when there are any, otherwise sets × reps ×
+     * weight_kg for entries that have all three.
+     * @param {Object} exerciseLog - UserExercises record, with set_details when loaded
+     * @returns {number} kg
+     */
+    calculateLogVolume(exerciseLog) {
+        if (exerciseLog.set_details && exerciseLog.set_details.length > 0) {
+            return this.calculateSummary(exerciseLog.set_details).total_volume_kg;
+        }
+        if (exerciseLog.sets && exerciseLog.reps && exerciseLog.weight_kg) {
+            return exerciseLog.sets * exerciseLog.reps * Number(exerciseLog.weight_kg);
+        }
+        return 0;
+    }
+
+    /**
+     * Volume and best set
+     * Volume is reps × weight over working sets; the best set is the heaviest,
+     * with more reps breaking ties.
+     * @param {Array} sets - Set rows or UserExerciseSets records
+     * @returns {Object} { total_sets, working_sets, warmup_sets, total_reps, total_volume_kg, best_set }
+     */
+    calculateSummary(sets) {
+        const workingSets = sets.filter(set => !set.is_warmup);
+
+        let bestSet = null;
+        workingSets.forEach(set => {
+            const weight = Number(set.weight_kg) || 0;
+            const bestWeight = bestSet ? Number(bestSet.weight_kg) || 0 : -1;
+            if (weight > bestWeight || (weight === bestWeight && set.reps > bestSet.reps)) {
+                bestSet = set;
+            }
+        });
+
+        const volume = workingSets.reduce((total, set) => total + set.reps * (Number(set.weight_kg) || 0), 0);
+
+        return {
+            total_sets: sets.length,
+            working_sets: workingSets.length,
+            warmup_sets: sets.length - workingSets.length,
+            total_reps: workingSets.reduce((total, set) => total + set.reps, 0),
+            total_volume_kg: Math.round(volume * 10) / 10,
+            best_set: bestSet ? {
+                set_number: bestSet.set_number,
+                reps: bestSet.reps,
+                weight_kg: bestSet.weight_kg === null ? null : Number(bestSet.weight_kg)
+            } : null
+        };
+    }
+}
+
+module.exports = new ExerciseSetService();
@@ -0,0 +1,461 @@
+const db = require('../../../models');
+const FastingSessions = db.FastingSessions;
+const CalorieEntries = db.CalorieEntries;
+const Users = db.Users;
+const { Op } = require('sequelize');
+
+/**
+ * Named protocols and their fasting hours ("16:8" = 16 h fasting, 8 h eating)
+ */
+const PROTOCOLS = {
+    '12:12': 12,
+    '14:10': 14,
+    '16:8': 16,
+    '18:6': 18,
+    '20:4': 20,
+    omad: 23 // One meal a day
+};
+
+const DEFAULT_PROTOCOL = '16:8';
+const MIN_CUSTOM_HOURS = 12;
+const MAX_CUSTOM_HOURS = 72;
+const DEFAULT_MIN_GAP_HOURS = 12; // Shortest gap between food entries treated as a fast
+
+const HOUR_MS = 60 * 60 * 1000;
+const round1 = value => Math.round(value * 10) / 10;
+
+function localDateKey(date) {
+    const d = new Date(date);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Fasting Service
+ *
+ * Intermittent fasting: manually started and stopped fasts, fasting windows
+ * inferred from gaps between food entries, and streaks of days with a fast
+ * that reached its target.
+ */
+class FastingService {
+
+    /**
+     * Supported protocol names with fasting hours
+     */
+    getProtocols() {
+        return Object.entries(PROTOCOLS).map(([protocol, hours]) => ({ protocol, target_hours: hours }));
+    }
+
+    /**
+     * Resolve a protocol and target from request fields
+     * @param {Object} input - { protocol } or { target_hours } (protocol "custom" is implied)
+     * @param {Object|null} fallback - { protocol, target_hours } used when input has neither
+     * @returns {{ protocol: string|null, target_hours: number|null, error: string|null }}
+     */
+    resolveProtocol(input, fallback = null) {
+        const { protocol, target_hours } = input;
+
+        if (protocol && protocol !== 'custom') {
+            const name = String(protocol).toLowerCase();
+            if (!PROTOCOLS[name]) {
+                return {
+                    protocol: null,
+                    target_hours: null,
+                    error: `protocol must be one of: ${Object.keys(PROTOCOLS).join(', ')}, custom`
+                };
+            }
+            return { protocol: name, target_hours: PROTOCOLS[name], error: null };
+        }
+
+        if (target_hours !== undefined && target_hours !== null) {
+            const hours = Number(target_hours);
+            if (!(hours >= MIN_CUSTOM_HOURS && hours <= MAX_CUSTOM_HOURS)) {
+                return {
+                    protocol: null,
+                    target_hours: null,
+                    error: `target_hours must be between ${MIN_CUSTOM_HOURS} and ${MAX_CUSTOM_HOURS}`
+                };
+            }
+            return { protocol: 'custom', target_hours: round1(hours), error: null };
+        }
+
+        if (protocol === 'custom') {
+            return { protocol: null, target_hours: null, error: 'target_hours is required for a custom protocol' };
+        }
+
+        return fallback && fallback.protocol
+            ? { protocol: fallback.protocol, target_hours: Number(fallback.target_hours), error: null }
+            : { protocol: DEFAULT_PROTOCOL, target_hours: PROTOCOLS[DEFAULT_PROTOCOL], error: null };
+    }
+
+    /**
+     * The user's default protocol
+     * @param {Object} user - Users record
+     */
+    getUserProtocol(user) {
+        return this.resolveProtocol({}, {
+            protocol: user.fasting_protocol,
+            target_hours: user.fasting_target_hours
+        });
+    }
+
+    /**
+     * Save the user's default protocol
+     * @param {Object} user - Users record
+     * @param {Object} input - { protocol } or { target_hours }
+     * @returns {Promise<Object>} { protocol, target_hours, error }
+     */
+    async setUserProtocol(user, input) {
+        const resolved = this.resolveProtocol(input);
+        if (resolved.error) {
+            return resolved;
+        }
+
+        await user.update({
+            fasting_protocol: resolved.protocol,
+            fasting_target_hours: resolved.target_hours
+        });
+        return resolved;
+    }
+
+    /**
+     * The fast that is still running, if any
+     * @param {number} userId - Integer user ID
+     */
+    async getActiveFast(userId) {
+        return FastingSessions.findOne({
+            where: { user_id: userId, ended_at: null },
+            order: [['started_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Start a fast
+     * @param {Object} user - Users record
+     * @param {Object} data - { protocol | target_hours, started_at (Date), notes }
+     * @returns {Promise<Object>} { fast, error, status }
+     */
+    async startFast(user, data) {
+        const active = await this.getActiveFast(user.id);
+        if (active) {
+            return { fast: null, status: 409, error: 'A fast is already running. Stop it before starting a new one.' };
+        }
+
+        const { protocol, target_hours, error } = this.resolveProtocol(data, {
+            protocol: user.fasting_protocol,
+            target_hours: user.fasting_target_hours
+        });
+        if (error) {
+            return { fast: null, status: 400, error };
+        }
+
+        const startedAt = data.started_at || new Date();
+        if (startedAt > new Date()) {
+            return { fast: null, status: 400, error: 'started_at cannot be in the future' };
+        }
+
+        const fast = await FastingSessions.create({
+            user_id: user.id,
+            protocol,
+            target_hours,
+            started_at: startedAt,
+            notes: data.notes
+        });
+        return { fast, status: 201, error: null };
+    }
+
+    /**
+     * Stop the running fast
+     * @param {number} userId - Integer user ID
+     * @param {Date} endedAt - When the fast ended (default: now)
+     * @returns {Promise<Object>} { fast, error, status }
+     */
+    async stopFast(userId, endedAt = new Date()) {
+        const fast = await this.getActiveFast(userId);
+        if (!fast) {
+            return { fast: null, status: 404, error: 'No fast is running' };
+        }
+        if (endedAt < new Date(fast.started_at)) {
+            return { fast: null, status: 400, error: 'ended_at must be after the fast started' };
+        }
+
+        await fast.update({ ended_at: endedAt });
+        return { fast, status: 200, error: null };
+    }
+
+    /**
+     * Progress of a fast towards its target
+     * @param {Object} fast - FastingSessions record or inferred window
+     * @param {Date} now - Reference time for running fasts
+     * @returns {Object}
+     */
+    formatFast(fast, now = new Date()) {
+        const startedAt = new Date(fast.started_at);
+        const end = fast.ended_at ? new Date(fast.ended_at) : now;
+        const targetHours = fast.target_hours === null || fast.target_hours === undefined ? null : Number(fast.target_hours);
+        const durationHours = round1((end - startedAt) / HOUR_MS);
+
+        return {
+            id: fast.id || null,
+            source: fast.source || 'manual',
+            protocol: fast.protocol || null,
+            target_hours: targetHours,
+            started_at: startedAt,
+            ended_at: fast.ended_at ? end : null,
+            target_end_at: targetHours !== null ? new Date(startedAt.getTime() + targetHours * HOUR_MS) : null,
+            is_active: !fast.ended_at,
+            duration_hours: durationHours,
+            remaining_hours: targetHours !== null ? round1(Math.max(targetHours - durationHours, 0)) : null,
+            progress_percentage: targetHours ? Math.min(Math.round((durationHours / targetHours) * 100), 100) : null,
+            target_reached: targetHours !== null ? durationHours >= targetHours : null,
+            notes: fast.notes || null
+        };
+    }
+
+    /**
+     * Fasting windows inferred from gaps between food entries
+     * @param {string} entryUserId - Value stored in calorie_entries.user_id
+     * @param {Object} range - { start, end } Date bounds
+     * @param {number} minGapHours - Shortest gap that counts as a fast
+     * @returns {Promise<Array>} Windows { started_at, ended_at } from the last entry before a gap to the first after it
+     */
+    async inferFasts(entryUserId, range, minGapHours = DEFAULT_MIN_GAP_HOURS) {
+        // Look back far enough to find the meal before the first gap in the range
+        const lookback = new Date(range.start.getTime() - MAX_CUSTOM_HOURS * HOUR_MS);
+
+        const entries = await CalorieEntries.findAll({
+            where: {
+                user_id: entryUserId,
+                consumed_at: { [Op.between]: [lookback, range.end] }
+            },
+            attributes: ['consumed_at'],
+            order: [['consumed_at', 'ASC']]
+        });
+
+        const windows = [];
+        for (let i = 1; i < entries.length; i++) {
+            const startedAt = new Date(entries[i - 1].consumed_at);
+            const endedAt = new Date(entries[i].consumed_at);
+            if (endedAt - startedAt >= minGapHours * HOUR_MS && endedAt >= range.start) {
+                windows.push({ source: 'inferred', started_at: startedAt, ended_at: endedAt });
+            }
+        }
+        return windows;
+    }
+
+    /**
+     * Current and longest run of consecutive days with a fast that reached its target
+     * A fast counts for the day it ended; today without a fast yet doesn't break the streak.
+     * @param {Array} fasts - Formatted fasts
+     * @param {Date} today - Reference date
+     * @returns {Object} { current_streak, longest_streak, days_target_reached }
+     */
+    calculateStreaks(fasts, today = new Date()) {
+        const days = new Set(fasts
+            .filter(fast => !fast.is_active && fast.target_reached)
+            .map(fast => localDateKey(fast.ended_at)));
+
+        const sorted = Array.from(days).sort();
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        sorted.forEach(day => {
+            const expected = previous ? new Date(`${previous}T12:00:00`) : null;
+            if (expected) {
+                expected.setDate(expected.getDate() + 1);
+            }
+            run = expected && localDateKey(expected) === day ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = day;
+        });
+
+        let current = 0;
+        const cursor = new Date(today);
+        if (!days.has(localDateKey(cursor))) {
+            cursor.setDate(cursor.getDate() - 1);
+        }
+        while (days.has(localDateKey(cursor))) {
+            current++;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+
+        return { current_streak: current, longest_streak: longest, days_target_reached: days.size };
+    }
+
+    /**
+     * Fasting history for a date range: manual fasts, plus inferred windows
+     * that don't overlap one, measured against the user's protocol
+     * @param {Object} user - Users record (id, firebase_uid, fasting_protocol, fasting_target_hours)
+     * @param {Object} range - { start, end } Date bounds
+     * @returns {Promise<Object>} { protocol, fasts, summary, streaks }
+     */
+    async getHistory(user, range) {
+        const { protocol, target_hours } = this.getUserProtocol(user);
+
+        const [sessions, inferred] = await Promise.all([
+            FastingSessions.findAll({
+                where: {
+                    user_id: user.id,
+                    started_at: { [Op.lte]: range.end },
+                    [Op.or]: [
+                        { ended_at: null },
+                        { ended_at: { [Op.gte]: range.start } }
+                    ]
+                },
+                order: [['started_at', 'ASC']]
+            }),
+            this.inferFasts(user.firebase_uid, range)
+        ]);
+
+        const now = new Date();
+        const manual = sessions.map(session => this.formatFast(session, now));
+        const overlapsManual = window => manual.some(fast => {
+            const end = fast.ended_at || now;
+            return window.started_at < end && window.ended_at > fast.started_at;
+        });
+
+        const fasts = [
+            ...manual,
+            ...inferred
+                .filter(window => !overlapsManual(window))
+                .map(window => this.formatFast({ ...window, protocol, target_hours }, now))
+        ].sort((a, b) => a.started_at - b.started_at);
+
+        const completed = fasts.filter(fast => !fast.is_active);
+        const reached = completed.filter(fast => fast.target_reached);
+
+        return {
+            protocol: { protocol, target_hours },
+            fasts,
+            summary: {
+                completed_fasts: completed.length,
+                target_reached: reached.length,
+                success_rate: completed.length > 0 ? Math.round((reached.length / completed.length) * 100) : 0,
+                average_hours: completed.length > 0
+                    ? round1(completed.reduce((sum, fast) => sum + fast.duration_hours, 0) / completed.length)
+                    : 0,
+                longest_hours: completed.reduce((max, fast) => Math.max(max, fast.duration_hours), 0)
+            },
+            streaks: this.calculateStreaks(fasts, now)
+        };
+    }
+
+    /**
+     * Hours since the user's last food entry (an implicit fast when none is running)
+     * @param {string} entryUserId - Value stored in calorie_entries.user_id
+     * @returns {Promise<Object|null>} { last_entry_at, hours } or null without entries
+     */
+    async getTimeSinceLastEntry(entryUserId) {
+        const last = await CalorieEntries.findOne({
+            where: {
+                user_id: entryUserId,
+                consumed_at: { [Op.lte]: new Date() }
+            },
+            attributes: ['consumed_at'],
+            order: [['consumed_at', 'DESC']]
+        });
+
+        return last ? {
+            last_entry_at: last.consumed_at,
+            hours: round1((Date.now() - new Date(last.consumed_at)) / HOUR_MS)
+        } : null;
+    }
+
+    /**
+     * Warning for a food entry logged during a manual fast
+     * @param {string} firebaseUid - User's Firebase UID
+     * @param {Date} consumedAt - Entry time
+     * @returns {Promise<Object|null>} Null when the entry doesn't fall inside a fast
+     */
+    async checkEntryAgainstFasts(firebaseUid, consumedAt) {
+        const user = await Users.findOne({
+            where: { firebase_uid: firebaseUid },
+            attributes: ['id']
+        });
+        if (!user) {
+            return null;
+        }
+
+        const fast = await FastingSessions.findOne({
+            where: {
+                user_id: user.id,
+                started_at: { [Op.lte]: consumedAt },
+                [Op.or]: [
+                    { ended_at: null },
+                    { ended_at: { [Op.gt]: consumedAt } }
+                ]
+            },
+            order: [['started_at', 'DESC']]
+        });
+        if (!fast) {
+            return null;
+        }
+
+        return this.buildEntryWarning(fast, consumedAt);
+    }
+
+    /**
+     * Warnings for several entries saved at once (bulk, copy, import)
+     * One warning per fast, for the earliest entry that falls inside it.
+     * @param {string} firebaseUid - User's Firebase UID
+     * @param {Array<Date>} consumedAts - Entry times
+     * @returns {Promise<Array>} Warnings, oldest fast first
+     */
+    async checkEntriesAgainstFasts(firebaseUid, consumedAts) {
+        if (consumedAts.length === 0) {
+            return [];
+        }
+
+        const user = await Users.findOne({
+            where: { firebase_uid: firebaseUid },
+            attributes: ['id']
+        });
+        if (!user) {
+            return [];
+        }
+
+        const times = consumedAts.map(consumedAt => new Date(consumedAt)).sort((a, b) => a - b);
+        const fasts = await FastingSessions.findAll({
+            where: {
+                user_id: user.id,
+                started_at: { [Op.lte]: times[times.length - 1] },
+                [Op.or]: [
+                    { ended_at: null },
+                    { ended_at: { [Op.gt]: times[0] } }
+                ]
+            },
+            order: [['started_at', 'ASC']]
+        });
+
+        const warnings = [];
+        fasts.forEach(fast => {
+            const consumedAt = times.find(time => time >= new Date(fast.started_at)
+                && (!fast.ended_at || time < new Date(fast.ended_at)));
+            if (consumedAt) {
+                warnings.push(this.buildEntryWarning(fast, consumedAt));
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * Warning for an entry that breaks (or ends) a fast
+     */
+    buildEntryWarning(fast, consumedAt) {
+        const progress = this.formatFast({ ...fast.toJSON(), ended_at: consumedAt });
+        return {
+            fast_id: fast.id,
+            is_active: !fast.ended_at,
+            started_at: fast.started_at,
+            consumed_at: consumedAt,
+            hours_fasted: progress.duration_hours,
+            target_hours: progress.target_hours,
+            target_reached: progress.target_reached,
+            message: progress.target_reached
+                ? `This entry ends your ${progress.target_hours} h fast after ${progress.duration_hours} h. Target reached!`
+                : `This entry breaks your fast ${progress.remaining_hours} h before its ${progress.target_hours} h target.`
+        };
+    }
+}
+
+module.exports = new FastingService();
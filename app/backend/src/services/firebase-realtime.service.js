@@ -82,7 +82,8 @@ class FirebaseRealtimeService {
             const sessionId = Date.now().toString();
             const workoutSession = {
                 sessionId,
-                startTime: Date.now(),
+                workoutId: workoutData.workoutId || null, // MySQL workouts.id when started through /api/workouts
+                startTime: workoutData.startTime || Date.now(),
                 exercises: workoutData.exercises || [],
                 estimatedDuration: workoutData.estimatedDuration || 0,
                 status: 'active'
@@ -124,6 +125,25 @@ class FirebaseRealtimeService {
         }
     }
     
+    // Clear the current workout once it is finished in MySQL (nothing left to queue for sync)
+    async clearCurrentWorkout(firebaseUid, workoutId) {
+        try {
+            const ref = database.ref(`users/${firebaseUid}/appState/currentWorkout`);
+            const snapshot = await ref.once('value');
+            const workoutData = snapshot.val();
+
+            // Leave a session started for another workout alone
+            if (workoutData && workoutData.workoutId === workoutId) {
+                await ref.remove();
+            }
+
+            return { success: true, clearedWorkout: workoutData && workoutData.workoutId === workoutId ? workoutData : null };
+        } catch (error) {
+            console.error('Error clearing current workout:', error);
+            throw new Error('Failed to clear current workout');
+        }
+    }
+    
     /**
      * Sync Queue Management
      */
@@ -0,0 +1,336 @@
+const db = require('../../../models');
+const Foods = db.Foods;
+const { Op } = require('sequelize');
+const micronutrientService = require('./micronutrient.service');
+const units = require('../utils/units');
+const { containsPattern } = require('../utils/like');
+
+/**
+ * Food Catalog Service
+ *
+ * Reusable food definitions with nutrition stored per 100 g.
+ * Diary entries logged from the catalog snapshot the nutrition for the
+ * chosen quantity, so later catalog edits never rewrite history.
+ */
+class FoodCatalogService {
+
+    /**
+     * Search the catalog by name and brand
+     * @param {string} query - Free-text search, every word must match name or brand
+     * @param {Object} options - { limit, userId } where userId also includes that user's own foods
+     * @returns {Promise<Array>} Foods ranked by relevance
+     */
+    async searchFoods(query, options = {}) {
+        try {
+            const limit = Math.min(parseInt(options.limit) || 20, 100);
+            const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+            const whereClause = {
+                is_active: true,
+                created_by: options.userId ? { [Op.or]: [null, options.userId] } : null,
+                [Op.and]: terms.map(term => ({
+                    [Op.or]: [
+                        { name: { [Op.like]: containsPattern(term) } },
+                        { brand: { [Op.like]: containsPattern(term) } }
+                    ]
+                }))
+            };
+
+            // Over-fetch so relevance ranking has something to reorder
+            const candidates = await Foods.findAll({
+                where: whereClause,
+                limit: limit * 5,
+                order: [['is_verified', 'DESC'], ['name', 'ASC']]
+            });
+
+            const phrase = terms.join(' ');
+
+            return candidates
+                .map(food => ({ food, score: this.scoreMatch(food, phrase) }))
+                .sort((a, b) => a.score - b.score || a.food.name.length - b.food.name.length)
+                .slice(0, limit)
+                .map(result => result.food);
+        } catch (error) {
+            throw new Error(`Error searching foods: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lower score = better match (exact, then prefix, then word prefix, then anywhere)
+     */
+    scoreMatch(food, phrase) {
+        const name = food.name.toLowerCase();
+        let score = 3;
+
+        if (name === phrase) {
+            score = 0;
+        } else if (name.startsWith(phrase)) {
+            score = 1;
+        } else if (name.split(/[\s,]+/).some(word => word.startsWith(phrase))) {
+            score = 2;
+        }
+
+        // Verified catalog data wins ties over user-submitted foods
+        return score * 2 + (food.is_verified ? 0 : 1);
+    }
+
+    /**
+     * Get a food visible to the user
+     * @param {number} foodId - Food ID
+     * @param {number|null} userId - Integer user ID, allows the user's own foods
+     * @returns {Promise<Object|null>} Food or null when not found
+     */
+    async getFoodById(foodId, userId = null) {
+        return Foods.findOne({
+            where: {
+                id: foodId,
+                is_active: true,
+                created_by: userId ? { [Op.or]: [null, userId] } : null
+            }
+        });
+    }
+
+    /**
+     * Normalize a scanned UPC/EAN code to the form stored in foods.barcode
+     * UPC-A (12 digits) gets a leading 0 to become EAN-13, and GTIN-14 codes
+     * with a leading 0 drop it, so the same product always matches.
+     * @param {string} code - Scanned code
+     * @returns {string|null} Normalized code, or null when it isn't a valid GTIN
+     */
+    normalizeBarcode(code) {
+        let digits = String(code || '').replace(/\D/g, '');
+
+        if (![8, 12, 13, 14].includes(digits.length) || !this.hasValidCheckDigit(digits)) {
+            return null;
+        }
+
+        if (digits.length === 12) {
+            digits = '0' + digits;
+        } else if (digits.length === 14 && digits.startsWith('0')) {
+            digits = digits.slice(1);
+        }
+
+        return digits;
+    }
+
+    /**
+     * GS1 mod-10 check digit validation (same rule for EAN-8/UPC-A/EAN-13/GTIN-14)
+     */
+    hasValidCheckDigit(digits) {
+        const body = digits.slice(0, -1);
+        let sum = 0;
+
+        // Weights alternate 3,1,3,... starting from the digit next to the check digit
+        for (let i = body.length - 1, weight = 3; i >= 0; i--, weight = weight === 3 ? 1 : 3) {
+            sum += Number(body[i]) * weight;
+        }
+
+        return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+    }
+
+    /**
+     * Look up a food by its normalized barcode
+     * @param {string} barcode - Normalized barcode
+     * @param {number|null} userId - Integer user ID, allows the user's own foods
+     * @returns {Promise<Object|null>} Food or null when not found
+     */
+    async getFoodByBarcode(barcode, userId = null) {
+        return Foods.findOne({
+            where: {
+                barcode,
+                is_active: true,
+                created_by: userId ? { [Op.or]: [null, userId] } : null
+            }
+        });
+    }
+
+    /**
+     * Add a user-defined food to the catalog
+     * @param {Object} foodData - Food fields, nutrition per 100 g
+     * @param {number} userId - Integer user ID of the creator
+     * @returns {Promise<Object>} Created food
+     */
+    async createFood(foodData, userId) {
+        return Foods.create({
+            name: foodData.name,
+            brand: foodData.brand,
+            serving_size_g: foodData.serving_size_g || 100,
+            serving_description: foodData.serving_description || `${foodData.serving_size_g || 100} g`,
+            servings: foodData.servings || null,
+            unit_grams: foodData.unit_grams || null,
+            calories_per_100g: foodData.calories_per_100g,
+            protein_per_100g: foodData.protein_per_100g || 0,
+            carbs_per_100g: foodData.carbs_per_100g || 0,
+            fat_per_100g: foodData.fat_per_100g || 0,
+            fiber_per_100g: foodData.fiber_per_100g || 0,
+            sugar_per_100g: foodData.sugar_per_100g || 0,
+            sodium_mg_per_100g: foodData.sodium_mg_per_100g || 0,
+            micronutrients_per_100g: foodData.micronutrients_per_100g || null,
+            created_by: userId,
+            is_verified: false
+        });
+    }
+
+    /**
+     * Resolve a named serving ("1 cup") to grams
+     * @param {Object} food - Food record
+     * @param {string} servingLabel - Label from food.servings, omitted for the default serving
+     * @returns {number|null} Grams, or null when the label is unknown
+     */
+    resolveServingGrams(food, servingLabel) {
+        if (!servingLabel) {
+            return Number(food.serving_size_g);
+        }
+
+        const serving = (food.servings || []).find(s => s.label.toLowerCase() === servingLabel.toLowerCase());
+        return serving ? Number(serving.grams) : null;
+    }
+
+    /**
+     * Validate a { unit: grams } map for volume and piece units
+     * @param {Object} input - e.g. { cup: 244, piece: 50 }
+     * @returns {{ values: Object|null, errors: Array<string> }}
+     */
+    normalizeUnitGrams(input) {
+        if (input === null || input === undefined) {
+            return { values: null, errors: [] };
+        }
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return { values: null, errors: ['unit_grams must be an object like { "cup": 244 }'] };
+        }
+
+        const values = {};
+        const errors = [];
+        Object.entries(input).forEach(([name, grams]) => {
+            const unit = units.normalizeUnit(name);
+            if (!unit || units.isMassUnit(unit)) {
+                errors.push(`"${name}" is not a volume or piece unit`);
+            } else if (!(Number(grams) > 0)) {
+                errors.push(`unit_grams.${name} must be a positive number of grams`);
+            } else {
+                values[unit] = Number(grams);
+            }
+        });
+
+        return { values: Object.keys(values).length > 0 ? values : null, errors };
+    }
+
+    /**
+     * Grams per volume/piece unit for a food
+     * Servings labelled with a unit ("1 cup", "2 tbsp") count too; unit_grams takes precedence.
+     * @param {Object} food - Food record
+     * @returns {Object} e.g. { cup: 244, tbsp: 15.25 }
+     */
+    getUnitGrams(food) {
+        const unitGrams = {};
+
+        (food.servings || []).forEach(serving => {
+            const parsed = units.parseQuantity(serving.label);
+            if (parsed && !units.isMassUnit(parsed.unit) && unitGrams[parsed.unit] === undefined) {
+                unitGrams[parsed.unit] = Number(serving.grams) / parsed.quantity;
+            }
+        });
+
+        return { ...unitGrams, ...(food.unit_grams || {}) };
+    }
+
+    /**
+     * Units a food can be logged in
+     */
+    getAvailableUnits(food) {
+        const unitGrams = this.getUnitGrams(food);
+        return units.listUnits().filter(unit => units.toGrams(1, unit, unitGrams) !== null);
+    }
+
+    /**
+     * Scale per-100 g nutrition to a gram amount
+     * @param {Object} food - Food record
+     * @param {number} grams - Amount in grams
+     * @returns {Object} Nutrition in CalorieEntries field names
+     */
+    calculateNutrition(food, grams) {
+        const factor = grams / 100;
+        const scale = value => Math.round(Number(value || 0) * factor * 100) / 100;
+
+        return {
+            calories: Math.round(Number(food.calories_per_100g) * factor),
+            protein_g: scale(food.protein_per_100g),
+            carbs_g: scale(food.carbs_per_100g),
+            fat_g: scale(food.fat_per_100g),
+            fiber_g: scale(food.fiber_per_100g),
+            sugar_g: scale(food.sugar_per_100g),
+            sodium_mg: scale(food.sodium_mg_per_100g),
+            micronutrients: micronutrientService.scale(food.micronutrients_per_100g, factor)
+        };
+    }
+
+    /**
+     * Build the nutrition snapshot for a diary entry logged from the catalog
+     * @param {Object} food - Food record
+     * @param {Object} quantity - { quantity, unit } (canonical unit), { quantity_g } or { serving_label },
+     *   each optionally with servings_consumed
+     * @returns {Object|null} CalorieEntries fields, or null when the serving label or unit can't be resolved
+     */
+    buildEntryFromFood(food, quantity = {}) {
+        let servingGrams;
+        let servingSize;
+        let amount = null;
+
+        if (quantity.quantity && quantity.unit) {
+            servingGrams = units.toGrams(Number(quantity.quantity), quantity.unit, this.getUnitGrams(food));
+            if (servingGrams === null) {
+                return null;
+            }
+            amount = { quantity: Number(quantity.quantity), unit: quantity.unit };
+            servingSize = quantity.unit === 'g'
+                ? `${amount.quantity} g`
+                : `${amount.quantity} ${quantity.unit} (${servingGrams} g)`;
+        } else if (quantity.quantity_g) {
+            servingGrams = Number(quantity.quantity_g);
+            servingSize = `${servingGrams} g`;
+            amount = { quantity: servingGrams, unit: 'g' };
+        } else {
+            servingGrams = this.resolveServingGrams(food, quantity.serving_label);
+            if (servingGrams === null) {
+                return null;
+            }
+            servingSize = quantity.serving_label
+                ? `${quantity.serving_label} (${servingGrams} g)`
+                : food.serving_description;
+            amount = units.parseQuantity(quantity.serving_label || food.serving_description);
+        }
+
+        const nutrition = this.calculateNutrition(food, servingGrams);
+
+        return {
+            food_id: food.id,
+            food_name: food.name,
+            brand: food.brand,
+            serving_size: servingSize,
+            quantity: amount ? amount.quantity : null,
+            unit: amount ? amount.unit : null,
+            calories_per_serving: nutrition.calories,
+            servings_consumed: quantity.servings_consumed || 1.0,
+            protein_g: nutrition.protein_g,
+            carbs_g: nutrition.carbs_g,
+            fat_g: nutrition.fat_g,
+            fiber_g: nutrition.fiber_g,
+            sugar_g: nutrition.sugar_g,
+            sodium_mg: nutrition.sodium_mg,
+            micronutrients: nutrition.micronutrients
+        };
+    }
+
+    /**
+     * Serialize a food with its default-serving nutrition for clients
+     */
+    formatFood(food) {
+        return {
+            ...food.toJSON(),
+            available_units: this.getAvailableUnits(food),
+            per_serving: this.calculateNutrition(food, Number(food.serving_size_g))
+        };
+    }
+}
+
+module.exports = new FoodCatalogService();
@@ -0,0 +1,150 @@
+const foodCatalogService = require('./food-catalog.service');
+const recipeService = require('./recipe.service');
+const micronutrientService = require('./micronutrient.service');
+const units = require('../utils/units');
+
+/**
+ * Food Entry Service
+ *
+ * Resolves the nutrition snapshot for a diary entry from whichever source the
+ * client used: a recipe (recipe_id), a catalog food (food_id) or free-form
+ * fields. Shared by single-entry logging and every multi-entry path.
+ */
+class FoodEntryService {
+
+    /**
+     * Resolve the CalorieEntries nutrition fields for one item
+     * @param {Object} item - Request body fields (food_id | recipe_id | free-form nutrition, and the amount
+     *   as quantity + unit, quantity_g, serving_label or servings_consumed)
+     * @param {number|null} userId - Integer user ID, needed for recipes and the user's own foods
+     * @returns {Promise<{ nutrition: Object|null, error: Object|null }>}
+     *   error is { status, message, ...details } when the item can't be resolved
+     */
+    async buildEntryNutrition(item, userId) {
+        const { food_id, recipe_id, serving_label, servings_consumed } = item;
+        let { quantity_g } = item;
+
+        // Structured amount ("2 tbsp"); the unit is stored in its canonical form
+        let amount = null;
+        if ((item.quantity !== undefined && item.quantity !== null) || item.unit) {
+            const unit = units.normalizeUnit(item.unit);
+            if (!unit || !(Number(item.quantity) > 0)) {
+                return {
+                    nutrition: null,
+                    error: {
+                        status: 400,
+                        message: `quantity must be a positive number and unit one of: ${units.listUnits().join(', ')}`
+                    }
+                };
+            }
+            amount = { quantity: Number(item.quantity), unit };
+        }
+
+        // Recipe entries snapshot the recipe's computed per-serving nutrition
+        if (recipe_id) {
+            const recipe = userId ? await recipeService.getRecipeForUser(recipe_id, userId) : null;
+            if (!recipe) {
+                return { nutrition: null, error: { status: 404, message: 'Recipe not found' } };
+            }
+
+            if (amount) {
+                if (!units.isMassUnit(amount.unit)) {
+                    return {
+                        nutrition: null,
+                        error: { status: 400, message: 'Recipes can be logged by weight (g, kg, oz, lb) or servings_consumed' }
+                    };
+                }
+                quantity_g = units.toGrams(amount.quantity, amount.unit);
+            }
+
+            const nutrition = recipeService.buildEntryFromRecipe(recipe, { quantity_g, servings_consumed });
+            if (!nutrition) {
+                return {
+                    nutrition: null,
+                    error: {
+                        status: 400,
+                        message: `${recipe.name} has no total_yield_g, log it by servings_consumed instead of quantity_g`
+                    }
+                };
+            }
+            nutrition.quantity = amount ? amount.quantity : null;
+            nutrition.unit = amount ? amount.unit : null;
+            return { nutrition, error: null };
+        }
+
+        // Catalog entries snapshot nutrition from the food for the chosen quantity
+        if (food_id) {
+            const food = await foodCatalogService.getFoodById(food_id, userId);
+            if (!food) {
+                return { nutrition: null, error: { status: 404, message: 'Food not found' } };
+            }
+
+            const nutrition = foodCatalogService.buildEntryFromFood(food, { ...amount, quantity_g, serving_label, servings_consumed });
+            if (!nutrition && amount) {
+                return {
+                    nutrition: null,
+                    error: {
+                        status: 400,
+                        message: `${food.name} has no gram equivalent for "${amount.unit}"`,
+                        available_units: foodCatalogService.getAvailableUnits(food)
+                    }
+                };
+            }
+            if (!nutrition) {
+                return {
+                    nutrition: null,
+                    error: {
+                        status: 400,
+                        message: `Unknown serving "${serving_label}" for ${food.name}`,
+                        available_servings: (food.servings || []).map(s => s.label)
+                    }
+                };
+            }
+            return { nutrition, error: null };
+        }
+
+        const micronutrients = micronutrientService.normalize(item.micronutrients);
+        if (micronutrients.errors.length > 0) {
+            return { nutrition: null, error: { status: 400, message: micronutrients.errors.join('; ') } };
+        }
+
+        // Free-form nutrition is per serving_size, so an amount needs a serving_size in a compatible unit
+        let servingsFromAmount = null;
+        if (amount) {
+            const serving = units.parseQuantity(item.serving_size);
+            const converted = serving ? units.convertQuantity(amount.quantity, amount.unit, serving.unit) : null;
+            if (converted === null) {
+                return {
+                    nutrition: null,
+                    error: {
+                        status: 400,
+                        message: `serving_size must state an amount convertible to ${amount.unit} (e.g. "100 g" or "1 cup") to log by quantity`
+                    }
+                };
+            }
+            servingsFromAmount = Math.round((converted / serving.quantity) * 100) / 100;
+        }
+
+        return {
+            nutrition: {
+                food_name: item.food_name,
+                brand: item.brand,
+                serving_size: item.serving_size || '1 serving',
+                quantity: amount ? amount.quantity : null,
+                unit: amount ? amount.unit : null,
+                calories_per_serving: item.calories_per_serving,
+                servings_consumed: servingsFromAmount || servings_consumed || 1.0,
+                protein_g: item.protein_g || 0,
+                carbs_g: item.carbs_g || 0,
+                fat_g: item.fat_g || 0,
+                fiber_g: item.fiber_g || 0,
+                sugar_g: item.sugar_g || 0,
+                sodium_mg: item.sodium_mg || 0,
+                micronutrients: micronutrients.values
+            },
+            error: null
+        };
+    }
+}
+
+module.exports = new FoodEntryService();
@@ -0,0 +1,198 @@
+const db = require('../../../models');
+const CalorieEntries = db.CalorieEntries;
+const { Op } = require('sequelize');
+
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MAX_HISTORY_ROWS = 2000; // Newest entries considered when grouping
+const TIME_WINDOW_MINUTES = 90; // Entries this close to the requested time of day count as matching
+
+const NUTRITION_FIELDS = [
+    'calories_per_serving', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sugar_g', 'sodium_mg', 'micronutrients'
+];
+
+/**
+ * Food History Service
+ *
+ * Recent and frequent foods from a user's diary, grouped by normalized food
+ * name, brand and serving size, for one-tap re-logging.
+ */
+class FoodHistoryService {
+
+    /**
+     * Grouping key for an entry ("Greek Yogurt " and "greek yogurt" are the same food)
+     */
+    getGroupKey(entry) {
+        const normalize = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        return [normalize(entry.food_name), normalize(entry.brand), normalize(entry.serving_size)].join('|');
+    }
+
+    /**
+     * Minutes between two times of day, going the short way round midnight
+     */
+    minutesApart(date, minuteOfDay) {
+        const difference = Math.abs(date.getHours() * 60 + date.getMinutes() - minuteOfDay);
+        return Math.min(difference, 24 * 60 - difference);
+    }
+
+    /**
+     * Whether an entry fits the requested meal and time of day
+     * @param {Object} context - { meal_type, minute_of_day } (either may be null)
+     */
+    matchesContext(entry, context) {
+        if (context.meal_type && entry.meal_type !== context.meal_type) {
+            return false;
+        }
+        if (context.minute_of_day !== null && this.minutesApart(new Date(entry.consumed_at), context.minute_of_day) > TIME_WINDOW_MINUTES) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Body for POST /api/calorie-entries that logs the food again
+     * Catalog foods and recipes are re-resolved so nutrition follows the
+     * current catalog; free-form entries repeat their snapshot.
+     */
+    buildEntryRequest(entry) {
+        const request = { servings_consumed: Number(entry.servings_consumed) };
+
+        if (entry.recipe_id || entry.food_id) {
+            request[entry.recipe_id ? 'recipe_id' : 'food_id'] = entry.recipe_id || entry.food_id;
+            if (entry.quantity !== null && entry.unit) {
+                request.quantity = Number(entry.quantity);
+                request.unit = entry.unit;
+            }
+            return request;
+        }
+
+        request.food_name = entry.food_name;
+        request.brand = entry.brand;
+        request.serving_size = entry.serving_size;
+        NUTRITION_FIELDS.forEach(field => {
+            request[field] = entry[field];
+        });
+        return request;
+    }
+
+    /**
+     * Group a user's diary history
+     * @param {string} entryUserId - Value stored in calorie_entries.user_id
+     * @param {Object} options - { days, meal_type, minute_of_day }
+     * @returns {Promise<Array>} Groups (unsorted)
+     */
+    async getHistory(entryUserId, options) {
+        const since = new Date();
+        since.setDate(since.getDate() - (options.days || DEFAULT_LOOKBACK_DAYS));
+        since.setHours(0, 0, 0, 0);
+
+        const entries = await CalorieEntries.findAll({
+            where: {
+                user_id: entryUserId,
+                consumed_at: { [Op.gte]: since }
+            },
+            order: [['consumed_at', 'DESC']],
+            limit: MAX_HISTORY_ROWS
+        });
+
+        const context = {
+            meal_type: options.meal_type || null,
+            minute_of_day: options.minute_of_day === undefined ? null : options.minute_of_day
+        };
+        const groups = new Map();
+
+        // Newest first, so the first entry seen in a group is its latest
+        entries.forEach(entry => {
+            const key = this.getGroupKey(entry);
+            let group = groups.get(key);
+
+            if (!group) {
+                group = {
+                    food_name: entry.food_name,
+                    brand: entry.brand,
+                    serving_size: entry.serving_size,
+                    food_id: entry.food_id,
+                    recipe_id: entry.recipe_id,
+                    times_logged: 0,
+                    context_matches: 0,
+                    last_logged_at: entry.consumed_at,
+                    last_matching_at: null,
+                    meal_counts: {},
+                    latest: entry
+                };
+                groups.set(key, group);
+            }
+
+            group.times_logged++;
+            group.meal_counts[entry.meal_type] = (group.meal_counts[entry.meal_type] || 0) + 1;
+
+            if (this.matchesContext(entry, context)) {
+                group.context_matches++;
+                group.last_matching_at = group.last_matching_at || entry.consumed_at;
+            }
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Client-facing shape of a group
+     */
+    formatGroup(group, hasContext) {
+        const usualMealType = Object.entries(group.meal_counts)
+            .sort((a, b) => b[1] - a[1])[0][0];
+        const latest = group.latest;
+
+        return {
+            food_name: group.food_name,
+            brand: group.brand,
+            serving_size: group.serving_size,
+            food_id: group.food_id,
+            recipe_id: group.recipe_id,
+            times_logged: group.times_logged,
+            last_logged_at: group.last_logged_at,
+            usual_meal_type: usualMealType,
+            context_matches: hasContext ? group.context_matches : undefined,
+            calories: Math.round(latest.calories_per_serving * Number(latest.servings_consumed)),
+            entry_request: this.buildEntryRequest(latest)
+        };
+    }
+
+    /**
+     * Foods the user logged most recently
+     * With a meal or time of day, foods eaten in that context come first.
+     * @param {string} entryUserId - Value stored in calorie_entries.user_id
+     * @param {Object} options - { days, limit, meal_type, minute_of_day }
+     * @returns {Promise<Array>}
+     */
+    async getRecents(entryUserId, options = {}) {
+        const groups = await this.getHistory(entryUserId, options);
+        const hasContext = Boolean(options.meal_type) || options.minute_of_day !== undefined;
+
+        return groups
+            .sort((a, b) => (b.context_matches > 0) - (a.context_matches > 0)
+                || new Date(b.last_matching_at || b.last_logged_at) - new Date(a.last_matching_at || a.last_logged_at))
+            .slice(0, options.limit || 20)
+            .map(group => this.formatGroup(group, hasContext));
+    }
+
+    /**
+     * Foods the user logs most often
+     * With a meal or time of day, the count in that context ranks first.
+     * @param {string} entryUserId - Value stored in calorie_entries.user_id
+     * @param {Object} options - { days, limit, meal_type, minute_of_day }
+     * @returns {Promise<Array>}
+     */
+    async getFrequents(entryUserId, options = {}) {
+        const groups = await this.getHistory(entryUserId, options);
+        const hasContext = Boolean(options.meal_type) || options.minute_of_day !== undefined;
+
+        return groups
+            .sort((a, b) => b.context_matches - a.context_matches
+                || b.times_logged - a.times_logged
+                || new Date(b.last_logged_at) - new Date(a.last_logged_at))
+            .slice(0, options.limit || 20)
+            .map(group => this.formatGroup(group, hasContext));
+    }
+}
+
+module.exports = new FoodHistoryService();
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const db = require('../../../models');
+const Foods = db.Foods;
+const foodCatalogService = require('./food-catalog.service');
+const { readCsvRecords } = require('../utils/csv');
+
+const KJ_PER_KCAL = 4.184;
+const SODIUM_PER_SALT = 0.4; // Salt (NaCl) is ~40% sodium by weight
+
+// Open Food Facts reports vitamins and minerals in grams per 100 g
+const OFF_MICRONUTRIENTS = {
+    'vitamin-a_100g': ['vitamin_a_mcg', 1e6],
+    'vitamin-c_100g': ['vitamin_c_mg', 1e3],
+    'vitamin-d_100g': ['vitamin_d_mcg', 1e6],
+    'vitamin-e_100g': ['vitamin_e_mg', 1e3],
+    'vitamin-k_100g': ['vitamin_k_mcg', 1e6],
+    'vitamin-b12_100g': ['vitamin_b12_mcg', 1e6],
+    'vitamin-b9_100g': ['folate_mcg', 1e6],
+    'calcium_100g': ['calcium_mg', 1e3],
+    'iron_100g': ['iron_mg', 1e3],
+    'magnesium_100g': ['magnesium_mg', 1e3],
+    'potassium_100g': ['potassium_mg', 1e3],
+    'zinc_100g': ['zinc_mg', 1e3]
+};
+
+// Columns refreshed when a barcode already exists in the catalog
+const UPDATABLE_FIELDS = [
+    'name', 'brand', 'serving_size_g', 'serving_description', 'servings',
+    'calories_per_100g', 'protein_per_100g', 'carbs_per_100g', 'fat_per_100g',
+    'fiber_per_100g', 'sugar_per_100g', 'sodium_mg_per_100g', 'micronutrients_per_100g',
+    'source', 'updatedAt'
+];
+
+/**
+ * Food Import Service
+ *
+ * Loads Open Food Facts style product dumps (CSV/TSV export or JSONL) into
+ * the Foods catalog, keyed by barcode. Runs offline from the command line
+ * (see backend/src/scripts/import-foods.js); nothing here is exposed over HTTP.
+ */
+class FoodImportService {
+
+    /**
+     * Import a product dump into the catalog
+     * @param {string} filePath - Path to a .csv/.tsv/.jsonl file
+     * @param {Object} options - { format, batchSize, dryRun, limit, source, onProgress }
+     * @returns {Promise<Object>} Import summary
+     */
+    async importFile(filePath, options = {}) {
+        const format = options.format || this.detectFormat(filePath);
+        const batchSize = options.batchSize || 500;
+        const source = options.source || 'open_food_facts';
+
+        const summary = {
+            file: filePath,
+            format,
+            dry_run: !!options.dryRun,
+            records_read: 0,
+            imported: 0,
+            skipped: 0,
+            skip_reasons: {}
+        };
+
+        let batch = [];
+        const flush = async () => {
+            if (batch.length === 0) {
+                return;
+            }
+            if (!options.dryRun) {
+                await Foods.bulkCreate(batch, { updateOnDuplicate: UPDATABLE_FIELDS });
+            }
+            summary.imported += batch.length;
+            batch = [];
+            if (options.onProgress) {
+                options.onProgress(summary);
+            }
+        };
+
+        // Dumps contain repeated barcodes; keep the last occurrence within a batch
+        const seenInBatch = new Map();
+
+        for await (const record of this.readRecords(filePath, format)) {
+            if (options.limit && summary.records_read >= options.limit) {
+                break;
+            }
+            summary.records_read++;
+
+            const { food, reason } = this.mapProductRecord(record, source);
+            if (!food) {
+                summary.skipped++;
+                summary.skip_reasons[reason] = (summary.skip_reasons[reason] || 0) + 1;
+                continue;
+            }
+
+            if (seenInBatch.has(food.barcode)) {
+                batch[seenInBatch.get(food.barcode)] = food;
+                summary.skipped++;
+                summary.skip_reasons.duplicate_barcode = (summary.skip_reasons.duplicate_barcode || 0) + 1;
+                continue;
+            }
+
+            seenInBatch.set(food.barcode, batch.length);
+            batch.push(food);
+
+            if (batch.length >= batchSize) {
+                await flush();
+                seenInBatch.clear();
+            }
+        }
+
+        await flush();
+        return summary;
+    }
+
+    /**
+     * Guess the dump format from the file extension
+     */
+    detectFormat(filePath) {
+        const extension = path.extname(filePath.replace(/\.gz$/, '')).toLowerCase();
+        return ['.jsonl', '.ndjson', '.json'].includes(extension) ? 'jsonl' : 'csv';
+    }
+
+    /**
+     * Stream raw product records from the file
+     */
+    async* readRecords(filePath, format) {
+        let stream = fs.createReadStream(filePath);
+        if (filePath.endsWith('.gz')) {
+            stream = stream.pipe(require('zlib').createGunzip());
+        }
+
+        if (format === 'jsonl') {
+            const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+                try {
+                    yield JSON.parse(line);
+                } catch (error) {
+                    yield { __invalid: true };
+                }
+            }
+        } else {
+            for await (const { record } of readCsvRecords(stream)) {
+                yield record;
+            }
+        }
+    }
+
+    /**
+     * Map one Open Food Facts product (CSV row or JSONL object) to a Foods row
+     * @param {Object} record - Raw product record
+     * @param {string} source - Value stored in foods.source
+     * @returns {{ food: Object|null, reason: string|null }} Food attributes or the skip reason
+     */
+    mapProductRecord(record, source) {
+        if (record.__invalid) {
+            return { food: null, reason: 'invalid_json' };
+        }
+
+        // JSONL keeps nutrition in a nested object, the CSV export flattens it
+        const nutriments = record.nutriments || record;
+        const number = key => {
+            const value = parseFloat(nutriments[key]);
+            return Number.isFinite(value) && value >= 0 ? value : null;
+        };
+
+        const barcode = foodCatalogService.normalizeBarcode(record.code);
+        if (!barcode) {
+            return { food: null, reason: 'invalid_barcode' };
+        }
+
+        const name = (record.product_name || record.product_name_en || record.generic_name || '').trim();
+        if (!name) {
+            return { food: null, reason: 'missing_name' };
+        }
+
+        let calories = number('energy-kcal_100g');
+        if (calories === null && number('energy_100g') !== null) {
+            calories = number('energy_100g') / KJ_PER_KCAL;
+        }
+        if (calories === null) {
+            return { food: null, reason: 'missing_calories' };
+        }
+        if (calories > 1000) {
+            return { food: null, reason: 'implausible_calories' };
+        }
+
+        // Sodium is reported in grams; fall back to deriving it from salt
+        let sodiumG = number('sodium_100g');
+        if (sodiumG === null && number('salt_100g') !== null) {
+            sodiumG = number('salt_100g') * SODIUM_PER_SALT;
+        }
+
+        const servingGrams = parseFloat(record.serving_quantity);
+        const servingText = (record.serving_size || '').trim().slice(0, 255);
+        const hasServing = Number.isFinite(servingGrams) && servingGrams > 0 && servingGrams <= 10000;
+
+        const round = value => (value === null ? 0 : Math.round(value * 100) / 100);
+
+        let micronutrients = null;
+        Object.entries(OFF_MICRONUTRIENTS).forEach(([key, [field, factor]]) => {
+            if (number(key) !== null) {
+                micronutrients = micronutrients || {};
+                micronutrients[field] = round(number(key) * factor);
+            }
+        });
+
+        const brand = (record.brands || '').split(',')[0].trim();
+
+        return {
+            reason: null,
+            food: {
+                name: name.slice(0, 255),
+                brand: brand ? brand.slice(0, 255) : null,
+                barcode,
+                serving_size_g: hasServing ? round(servingGrams) : 100,
+                serving_description: hasServing ? (servingText || `${round(servingGrams)} g`) : '100 g',
+                servings: hasServing && servingText
+                    ? [{ label: servingText, grams: round(servingGrams) }]
+                    : null,
+                calories_per_100g: round(calories),
+                protein_per_100g: round(number('proteins_100g')),
+                carbs_per_100g: round(number('carbohydrates_100g')),
+                fat_per_100g: round(number('fat_100g')),
+                fiber_per_100g: round(number('fiber_100g')),
+                sugar_per_100g: round(number('sugars_100g')),
+                sodium_mg_per_100g: round(sodiumG === null ? null : sodiumG * 1000),
+                micronutrients_per_100g: micronutrients,
+                created_by: null,
+                source,
+                is_verified: false,
+                is_active: true
+            }
+        };
+    }
+}
+
+module.exports = new FoodImportService();
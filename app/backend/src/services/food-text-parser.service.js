@@ -0,0 +1,381 @@
+const foodCatalogService = require('./food-catalog.service');
+const units = require('../utils/units');
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_ITEMS = 20;
+const ALTERNATIVES = 3;
+const MAX_JOINED_PARTS = 3; // Longest "x and y with z" run tried as one catalog food
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    half: 0.5, quarter: 0.25, couple: 2, few: 3, dozen: 12
+};
+
+// Meal words in the text, mapped to CalorieEntries.meal_type
+const MEAL_WORDS = {
+    breakfast: 'breakfast',
+    brunch: 'breakfast',
+    lunch: 'lunch',
+    dinner: 'dinner',
+    supper: 'dinner',
+    snack: 'snack',
+    snacks: 'snack'
+};
+
+// Everyday names for catalog foods
+const SYNONYMS = {
+    toast: 'bread',
+    oatmeal: 'oats',
+    porridge: 'oats',
+    yoghurt: 'yogurt',
+    pb: 'peanut butter'
+};
+
+// Words that carry no food information ("I had some ...")
+const FILLER = /^(?:i\s+)?(?:just\s+)?(?:had|ate|have|eaten|drank|drink|eat|also)\s+|^(?:some|about|around|approx\.?|roughly)\s+/;
+
+/**
+ * Food Text Parser Service
+ *
+ * Rule-based parsing of a sentence like "2 eggs and a slice of toast" into
+ * candidate diary entries matched against the food catalog. Nothing is saved:
+ * each candidate carries the request body for POST /api/calorie-entries/bulk
+ * so the client can let the user confirm or adjust first.
+ */
+class FoodTextParserService {
+
+    /**
+     * Meal for a time of day
+     * @param {Date} date - Time the food was eaten
+     * @returns {string} breakfast | lunch | dinner | snack
+     */
+    inferMealType(date) {
+        const hour = date.getHours() + date.getMinutes() / 60;
+
+        if (hour >= 5 && hour < 10.5) {
+            return 'breakfast';
+        }
+        if (hour >= 11.5 && hour < 14.5) {
+            return 'lunch';
+        }
+        if (hour >= 17.5 && hour < 21.5) {
+            return 'dinner';
+        }
+        return 'snack';
+    }
+
+    /**
+     * Split a sentence on separators and conjunctions, without catalog lookups
+     * @param {string} text - e.g. "For breakfast I had 2 eggs, 1 1/2 cups of milk and a slice of toast"
+     * @returns {Object} { meal_type (from the text, or null), chunks: [pieces split on and/with/plus, separators
+     *   at odd indexes], part_count (food-like parts before any are joined) }
+     */
+    splitText(text) {
+        let sentence = String(text).toLowerCase().replace(/[!?.]+(\s|$)/g, ' ');
+        let mealType = null;
+
+        // "for breakfast", "at lunch", "with dinner": remember the meal and drop the phrase.
+        // Without the preposition the word is part of a food ("a snack bar", "lunch meat").
+        sentence = sentence.replace(/\b(?:for|at|with|during|as)\s+(?:my\s+|a\s+)?(breakfast|brunch|lunch|dinner|supper|snacks?)\b/g, (match, word) => {
+            mealType = mealType || MEAL_WORDS[word];
+            return ' ';
+        });
+
+        // Odd indexes hold the separators, so joined parts keep their original wording
+        const chunks = sentence
+            .split(/\s*(?:,|;|\n)\s*/)
+            .map(chunk => chunk.split(/(\s*(?:&|\+|\band\b|\bplus\b|\bwith\b)\s*)/));
+        const partCount = chunks.reduce((count, pieces) => count
+            + pieces.filter((piece, index) => index % 2 === 0 && this.parseSegment(piece)).length, 0);
+
+        return { meal_type: mealType, chunks, part_count: partCount };
+    }
+
+    /**
+     * Food phrases with their amounts from the chunks of splitText
+     * @param {Array} chunks - splitText chunks
+     * @param {number|null} userId - Integer user ID, includes the user's own foods when keeping parts together
+     * @returns {Promise<Array>} [{ text, quantity, unit, food_phrase, quantity_assumed }]
+     */
+    async buildItems(chunks, userId = null) {
+        const items = [];
+        for (const pieces of chunks) {
+            items.push(...await this.splitConjunctions(pieces, userId));
+        }
+        return items;
+    }
+
+    /**
+     * Items of a chunk split on "and", "with", "plus", "&" and "+", keeping
+     * neighbouring parts together when they name one catalog food ("mac and
+     * cheese", "coffee with milk")
+     * @param {Array} pieces - Parts with their separators at odd indexes
+     * @returns {Promise<Array>} Items as returned by parseSegment
+     */
+    async splitConjunctions(pieces, userId) {
+        const parts = pieces.filter((piece, index) => index % 2 === 0);
+        const joinParts = (start, end) => pieces.slice(start * 2, end * 2 - 1).join('');
+
+        const items = [];
+        let start = 0;
+        while (start < parts.length) {
+            let end = start + 1;
+
+            // Longest run first, so "mac and cheese with bacon" can still match as a whole
+            for (let candidateEnd = Math.min(start + MAX_JOINED_PARTS, parts.length); candidateEnd > start + 1; candidateEnd--) {
+                if (!parts.slice(start, candidateEnd).every(part => part.trim())) {
+                    continue;
+                }
+                const joined = this.parseSegment(joinParts(start, candidateEnd));
+                if (joined && await this.isCatalogFood(joined.food_phrase, userId)) {
+                    end = candidateEnd;
+                    break;
+                }
+            }
+
+            const item = this.parseSegment(joinParts(start, end));
+            if (item) {
+                items.push(item);
+            }
+            start = end;
+        }
+        return items;
+    }
+
+    /**
+     * Amount, unit and food phrase of one segment ("a slice of toast")
+     * @returns {Object|null} Null when nothing food-like is left
+     */
+    parseSegment(segment) {
+        let rest = segment.trim();
+        let previous;
+        do {
+            previous = rest;
+            rest = rest.replace(FILLER, '');
+        } while (rest !== previous);
+
+        let quantity = null;
+
+        const numeric = rest.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?)\s*/);
+        if (numeric) {
+            quantity = numeric[1].split(/\s+/).reduce((sum, part) => {
+                const [numerator, denominator] = part.split('/');
+                return sum + (denominator ? Number(numerator) / Number(denominator) : Number(numerator.replace(',', '.')));
+            }, 0);
+            rest = rest.slice(numeric[0].length);
+        } else {
+            // Number words multiply: "a couple of" = 2, "half a dozen" = 6, "a half" = 0.5
+            const words = rest.split(/\s+/);
+            while (words.length > 1 && NUMBER_WORDS[words[0]] !== undefined) {
+                quantity = (quantity === null ? 1 : quantity) * NUMBER_WORDS[words.shift()];
+                if (words[0] === 'of') {
+                    words.shift();
+                }
+            }
+            rest = words.join(' ');
+        }
+
+        let unit = null;
+        const unitMatch = rest.match(/^([a-z_]+\.?)\s+(?:of\s+)?(.+)$/);
+        if (unitMatch && units.normalizeUnit(unitMatch[1])) {
+            unit = units.normalizeUnit(unitMatch[1]);
+            rest = unitMatch[2];
+        }
+
+        const foodPhrase = rest.replace(/^(?:of|the|a|an|my)\s+/, '').replace(/[^a-z0-9\s'-]/g, ' ').replace(/\s+/g, ' ').trim();
+        if (!foodPhrase) {
+            return null;
+        }
+
+        return {
+            text: segment.trim(),
+            quantity: quantity !== null && quantity > 0 ? Math.round(quantity * 100) / 100 : 1,
+            unit,
+            food_phrase: foodPhrase,
+            quantity_assumed: quantity === null
+        };
+    }
+
+    /**
+     * Search phrasings for a food phrase, most specific first
+     * Plurals are singularized and everyday names swapped for catalog names;
+     * leading words are dropped last ("scrambled eggs" -> "egg").
+     * @returns {Array<{ phrase: string, partial: boolean }>}
+     */
+    getSearchPhrases(foodPhrase) {
+        const singular = word => {
+            if (word.length <= 3 || word.endsWith('ss')) {
+                return word;
+            }
+            if (word.endsWith('ies')) {
+                return word.slice(0, -3) + 'y';
+            }
+            if (/(?:ch|sh|x|o)es$/.test(word)) {
+                return word.slice(0, -2);
+            }
+            return word.endsWith('s') ? word.slice(0, -1) : word;
+        };
+        const withSynonyms = phrase => phrase.split(' ').map(word => SYNONYMS[word] || word).join(' ');
+
+        const words = foodPhrase.split(' ');
+        const phrases = [];
+        for (let start = 0; start < words.length; start++) {
+            const tail = words.slice(start).join(' ');
+            const singularTail = words.slice(start).map(singular).join(' ');
+            [tail, singularTail, withSynonyms(singularTail)].forEach(phrase => {
+                if (!phrases.some(existing => existing.phrase === phrase)) {
+                    phrases.push({ phrase, partial: start > 0 });
+                }
+            });
+        }
+        return phrases;
+    }
+
+    /**
+     * Whether the whole phrase (not just its last words) names a catalog food
+     */
+    async isCatalogFood(foodPhrase, userId) {
+        for (const { phrase, partial } of this.getSearchPhrases(foodPhrase)) {
+            if (!partial && (await foodCatalogService.searchFoods(phrase, { limit: 1, userId })).length > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Find catalog foods for a phrase
+     * @param {string} foodPhrase - e.g. "slices of toast" after the amount was removed
+     * @param {number|null} userId - Integer user ID, includes the user's own foods
+     * @returns {Promise<Object>} { foods (best first), phrase, partial }
+     */
+    async matchFood(foodPhrase, userId) {
+        for (const { phrase, partial } of this.getSearchPhrases(foodPhrase)) {
+            const foods = await foodCatalogService.searchFoods(phrase, { limit: ALTERNATIVES + 1, userId });
+            if (foods.length > 0) {
+                return { foods, phrase, partial };
+            }
+        }
+        return { foods: [], phrase: foodPhrase, partial: false };
+    }
+
+    /**
+     * Amount to log for a matched food
+     * A bare count ("2 eggs") means pieces when the food has a piece weight,
+     * otherwise servings of its default serving size.
+     * @returns {Object} { amount: { quantity, unit } | { servings_consumed }, warning }
+     */
+    resolveAmount(food, item) {
+        const unitGrams = foodCatalogService.getUnitGrams(food);
+
+        if (item.unit && units.toGrams(item.quantity, item.unit, unitGrams) !== null) {
+            return { amount: { quantity: item.quantity, unit: item.unit }, warning: null };
+        }
+        if (!item.unit && units.toGrams(item.quantity, 'piece', unitGrams) !== null) {
+            return { amount: { quantity: item.quantity, unit: 'piece' }, warning: null };
+        }
+
+        if (item.unit && item.unit !== 'piece') {
+            return {
+                amount: { servings_consumed: 1 },
+                warning: `${food.name} can't be measured in ${item.unit}, using one ${food.serving_description || 'serving'} instead`
+            };
+        }
+        return { amount: { servings_consumed: item.quantity }, warning: null };
+    }
+
+    /**
+     * Parse a sentence into candidate diary entries
+     * @param {string} text - Free text
+     * @param {Object} options - { userId, consumedAt (Date), mealType (overrides the text and time of day) }
+     * @returns {Promise<Object>} { items, unmatched, error } as described on the route
+     */
+    async parse(text, options = {}) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return { error: 'text is required' };
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            return { error: `text can be at most ${MAX_TEXT_LENGTH} characters` };
+        }
+
+        const consumedAt = options.consumedAt || new Date();
+        const { meal_type: textMealType, chunks, part_count: partCount } = this.splitText(text);
+
+        // Checked before any catalog lookup, so "mac and cheese" still counts as two here
+        if (partCount > MAX_ITEMS) {
+            return { error: `text can describe at most ${MAX_ITEMS} foods` };
+        }
+
+        const items = await this.buildItems(chunks, options.userId);
+
+        let mealType = this.inferMealType(consumedAt);
+        let mealTypeSource = 'time_of_day';
+        if (options.mealType) {
+            mealType = options.mealType;
+            mealTypeSource = 'request';
+        } else if (textMealType) {
+            mealType = textMealType;
+            mealTypeSource = 'text';
+        }
+
+        const parsed = [];
+        const unmatched = [];
+
+        for (const item of items) {
+            const match = await this.matchFood(item.food_phrase, options.userId);
+            if (match.foods.length === 0) {
+                unmatched.push({ text: item.text, food_phrase: item.food_phrase, quantity: item.quantity, unit: item.unit });
+                continue;
+            }
+
+            const [food, ...others] = match.foods;
+            const { amount, warning } = this.resolveAmount(food, item);
+            const entry = foodCatalogService.buildEntryFromFood(food, amount);
+
+            let confidence = foodCatalogService.scoreMatch(food, match.phrase) <= 3 ? 'high' : 'medium';
+            if (match.partial || warning) {
+                confidence = 'low';
+            }
+
+            parsed.push({
+                text: item.text,
+                quantity: item.quantity,
+                unit: item.unit,
+                quantity_assumed: item.quantity_assumed,
+                food: {
+                    id: food.id,
+                    name: food.name,
+                    brand: food.brand,
+                    available_units: foodCatalogService.getAvailableUnits(food)
+                },
+                confidence,
+                warning,
+                entry: { ...entry, meal_type: mealType, consumed_at: consumedAt },
+                // Body for POST /api/calorie-entries/bulk once the user confirms
+                entry_request: {
+                    food_id: food.id,
+                    ...amount,
+                    meal_type: mealType,
+                    consumed_at: consumedAt
+                },
+                alternatives: others.slice(0, ALTERNATIVES).map(other => ({
+                    id: other.id,
+                    name: other.name,
+                    brand: other.brand
+                }))
+            });
+        }
+
+        return {
+            meal_type: mealType,
+            meal_type_source: mealTypeSource,
+            consumed_at: consumedAt,
+            items: parsed,
+            unmatched,
+            error: null
+        };
+    }
+}
+
+module.exports = new FoodTextParserService();
@@ -0,0 +1,127 @@
+const db = require('../../../models');
+const WaterLogs = db.WaterLogs;
+const Users = db.Users;
+const { Op } = require('sequelize');
+const units = require('../utils/units');
+
+const ML_PER_KG = 35; // Common guideline of 30-35 ml of fluid per kg of body weight
+const DEFAULT_GOAL_ML = 2000; // Used until weight_kg is set
+const MIN_GOAL_ML = 1500;
+const MAX_GOAL_ML = 4500;
+
+/**
+ * Hydration Service
+ *
+ * Water intake logging and a daily fluid goal derived from body weight.
+ */
+class HydrationService {
+
+    /**
+     * Daily fluid goal for a user
+     * @param {Object|null} user - Users record (weight_kg)
+     * @returns {Object} { goal_ml, basis: 'body_weight'|'default', weight_kg }
+     */
+    calculateDailyGoal(user) {
+        const weightKg = user && user.weight_kg ? Number(user.weight_kg) : null;
+
+        if (!weightKg) {
+            return { goal_ml: DEFAULT_GOAL_ML, basis: 'default', weight_kg: null };
+        }
+
+        // Rounded to the nearest 50 ml so the goal reads like a glass measurement
+        const goal = Math.round((weightKg * ML_PER_KG) / 50) * 50;
+        return {
+            goal_ml: Math.min(Math.max(goal, MIN_GOAL_ML), MAX_GOAL_ML),
+            basis: 'body_weight',
+            weight_kg: weightKg
+        };
+    }
+
+    /**
+     * Read the amount from a request body: amount_ml, or amount with a volume unit
+     * @param {Object} body - { amount_ml } or { amount, unit } (ml, l, fl_oz, cup, tbsp, tsp)
+     * @returns {{ amount_ml: number|null, error: string|null }}
+     */
+    parseAmount(body) {
+        let amountMl = null;
+
+        if (body.amount_ml !== undefined) {
+            amountMl = Number(body.amount_ml);
+        } else if (body.amount !== undefined && body.unit) {
+            const unit = units.normalizeUnit(body.unit);
+            amountMl = unit ? units.convertQuantity(Number(body.amount), unit, 'ml') : null;
+            if (amountMl === null) {
+                return { amount_ml: null, error: 'unit must be a volume unit: ml, l, fl_oz, cup, tbsp or tsp' };
+            }
+        } else {
+            return { amount_ml: null, error: 'amount_ml (or amount and unit) is required' };
+        }
+
+        if (!Number.isFinite(amountMl) || amountMl < 1 || amountMl > 5000) {
+            return { amount_ml: null, error: 'Amount must be between 1 and 5000 ml' };
+        }
+
+        return { amount_ml: Math.round(amountMl), error: null };
+    }
+
+    /**
+     * Log a drink
+     * @param {number} userId - Integer user ID
+     * @param {Object} data - { amount_ml, beverage, logged_at, notes }
+     * @returns {Promise<Object>} Created water log
+     */
+    async logWater(userId, data) {
+        return WaterLogs.create({
+            user_id: userId,
+            amount_ml: data.amount_ml,
+            beverage: data.beverage || 'water',
+            logged_at: data.logged_at || new Date(),
+            notes: data.notes
+        });
+    }
+
+    /**
+     * Day's water logs and progress towards the goal
+     * @param {string} firebaseUid - User's Firebase UID
+     * @param {Date} date - Target date
+     * @returns {Promise<Object>} { date, total_ml, goal_ml, remaining_ml, goal_percentage, goal_met, goal_basis, entries }
+     */
+    async getDailySummary(firebaseUid, date = new Date()) {
+        const user = await Users.findOne({
+            where: { firebase_uid: firebaseUid },
+            attributes: ['id', 'weight_kg']
+        });
+
+        const startOfDay = new Date(date);
+        startOfDay.setHours(0, 0, 0, 0);
+
+        const endOfDay = new Date(date);
+        endOfDay.setHours(23, 59, 59, 999);
+
+        const entries = user ? await WaterLogs.findAll({
+            where: {
+                user_id: user.id,
+                logged_at: {
+                    [Op.between]: [startOfDay, endOfDay]
+                }
+            },
+            order: [['logged_at', 'ASC']]
+        }) : [];
+
+        const totalMl = entries.reduce((total, entry) => total + entry.amount_ml, 0);
+        const goal = this.calculateDailyGoal(user);
+
+        return {
+            date: date.toISOString().split('T')[0],
+            total_ml: totalMl,
+            goal_ml: goal.goal_ml,
+            remaining_ml: Math.max(goal.goal_ml - totalMl, 0),
+            goal_percentage: Math.round((totalMl / goal.goal_ml) * 100),
+            goal_met: totalMl >= goal.goal_ml,
+            goal_basis: goal.basis,
+            entries
+        };
+    }
+}
+
+module.exports = new HydrationService();
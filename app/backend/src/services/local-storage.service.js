@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local Storage Service
+ *
+ * Storage adapter that writes uploads to disk under UPLOAD_DIR (app/uploads by
+ * default). The server serves its photos/ directory at /uploads/photos, so
+ * files moved elsewhere (e.g. deleted/) are not publicly reachable.
+ */
+class LocalStorageService {
+
+    /**
+     * Directory uploads are written to
+     */
+    getRoot() {
+        return path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../../uploads'));
+    }
+
+    /**
+     * Absolute path for a key, refusing keys that escape the upload directory
+     */
+    resolve(key) {
+        const root = this.getRoot();
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Write a file
+     * @param {string} key - Relative path, e.g. photos/calorie_entry/<uuid>.jpg
+     * @param {Buffer} body - File contents
+     */
+    async put(key, body) {
+        const filePath = this.resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, body);
+    }
+
+    /**
+     * Delete a file (succeeds when it is already gone)
+     * @param {string} key - Relative path
+     */
+    async remove(key) {
+        try {
+            await fs.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Move a file to another key (succeeds when the source is already gone)
+     * @param {string} fromKey - Current relative path
+     * @param {string} toKey - New relative path
+     */
+    async move(fromKey, toKey) {
+        const toPath = this.resolve(toKey);
+        await fs.mkdir(path.dirname(toPath), { recursive: true });
+        try {
+            await fs.rename(this.resolve(fromKey), toPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Public URL for a file, absolute when PUBLIC_BASE_URL is set
+     * @param {string} key - Relative path
+     * @returns {Promise<string>}
+     */
+    async getUrl(key) {
+        return `${process.env.PUBLIC_BASE_URL || ''}/uploads/${key}`;
+    }
+}
+
+module.exports = new LocalStorageService();
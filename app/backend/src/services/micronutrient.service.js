@@ -0,0 +1,227 @@
+/**
+ * Tracked vitamins and minerals, keyed the way they are stored in
+ * calorie_entries.micronutrients and foods.micronutrients_per_100g
+ */
+const MICRONUTRIENTS = {
+    vitamin_a_mcg: { name: 'Vitamin A (RAE)', unit: 'mcg' },
+    vitamin_c_mg: { name: 'Vitamin C', unit: 'mg' },
+    vitamin_d_mcg: { name: 'Vitamin D', unit: 'mcg' },
+    vitamin_e_mg: { name: 'Vitamin E', unit: 'mg' },
+    vitamin_k_mcg: { name: 'Vitamin K', unit: 'mcg' },
+    vitamin_b12_mcg: { name: 'Vitamin B12', unit: 'mcg' },
+    folate_mcg: { name: 'Folate (DFE)', unit: 'mcg' },
+    calcium_mg: { name: 'Calcium', unit: 'mg' },
+    iron_mg: { name: 'Iron', unit: 'mg' },
+    magnesium_mg: { name: 'Magnesium', unit: 'mg' },
+    potassium_mg: { name: 'Potassium', unit: 'mg' },
+    zinc_mg: { name: 'Zinc', unit: 'mg' }
+};
+
+/**
+ * Daily reference intakes (US Dietary Reference Intakes)
+ * kind: rda / ai are targets to reach, limit is a ceiling (sodium CDRR).
+ * bands: [max age in years, male, female], first band covering the age wins.
+ */
+const REFERENCE_INTAKES = {
+    vitamin_a_mcg: { kind: 'rda', bands: [[3, 300, 300], [8, 400, 400], [13, 600, 600], [Infinity, 900, 700]] },
+    vitamin_c_mg: { kind: 'rda', bands: [[3, 15, 15], [8, 25, 25], [13, 45, 45], [18, 75, 65], [Infinity, 90, 75]] },
+    vitamin_d_mcg: { kind: 'rda', bands: [[70, 15, 15], [Infinity, 20, 20]] },
+    vitamin_e_mg: { kind: 'rda', bands: [[3, 6, 6], [8, 7, 7], [13, 11, 11], [Infinity, 15, 15]] },
+    vitamin_k_mcg: { kind: 'ai', bands: [[3, 30, 30], [8, 55, 55], [13, 60, 60], [18, 75, 75], [Infinity, 120, 90]] },
+    vitamin_b12_mcg: { kind: 'rda', bands: [[3, 0.9, 0.9], [8, 1.2, 1.2], [13, 1.8, 1.8], [Infinity, 2.4, 2.4]] },
+    folate_mcg: { kind: 'rda', bands: [[3, 150, 150], [8, 200, 200], [13, 300, 300], [Infinity, 400, 400]] },
+    calcium_mg: { kind: 'rda', bands: [[3, 700, 700], [8, 1000, 1000], [18, 1300, 1300], [50, 1000, 1000], [70, 1000, 1200], [Infinity, 1200, 1200]] },
+    iron_mg: { kind: 'rda', bands: [[3, 7, 7], [8, 10, 10], [13, 8, 8], [18, 11, 15], [50, 8, 18], [Infinity, 8, 8]] },
+    magnesium_mg: { kind: 'rda', bands: [[3, 80, 80], [8, 130, 130], [13, 240, 240], [18, 410, 360], [30, 400, 310], [Infinity, 420, 320]] },
+    potassium_mg: { kind: 'ai', bands: [[3, 2000, 2000], [8, 2300, 2300], [13, 2500, 2300], [18, 3000, 2300], [Infinity, 3400, 2600]] },
+    zinc_mg: { kind: 'rda', bands: [[3, 3, 3], [8, 5, 5], [13, 8, 8], [18, 11, 9], [Infinity, 11, 8]] },
+    sodium_mg: { kind: 'limit', bands: [[3, 1200, 1200], [8, 1500, 1500], [13, 1800, 1800], [Infinity, 2300, 2300]] }
+};
+
+// Used when date_of_birth is missing
+const DEFAULT_ADULT_AGE = 30;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Micronutrient Service
+ *
+ * Validates and scales micronutrient maps, and compares a day's intake with
+ * reference values for the user's age and gender.
+ */
+class MicronutrientService {
+
+    /**
+     * Tracked micronutrient keys with display name and unit
+     */
+    getNutrients() {
+        return Object.entries(MICRONUTRIENTS).map(([key, info]) => ({ key, ...info }));
+    }
+
+    /**
+     * Validate a micronutrient map from a request
+     * @param {Object} input - e.g. { iron_mg: 2.1, vitamin_c_mg: 30 }
+     * @returns {{ values: Object|null, errors: Array<string> }} Cleaned map (null when empty) or error messages
+     */
+    normalize(input) {
+        if (input === null || input === undefined) {
+            return { values: null, errors: [] };
+        }
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return { values: null, errors: ['micronutrients must be an object keyed by nutrient'] };
+        }
+
+        const values = {};
+        const errors = [];
+
+        Object.entries(input).forEach(([key, value]) => {
+            if (!MICRONUTRIENTS[key]) {
+                errors.push(`Unknown micronutrient "${key}". Supported: ${Object.keys(MICRONUTRIENTS).join(', ')}`);
+                return;
+            }
+            if (value === null || value === '') {
+                return;
+            }
+
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                errors.push(`${key} must be a non-negative number`);
+                return;
+            }
+            values[key] = round2(number);
+        });
+
+        return { values: Object.keys(values).length > 0 ? values : null, errors };
+    }
+
+    /**
+     * Multiply every value in a micronutrient map
+     * @param {Object|null} values - Micronutrient map
+     * @param {number} factor - Scale factor (e.g. grams / 100)
+     * @returns {Object|null} Scaled map, null when there is nothing to scale
+     */
+    scale(values, factor) {
+        if (!values) {
+            return null;
+        }
+
+        const scaled = {};
+        Object.entries(values).forEach(([key, value]) => {
+            scaled[key] = round2(Number(value) * factor);
+        });
+        return scaled;
+    }
+
+    /**
+     * Age and gender used to pick reference values
+     * @param {Object|null} user - Users record (date_of_birth, gender)
+     * @param {Date} date - Report date
+     * @returns {Object} { age, gender, age_assumed }
+     */
+    getReferenceProfile(user, date) {
+        let age = null;
+
+        if (user && user.date_of_birth) {
+            const birth = new Date(user.date_of_birth);
+            age = date.getFullYear() - birth.getFullYear();
+            const hadBirthday = date.getMonth() > birth.getMonth()
+                || (date.getMonth() === birth.getMonth() && date.getDate() >= birth.getDate());
+            if (!hadBirthday) {
+                age--;
+            }
+        }
+
+        return {
+            age: age !== null && age >= 0 ? age : DEFAULT_ADULT_AGE,
+            gender: user && ['male', 'female'].includes(user.gender) ? user.gender : null,
+            age_assumed: age === null || age < 0
+        };
+    }
+
+    /**
+     * Reference intake for one nutrient
+     * Without a male/female gender the stricter of the two values is used
+     * (the higher target, or the lower limit).
+     * @returns {{ kind: string, amount: number }}
+     */
+    getReferenceIntake(key, profile) {
+        const reference = REFERENCE_INTAKES[key];
+        const [, male, female] = reference.bands.find(([maxAge]) => profile.age <= maxAge);
+
+        let amount;
+        if (profile.gender === 'male') {
+            amount = male;
+        } else if (profile.gender === 'female') {
+            amount = female;
+        } else {
+            amount = reference.kind === 'limit' ? Math.min(male, female) : Math.max(male, female);
+        }
+
+        return { kind: reference.kind, amount };
+    }
+
+    /**
+     * Compare a day's entries with reference intakes
+     * @param {Array} entries - CalorieEntries for the day
+     * @param {Object|null} user - Users record (date_of_birth, gender)
+     * @param {Date} date - Report date
+     * @returns {Object} { reference_profile, coverage, nutrients }
+     */
+    buildDailyReport(entries, user, date) {
+        const totals = { sodium_mg: 0 };
+        Object.keys(MICRONUTRIENTS).forEach(key => {
+            totals[key] = 0;
+        });
+
+        let entriesWithData = 0;
+        entries.forEach(entry => {
+            totals.sodium_mg += (Number(entry.sodium_mg) || 0) * entry.servings_consumed;
+
+            if (entry.micronutrients && Object.keys(entry.micronutrients).length > 0) {
+                entriesWithData++;
+                Object.entries(entry.micronutrients).forEach(([key, value]) => {
+                    if (totals[key] !== undefined) {
+                        totals[key] += (Number(value) || 0) * entry.servings_consumed;
+                    }
+                });
+            }
+        });
+
+        const profile = this.getReferenceProfile(user, date);
+        const nutrients = Object.keys(REFERENCE_INTAKES).map(key => {
+            const { kind, amount } = this.getReferenceIntake(key, profile);
+            const consumed = round2(totals[key]);
+            const info = MICRONUTRIENTS[key] || { name: 'Sodium', unit: 'mg' };
+
+            let status;
+            if (kind === 'limit') {
+                status = consumed > amount ? 'OVER_LIMIT' : 'WITHIN_LIMIT';
+            } else {
+                status = consumed >= amount ? 'MET' : 'BELOW_REFERENCE';
+            }
+
+            return {
+                key,
+                name: info.name,
+                unit: info.unit,
+                consumed,
+                reference_amount: amount,
+                reference_kind: kind,
+                percent_of_reference: Math.round((consumed / amount) * 100),
+                remaining: kind === 'limit' ? 0 : round2(Math.max(amount - consumed, 0)),
+                status
+            };
+        });
+
+        return {
+            reference_profile: profile,
+            coverage: {
+                entry_count: entries.length,
+                entries_with_micronutrients: entriesWithData
+            },
+            nutrients
+        };
+    }
+}
+
+module.exports = new MicronutrientService();
@@ -0,0 +1,315 @@
+const db = require('../../../models');
+const PersonalRecords = db.PersonalRecords;
+const Exercises = db.Exercises;
+const UserExercises = db.UserExercises;
+const UserExerciseSets = db.UserExerciseSets;
+
+// Record types: unit and whether a lower value is better
+const RECORD_TYPES = {
+    heaviest_weight: { unit: 'kg', lowerIsBetter: false },
+    most_reps: { unit: 'reps', lowerIsBetter: false },
+    estimated_1rm: { unit: 'kg', lowerIsBetter: false },
+    longest_distance: { unit: 'km', lowerIsBetter: false },
+    fastest_pace: { unit: 'min/km', lowerIsBetter: true }
+};
+
+// 1RM formulas lose accuracy quickly past this many reps
+const MAX_REPS_FOR_1RM = 12;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Personal Record Service
+ *
+ * Detects personal records when an exercise is logged: heaviest weight, most
+ * reps at a weight, best estimated one-rep max, longest distance and fastest
+ * pace. Each record is kept per user, exercise and type (and weight for
+ * most_reps) and updated in place when beaten. Editing, deleting or
+ * restoring a log recalculates the exercise's records from the remaining logs.
+ */
+class PersonalRecordService {
+
+    getRecordTypes() {
+        return Object.keys(RECORD_TYPES);
+    }
+
+    /**
+     * Estimated one-rep max from a set
+     * Average of the Epley (w × (1 + reps / 30)) and Brzycki (w × 36 / (37 - reps)) formulas.
+     * @returns {Object|null} { epley, brzycki, estimated_1rm }, null without a weight or above 12 reps
+     */
+    estimateOneRepMax(weightKg, reps) {
+        const weight = Number(weightKg);
+        if (!weight || !reps || reps > MAX_REPS_FOR_1RM) {
+            return null;
+        }
+        if (reps === 1) {
+            return { epley: weight, brzycki: weight, estimated_1rm: weight };
+        }
+
+        const epley = weight * (1 + reps / 30);
+        const brzycki = weight * 36 / (37 - reps);
+        return {
+            epley: round(epley),
+            brzycki: round(brzycki),
+            estimated_1rm: round((epley + brzycki) / 2)
+        };
+    }
+
+    /**
+     * Best value of each record type in one logged exercise
+     * @param {Object} exerciseLog - UserExercises record
+     * @param {Array|null} setRows - Per-set details; warm-ups are ignored
+     * @returns {Array} [{ record_type, value, weight_kg, reps, distance_km, duration_minutes }]
+     */
+    getCandidates(exerciseLog, setRows) {
+        const sets = setRows && setRows.length > 0
+            ? setRows.filter(set => !set.is_warmup)
+            : (exerciseLog.reps ? [{ reps: exerciseLog.reps, weight_kg: exerciseLog.weight_kg }] : []);
+
+        const best = {};
+        const keep = (key, candidate) => {
+            const current = best[key];
+            if (!current || this.isBetter(candidate.record_type, candidate.value, current.value)) {
+                best[key] = candidate;
+            }
+        };
+
+        sets.forEach(set => {
+            const weight = set.weight_kg === null || set.weight_kg === undefined ? null : round(Number(set.weight_kg));
+
+            if (weight) {
+                keep('heaviest_weight', { record_type: 'heaviest_weight', value: weight, weight_kg: weight, reps: set.reps });
+
+                const oneRepMax = this.estimateOneRepMax(weight, set.reps);
+                if (oneRepMax) {
+                    keep('estimated_1rm', { record_type: 'estimated_1rm', value: oneRepMax.estimated_1rm, weight_kg: weight, reps: set.reps });
+                }
+            }
+
+            // Most reps is tracked separately for every weight (null = bodyweight)
+            keep(`most_reps:${weight}`, { record_type: 'most_reps', value: set.reps, weight_kg: weight || null, reps: set.reps });
+        });
+
+        const distance = Number(exerciseLog.distance_km) || 0;
+        if (distance > 0) {
+            keep('longest_distance', {
+                record_type: 'longest_distance',
+                value: round(distance),
+                distance_km: round(distance),
+                duration_minutes: exerciseLog.duration_minutes || null
+            });
+
+            if (exerciseLog.duration_minutes) {
+                keep('fastest_pace', {
+                    record_type: 'fastest_pace',
+                    value: round(exerciseLog.duration_minutes / distance),
+                    distance_km: round(distance),
+                    duration_minutes: exerciseLog.duration_minutes
+                });
+            }
+        }
+
+        return Object.values(best);
+    }
+
+    /**
+     * Unique key of a record within its type: the weight for most_reps
+     */
+    getRecordKey(candidate) {
+        if (candidate.record_type !== 'most_reps') {
+            return '';
+        }
+        return candidate.weight_kg ? Number(candidate.weight_kg).toFixed(2) : 'bodyweight';
+    }
+
+    isBetter(recordType, value, current) {
+        return RECORD_TYPES[recordType].lowerIsBetter ? value < current : value > current;
+    }
+
+    /**
+     * Columns of a record set by a candidate from a logged exercise
+     */
+    buildRecordFields(candidate, exerciseLog) {
+        return {
+            value: candidate.value,
+            weight_kg: candidate.weight_kg === undefined ? null : candidate.weight_kg,
+            reps: candidate.reps || null,
+            distance_km: candidate.distance_km || null,
+            duration_minutes: candidate.duration_minutes || null,
+            user_exercise_id: exerciseLog.id,
+            achieved_at: exerciseLog.performed_at
+        };
+    }
+
+    /**
+     * Compare a logged exercise against the user's records and save the ones it beats
+     * @param {number} userId - Integer user ID
+     * @param {Object} exerciseLog - Newly created UserExercises record
+     * @param {Array|null} setRows - Per-set details, if any
+     * @param {boolean} isRetry - Set when retrying after a concurrent log created the same record
+     * @returns {Promise<Array>} New records, formatted
+     */
+    async detectRecords(userId, exerciseLog, setRows = null, isRetry = false) {
+        const candidates = this.getCandidates(exerciseLog, setRows);
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        let newRecords;
+        try {
+            newRecords = await db.sequelize.transaction(async (transaction) => {
+                const saved = [];
+
+                for (const candidate of candidates) {
+                    const where = {
+                        user_id: userId,
+                        exercise_id: exerciseLog.exercise_id,
+                        record_type: candidate.record_type,
+                        record_key: this.getRecordKey(candidate)
+                    };
+
+                    const existing = await PersonalRecords.findOne({ where, transaction, lock: transaction.LOCK.UPDATE });
+                    const fields = this.buildRecordFields(candidate, exerciseLog);
+
+                    if (!existing) {
+                        saved.push(await PersonalRecords.create({ ...where, ...fields, previous_value: null }, { transaction }));
+                        continue;
+                    }
+
+                    const previous = Number(existing.value);
+                    if (this.isBetter(candidate.record_type, candidate.value, previous)) {
+                        saved.push(await existing.update({ ...fields, previous_value: previous }, { transaction }));
+                    }
+                }
+
+                return saved;
+            });
+        } catch (error) {
+            // Another log created one of the records first; compare against it instead
+            if (error.name === 'SequelizeUniqueConstraintError' && !isRetry) {
+                return this.detectRecords(userId, exerciseLog, setRows, true);
+            }
+            throw error;
+        }
+
+        return newRecords.map(record => this.formatRecord(record));
+    }
+
+    /**
+     * Rebuild a user's records for an exercise from their non-deleted logs
+     * Logs are replayed oldest first, so previous_value is the record each one beat.
+     * Used after a log is edited, deleted or restored.
+     * @param {number} userId - Integer user ID
+     * @param {number} exerciseId - Exercise ID
+     * @returns {Promise<Array>} Current records, formatted
+     */
+    async recalculateRecords(userId, exerciseId) {
+        const logs = await UserExercises.findAll({
+            where: { user_id: userId, exercise_id: exerciseId },
+            include: [{
+                model: UserExerciseSets,
+                as: 'set_details',
+                attributes: ['set_number', 'reps', 'weight_kg', 'is_warmup']
+            }],
+            order: [['performed_at', 'ASC'], ['id', 'ASC']]
+        });
+
+        const records = new Map();
+        logs.forEach(log => {
+            this.getCandidates(log, log.set_details).forEach(candidate => {
+                const recordKey = this.getRecordKey(candidate);
+                const key = `${candidate.record_type}:${recordKey}`;
+                const current = records.get(key);
+
+                if (!current || this.isBetter(candidate.record_type, candidate.value, current.value)) {
+                    records.set(key, {
+                        user_id: userId,
+                        exercise_id: exerciseId,
+                        record_type: candidate.record_type,
+                        record_key: recordKey,
+                        ...this.buildRecordFields(candidate, log),
+                        previous_value: current ? current.value : null
+                    });
+                }
+            });
+        });
+
+        const saved = await db.sequelize.transaction(async (transaction) => {
+            await PersonalRecords.destroy({ where: { user_id: userId, exercise_id: exerciseId }, transaction });
+            return PersonalRecords.bulkCreate(Array.from(records.values()), { transaction });
+        });
+
+        return saved.map(record => this.formatRecord(record));
+    }
+
+    /**
+     * A user's current records, grouped by exercise
+     * @param {number} userId - Integer user ID
+     * @param {Object} filters - { exerciseId, recordType }
+     * @returns {Promise<Array>} [{ exercise_id, exercise: { name, category }, records }]
+     */
+    async getRecords(userId, filters = {}) {
+        const where = { user_id: userId };
+        if (filters.exerciseId) {
+            where.exercise_id = filters.exerciseId;
+        }
+        if (filters.recordType) {
+            where.record_type = filters.recordType;
+        }
+
+        const records = await PersonalRecords.findAll({
+            where,
+            include: [{
+                model: Exercises,
+                as: 'exercise',
+                attributes: ['name', 'category']
+            }],
+            order: [['exercise_id', 'ASC'], ['record_type', 'ASC'], ['weight_kg', 'ASC']]
+        });
+
+        const byExercise = new Map();
+        records.forEach(record => {
+            if (!byExercise.has(record.exercise_id)) {
+                byExercise.set(record.exercise_id, {
+                    exercise_id: record.exercise_id,
+                    exercise: record.exercise,
+                    records: []
+                });
+            }
+            byExercise.get(record.exercise_id).records.push(this.formatRecord(record));
+        });
+
+        return Array.from(byExercise.values());
+    }
+
+    /**
+     * Client-facing shape of a record (DECIMAL columns as numbers)
+     */
+    formatRecord(record) {
+        const toNumber = value => value === null || value === undefined ? null : Number(value);
+        const formatted = {
+            id: record.id,
+            exercise_id: record.exercise_id,
+            record_type: record.record_type,
+            value: toNumber(record.value),
+            unit: RECORD_TYPES[record.record_type].unit,
+            weight_kg: toNumber(record.weight_kg),
+            reps: record.reps,
+            distance_km: toNumber(record.distance_km),
+            duration_minutes: record.duration_minutes,
+            previous_value: toNumber(record.previous_value),
+            is_first_record: record.previous_value === null,
+            user_exercise_id: record.user_exercise_id,
+            achieved_at: record.achieved_at
+        };
+
+        if (record.record_type === 'estimated_1rm') {
+            const { epley, brzycki } = this.estimateOneRepMax(record.weight_kg, record.reps);
+            formatted.formulas = { epley, brzycki };
+        }
+        return formatted;
+    }
+}
+
+module.exports = new PersonalRecordService();
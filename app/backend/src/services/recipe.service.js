@@ -0,0 +1,309 @@
+const db = require('../../../models');
+const Recipes = db.Recipes;
+const RecipeIngredients = db.RecipeIngredients;
+const Foods = db.Foods;
+const foodCatalogService = require('./food-catalog.service');
+const micronutrientService = require('./micronutrient.service');
+const { Op } = require('sequelize');
+const { containsPattern } = require('../utils/like');
+
+const NUTRIENT_FIELDS = ['protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sugar_g', 'sodium_mg'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Recipe Service
+ *
+ * Recipes are composite foods: nutrition is derived from their ingredients
+ * (catalog foods or raw nutrition) every time it is read, and diary entries
+ * snapshot the per-serving values when a recipe is logged.
+ */
+class RecipeService {
+
+    /**
+     * Get a user's recipe with ingredients and their catalog foods
+     * @param {number} recipeId - Recipe ID
+     * @param {number} userId - Integer user ID
+     * @returns {Promise<Object|null>} Recipe or null when not found
+     */
+    async getRecipeForUser(recipeId, userId) {
+        return Recipes.findOne({
+            where: { id: recipeId, user_id: userId, is_active: true },
+            include: [{
+                model: RecipeIngredients,
+                as: 'ingredients',
+                include: [{ model: Foods, as: 'food' }]
+            }],
+            order: [[{ model: RecipeIngredients, as: 'ingredients' }, 'position', 'ASC']]
+        });
+    }
+
+    /**
+     * List a user's recipes, optionally filtered by name
+     * @param {number} userId - Integer user ID
+     * @param {string} query - Optional name filter
+     * @returns {Promise<Array>} Recipes with ingredients
+     */
+    async listRecipes(userId, query = null) {
+        const whereClause = { user_id: userId, is_active: true };
+        if (query) {
+            whereClause.name = { [Op.like]: containsPattern(query) };
+        }
+
+        return Recipes.findAll({
+            where: whereClause,
+            include: [{
+                model: RecipeIngredients,
+                as: 'ingredients',
+                include: [{ model: Foods, as: 'food' }]
+            }],
+            order: [['name', 'ASC'], [{ model: RecipeIngredients, as: 'ingredients' }, 'position', 'ASC']]
+        });
+    }
+
+    /**
+     * Validate ingredient payloads and resolve their catalog foods
+     * @param {Array} ingredients - Ingredient payloads from the request
+     * @param {number} userId - Integer user ID (for the user's own catalog foods)
+     * @returns {Promise<{ rows: Array, errors: Array }>} Rows ready to insert, or per-ingredient errors
+     */
+    async prepareIngredients(ingredients, userId) {
+        const errors = [];
+        const rows = [];
+
+        if (!Array.isArray(ingredients) || ingredients.length === 0) {
+            return { rows, errors: [{ index: null, message: 'ingredients must be a non-empty array' }] };
+        }
+
+        for (let index = 0; index < ingredients.length; index++) {
+            const ingredient = ingredients[index] || {};
+            const servings = ingredient.servings || 1.0;
+
+            if (ingredient.food_id) {
+                const food = await foodCatalogService.getFoodById(ingredient.food_id, userId);
+                if (!food) {
+                    errors.push({ index, message: `Food ${ingredient.food_id} not found` });
+                    continue;
+                }
+                if (!ingredient.quantity_g && foodCatalogService.resolveServingGrams(food, ingredient.serving_label) === null) {
+                    errors.push({ index, message: `Unknown serving "${ingredient.serving_label}" for ${food.name}` });
+                    continue;
+                }
+
+                rows.push({
+                    food_id: food.id,
+                    name: ingredient.name || food.name,
+                    quantity_g: ingredient.quantity_g || null,
+                    serving_label: ingredient.quantity_g ? null : (ingredient.serving_label || null),
+                    servings,
+                    position: index
+                });
+            } else {
+                if (!ingredient.name || ingredient.calories === undefined) {
+                    errors.push({ index, message: 'Ingredients need either food_id or name and calories' });
+                    continue;
+                }
+
+                const row = {
+                    food_id: null,
+                    name: ingredient.name,
+                    quantity_g: ingredient.quantity_g || null,
+                    serving_label: null,
+                    servings,
+                    calories: ingredient.calories,
+                    position: index
+                };
+                NUTRIENT_FIELDS.forEach(field => {
+                    row[field] = ingredient[field] || 0;
+                });
+                rows.push(row);
+            }
+        }
+
+        return { rows, errors };
+    }
+
+    /**
+     * Create a recipe and its ingredients in one transaction
+     * @param {number} userId - Integer user ID
+     * @param {Object} recipeData - Recipe fields
+     * @param {Array} ingredientRows - Rows from prepareIngredients
+     * @returns {Promise<Object>} Created recipe with ingredients
+     */
+    async createRecipe(userId, recipeData, ingredientRows) {
+        const recipe = await db.sequelize.transaction(async (transaction) => {
+            const created = await Recipes.create({
+                user_id: userId,
+                name: recipeData.name,
+                description: recipeData.description,
+                servings: recipeData.servings || 1.0,
+                serving_description: recipeData.serving_description || '1 serving',
+                total_yield_g: recipeData.total_yield_g || null,
+                instructions: recipeData.instructions
+            }, { transaction });
+
+            await RecipeIngredients.bulkCreate(
+                ingredientRows.map(row => ({ ...row, recipe_id: created.id })),
+                { transaction, validate: true }
+            );
+
+            return created;
+        });
+
+        return this.getRecipeForUser(recipe.id, userId);
+    }
+
+    /**
+     * Update recipe fields and optionally replace all ingredients
+     * @param {Object} recipe - Existing recipe
+     * @param {Object} recipeData - Fields to update
+     * @param {Array|null} ingredientRows - Replacement rows, or null to keep the current ingredients
+     * @returns {Promise<Object>} Updated recipe with ingredients
+     */
+    async updateRecipe(recipe, recipeData, ingredientRows = null) {
+        const updatable = ['name', 'description', 'servings', 'serving_description', 'total_yield_g', 'instructions'];
+        const changes = {};
+        updatable.forEach(field => {
+            if (recipeData[field] !== undefined) {
+                changes[field] = recipeData[field];
+            }
+        });
+
+        await db.sequelize.transaction(async (transaction) => {
+            await recipe.update(changes, { transaction });
+
+            if (ingredientRows) {
+                await RecipeIngredients.destroy({ where: { recipe_id: recipe.id }, transaction });
+                await RecipeIngredients.bulkCreate(
+                    ingredientRows.map(row => ({ ...row, recipe_id: recipe.id })),
+                    { transaction, validate: true }
+                );
+            }
+        });
+
+        return this.getRecipeForUser(recipe.id, recipe.user_id);
+    }
+
+    /**
+     * Nutrition contributed by one ingredient
+     */
+    calculateIngredientNutrition(ingredient) {
+        const servings = Number(ingredient.servings || 1);
+
+        if (ingredient.food_id && ingredient.food) {
+            const grams = ingredient.quantity_g
+                ? Number(ingredient.quantity_g)
+                : foodCatalogService.resolveServingGrams(ingredient.food, ingredient.serving_label) || 0;
+            const nutrition = foodCatalogService.calculateNutrition(ingredient.food, grams * servings);
+            return { ...nutrition, grams: grams * servings };
+        }
+
+        const nutrition = { calories: Math.round(Number(ingredient.calories || 0) * servings) };
+        NUTRIENT_FIELDS.forEach(field => {
+            nutrition[field] = round2(Number(ingredient[field] || 0) * servings);
+        });
+        nutrition.grams = ingredient.quantity_g ? Number(ingredient.quantity_g) * servings : null;
+        return nutrition;
+    }
+
+    /**
+     * Derive whole-recipe, per-serving and (if the yield is known) per-100 g nutrition
+     * @param {Object} recipe - Recipe with ingredients loaded
+     * @returns {Object} { totals, per_serving, per_100g }
+     */
+    calculateNutrition(recipe) {
+        const totals = { calories: 0 };
+        NUTRIENT_FIELDS.forEach(field => {
+            totals[field] = 0;
+        });
+
+        // Only catalog ingredients carry micronutrients
+        let micronutrients = null;
+
+        (recipe.ingredients || []).forEach(ingredient => {
+            const nutrition = this.calculateIngredientNutrition(ingredient);
+            totals.calories += nutrition.calories;
+            NUTRIENT_FIELDS.forEach(field => {
+                totals[field] += nutrition[field];
+            });
+
+            Object.entries(nutrition.micronutrients || {}).forEach(([key, value]) => {
+                micronutrients = micronutrients || {};
+                micronutrients[key] = (micronutrients[key] || 0) + value;
+            });
+        });
+
+        const divide = divisor => {
+            const result = { calories: Math.round(totals.calories / divisor) };
+            NUTRIENT_FIELDS.forEach(field => {
+                result[field] = round2(totals[field] / divisor);
+            });
+            result.micronutrients = micronutrientService.scale(micronutrients, 1 / divisor);
+            return result;
+        };
+
+        const servings = Number(recipe.servings) || 1;
+        const yieldG = recipe.total_yield_g ? Number(recipe.total_yield_g) : null;
+
+        return {
+            totals: divide(1),
+            per_serving: divide(servings),
+            per_100g: yieldG ? divide(yieldG / 100) : null
+        };
+    }
+
+    /**
+     * Build the nutrition snapshot for a diary entry logged from a recipe
+     * @param {Object} recipe - Recipe with ingredients loaded
+     * @param {Object} quantity - { servings_consumed } or { quantity_g } (needs total_yield_g)
+     * @returns {Object|null} CalorieEntries fields, or null when grams were given without a known yield
+     */
+    buildEntryFromRecipe(recipe, quantity = {}) {
+        const { per_serving } = this.calculateNutrition(recipe);
+        let servingsConsumed = quantity.servings_consumed || 1.0;
+
+        if (quantity.quantity_g) {
+            if (!recipe.total_yield_g) {
+                return null;
+            }
+            const servingGrams = Number(recipe.total_yield_g) / Number(recipe.servings);
+            servingsConsumed = round2(Number(quantity.quantity_g) / servingGrams);
+        }
+
+        const entry = {
+            recipe_id: recipe.id,
+            food_name: recipe.name,
+            brand: null,
+            serving_size: recipe.serving_description,
+            calories_per_serving: per_serving.calories,
+            servings_consumed: servingsConsumed
+        };
+        NUTRIENT_FIELDS.forEach(field => {
+            entry[field] = per_serving[field];
+        });
+        entry.micronutrients = per_serving.micronutrients;
+
+        return entry;
+    }
+
+    /**
+     * Serialize a recipe with derived nutrition for clients
+     */
+    formatRecipe(recipe) {
+        const json = recipe.toJSON();
+
+        return {
+            ...json,
+            ingredients: (recipe.ingredients || []).map((ingredient, index) => {
+                const nutrition = this.calculateIngredientNutrition(ingredient);
+                return {
+                    ...json.ingredients[index],
+                    nutrition
+                };
+            }),
+            nutrition: this.calculateNutrition(recipe)
+        };
+    }
+}
+
+module.exports = new RecipeService();
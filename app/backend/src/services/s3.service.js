@@ -0,0 +1,96 @@
+// Lifetime of the signed URLs handed to clients
+const URL_EXPIRES_SECONDS = 60 * 60;
+
+/**
+ * S3 Service
+ *
+ * Storage adapter that keeps uploads in an S3 bucket (AWS_S3_BUCKET). Objects
+ * stay private and are served through short-lived signed URLs.
+ */
+class S3Service {
+
+    constructor() {
+        this.client = null;
+    }
+
+    /**
+     * S3 client, created on first use so the SDK is only loaded (and AWS
+     * settings only required) when the s3 driver is in use
+     */
+    getClient() {
+        if (!this.client) {
+            if (!process.env.AWS_S3_BUCKET) {
+                throw new Error('AWS_S3_BUCKET is not configured');
+            }
+
+            const AWS = require('aws-sdk');
+            this.client = new AWS.S3({
+                region: process.env.AWS_REGION,
+                signatureVersion: 'v4'
+            });
+        }
+        return this.client;
+    }
+
+    /**
+     * Upload an object
+     * @param {string} key - Object key
+     * @param {Buffer} body - File contents
+     * @param {string} contentType - MIME type
+     */
+    async put(key, body, contentType) {
+        await this.getClient().putObject({
+            Bucket: process.env.AWS_S3_BUCKET,
+            Key: key,
+            Body: body,
+            ContentType: contentType
+        }).promise();
+    }
+
+    /**
+     * Delete an object (succeeds when the key does not exist)
+     * @param {string} key - Object key
+     */
+    async remove(key) {
+        await this.getClient().deleteObject({
+            Bucket: process.env.AWS_S3_BUCKET,
+            Key: key
+        }).promise();
+    }
+
+    /**
+     * Move an object to another key (succeeds when the source does not exist)
+     * @param {string} fromKey - Current object key
+     * @param {string} toKey - New object key
+     */
+    async move(fromKey, toKey) {
+        try {
+            await this.getClient().copyObject({
+                Bucket: process.env.AWS_S3_BUCKET,
+                CopySource: encodeURI(`${process.env.AWS_S3_BUCKET}/${fromKey}`),
+                Key: toKey
+            }).promise();
+        } catch (error) {
+            if (error.code === 'NoSuchKey') {
+                return;
+            }
+            throw error;
+        }
+        await this.remove(fromKey);
+    }
+
+    /**
+     * Signed download URL for an object
+     * @param {string} key - Object key
+     * @returns {Promise<string>}
+     */
+    async getUrl(key) {
+        return this.getClient().getSignedUrlPromise('getObject', {
+            Bucket: process.env.AWS_S3_BUCKET,
+            Key: key,
+            Expires: URL_EXPIRES_SECONDS
+        });
+    }
+}
+
+module.exports = new S3Service();
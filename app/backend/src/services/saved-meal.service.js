@@ -0,0 +1,204 @@
+const db = require('../../../models');
+const SavedMeals = db.SavedMeals;
+const SavedMealItems = db.SavedMealItems;
+const CalorieEntries = db.CalorieEntries;
+const foodEntryService = require('./food-entry.service');
+const calorieTrackingService = require('./calorie-tracking.service');
+
+const ITEM_FIELDS = [
+    'food_id', 'recipe_id', 'quantity_g', 'serving_label', 'servings_consumed',
+    'food_name', 'brand', 'serving_size', 'calories_per_serving',
+    'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sugar_g', 'sodium_mg'
+];
+
+/**
+ * Saved Meal Service
+ *
+ * Meal templates are named lists of items (catalog foods, recipes or
+ * free-form nutrition). Catalog and recipe items are resolved at logging
+ * time, so a template always logs the current nutrition.
+ */
+class SavedMealService {
+
+    /**
+     * Get a user's saved meal with its items
+     * @param {number} mealId - Saved meal ID
+     * @param {number} userId - Integer user ID
+     * @returns {Promise<Object|null>} Saved meal or null when not found
+     */
+    async getMealForUser(mealId, userId) {
+        return SavedMeals.findOne({
+            where: { id: mealId, user_id: userId, is_active: true },
+            include: [{ model: SavedMealItems, as: 'items' }],
+            order: [[{ model: SavedMealItems, as: 'items' }, 'position', 'ASC']]
+        });
+    }
+
+    /**
+     * List a user's saved meals
+     * @param {number} userId - Integer user ID
+     * @returns {Promise<Array>} Saved meals with items
+     */
+    async listMeals(userId) {
+        return SavedMeals.findAll({
+            where: { user_id: userId, is_active: true },
+            include: [{ model: SavedMealItems, as: 'items' }],
+            order: [['name', 'ASC'], [{ model: SavedMealItems, as: 'items' }, 'position', 'ASC']]
+        });
+    }
+
+    /**
+     * Validate item payloads by resolving each one the way logging will
+     * @param {Array} items - Item payloads from the request
+     * @param {number} userId - Integer user ID
+     * @returns {Promise<{ rows: Array, errors: Array }>} Rows ready to insert, or per-item errors
+     */
+    async prepareItems(items, userId) {
+        const errors = [];
+        const rows = [];
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return { rows, errors: [{ index: null, message: 'items must be a non-empty array' }] };
+        }
+
+        for (let index = 0; index < items.length; index++) {
+            const item = items[index] || {};
+
+            if (!item.food_id && !item.recipe_id && (!item.food_name || item.calories_per_serving === undefined)) {
+                errors.push({ index, message: 'Items need food_id, recipe_id, or food_name and calories_per_serving' });
+                continue;
+            }
+
+            const { error } = await foodEntryService.buildEntryNutrition(item, userId);
+            if (error) {
+                errors.push({ index, message: error.message });
+                continue;
+            }
+
+            const row = { position: index, servings_consumed: item.servings_consumed || 1.0 };
+            ITEM_FIELDS.forEach(field => {
+                if (item[field] !== undefined && row[field] === undefined) {
+                    row[field] = item[field];
+                }
+            });
+            rows.push(row);
+        }
+
+        return { rows, errors };
+    }
+
+    /**
+     * Create a saved meal and its items in one transaction
+     * @param {number} userId - Integer user ID
+     * @param {Object} mealData - { name, default_meal_type, notes }
+     * @param {Array} itemRows - Rows from prepareItems
+     * @returns {Promise<Object>} Created saved meal with items
+     */
+    async createMeal(userId, mealData, itemRows) {
+        const meal = await db.sequelize.transaction(async (transaction) => {
+            const created = await SavedMeals.create({
+                user_id: userId,
+                name: mealData.name,
+                default_meal_type: mealData.default_meal_type || 'snack',
+                notes: mealData.notes
+            }, { transaction });
+
+            await SavedMealItems.bulkCreate(
+                itemRows.map(row => ({ ...row, saved_meal_id: created.id })),
+                { transaction, validate: true }
+            );
+
+            return created;
+        });
+
+        return this.getMealForUser(meal.id, userId);
+    }
+
+    /**
+     * Update a saved meal and optionally replace all of its items
+     * @param {Object} meal - Existing saved meal
+     * @param {Object} mealData - Fields to update
+     * @param {Array|null} itemRows - Replacement rows, or null to keep the current items
+     * @returns {Promise<Object>} Updated saved meal with items
+     */
+    async updateMeal(meal, mealData, itemRows = null) {
+        const changes = {};
+        ['name', 'default_meal_type', 'notes'].forEach(field => {
+            if (mealData[field] !== undefined) {
+                changes[field] = mealData[field];
+            }
+        });
+
+        await db.sequelize.transaction(async (transaction) => {
+            await meal.update(changes, { transaction });
+
+            if (itemRows) {
+                await SavedMealItems.destroy({ where: { saved_meal_id: meal.id }, transaction });
+                await SavedMealItems.bulkCreate(
+                    itemRows.map(row => ({ ...row, saved_meal_id: meal.id })),
+                    { transaction, validate: true }
+                );
+            }
+        });
+
+        return this.getMealForUser(meal.id, meal.user_id);
+    }
+
+    /**
+     * Resolve every item to CalorieEntries nutrition
+     * @param {Object} meal - Saved meal with items
+     * @param {number} userId - Integer user ID
+     * @returns {Promise<{ entries: Array, errors: Array }>} Nutrition per item, or items that no longer resolve
+     */
+    async resolveItems(meal, userId) {
+        const entries = [];
+        const errors = [];
+
+        for (const item of meal.items || []) {
+            const { nutrition, error } = await foodEntryService.buildEntryNutrition(item.toJSON(), userId);
+            if (error) {
+                errors.push({ item_id: item.id, message: error.message });
+            } else {
+                entries.push(nutrition);
+            }
+        }
+
+        return { entries, errors };
+    }
+
+    /**
+     * Log every item of a saved meal as CalorieEntries in a single transaction
+     * @param {Array} resolvedEntries - Nutrition from resolveItems
+     * @param {Object} options - { entryUserId, meal_type, consumed_at, notes }
+     * @returns {Promise<Array>} Created entries
+     */
+    async logMeal(resolvedEntries, options) {
+        return db.sequelize.transaction(async (transaction) => {
+            const created = [];
+            for (const nutrition of resolvedEntries) {
+                created.push(await CalorieEntries.create({
+                    user_id: options.entryUserId,
+                    ...nutrition,
+                    meal_type: options.meal_type,
+                    consumed_at: options.consumed_at,
+                    notes: options.notes
+                }, { transaction }));
+            }
+            return created;
+        });
+    }
+
+    /**
+     * Serialize a saved meal with the nutrition it would log right now
+     */
+    async describeMeal(meal, userId) {
+        const { entries } = await this.resolveItems(meal, userId);
+
+        return {
+            ...meal.toJSON(),
+            estimated_totals: calorieTrackingService.calculateEntryTotals(entries)
+        };
+    }
+}
+
+module.exports = new SavedMealService();
@@ -0,0 +1,75 @@
+const s3Service = require('./s3.service');
+const localStorageService = require('./local-storage.service');
+
+/**
+ * Storage adapters by STORAGE_DRIVER value
+ * Each adapter implements put(key, body, contentType), remove(key), move(fromKey, toKey) and getUrl(key).
+ */
+const DRIVERS = {
+    s3: s3Service,
+    local: localStorageService
+};
+
+/**
+ * Storage Service
+ *
+ * File storage for uploads behind a pluggable backend, chosen with
+ * STORAGE_DRIVER:
+ * - local (default): files under UPLOAD_DIR, photos/ served at /uploads/photos
+ * - s3: AWS_S3_BUCKET in AWS_REGION, using the standard AWS credential chain
+ */
+class StorageService {
+
+    /**
+     * Active driver name
+     */
+    getDriver() {
+        const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+        if (!DRIVERS[driver]) {
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}". Supported: ${Object.keys(DRIVERS).join(', ')}`);
+        }
+        return driver;
+    }
+
+    getAdapter() {
+        return DRIVERS[this.getDriver()];
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key (relative path)
+     * @param {Buffer} body - File contents
+     * @param {string} contentType - MIME type
+     */
+    async put(key, body, contentType) {
+        return this.getAdapter().put(key, body, contentType);
+    }
+
+    /**
+     * Delete a file
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        return this.getAdapter().remove(key);
+    }
+
+    /**
+     * Move a file to another key
+     * @param {string} fromKey - Current storage key
+     * @param {string} toKey - New storage key
+     */
+    async move(fromKey, toKey) {
+        return this.getAdapter().move(fromKey, toKey);
+    }
+
+    /**
+     * URL clients can load the file from
+     * @param {string} key - Storage key
+     * @returns {Promise<string>}
+     */
+    async getUrl(key) {
+        return this.getAdapter().getUrl(key);
+    }
+}
+
+module.exports = new StorageService();
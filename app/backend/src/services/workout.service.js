@@ -0,0 +1,219 @@
+const db = require('../../../models');
+const Workouts = db.Workouts;
+const UserExercises = db.UserExercises;
+const UserExerciseSets = db.UserExerciseSets;
+const Exercises = db.Exercises;
+const exerciseSetService = require('./exercise-set.service');
+
+/**
+ * Workout Service
+ *
+ * Workout sessions that group the exercises logged during them. A workout is
+ * started, exercises are logged into it with workout_id, and finishing it
+ * records the end time, perceived exertion and total calories. Only one
+ * workout can be in progress at a time.
+ */
+class WorkoutService {
+
+    /**
+     * The workout in progress, if any
+     * @param {number} userId - Integer user ID
+     * @returns {Promise<Object|null>}
+     */
+    async getActiveWorkout(userId) {
+        return Workouts.findOne({
+            where: { user_id: userId, ended_at: null },
+            order: [['started_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Get a user's workout, optionally with its exercises and their sets
+     * @param {number} workoutId - Workout ID
+     * @param {number} userId - Integer user ID
+     * @param {boolean} withExercises - Include the logged exercises
+     * @returns {Promise<Object|null>} Workout or null when not found
+     */
+    async getWorkoutForUser(workoutId, userId, withExercises = false) {
+        if (!withExercises) {
+            return Workouts.findOne({ where: { id: workoutId, user_id: userId } });
+        }
+
+        return Workouts.findOne({
+            where: { id: workoutId, user_id: userId },
+            include: [{
+                model: UserExercises,
+                as: 'exercises',
+                include: [{
+                    model: Exercises,
+                    as: 'exercise',
+                    attributes: ['name', 'category', 'calories_per_minute']
+                }, {
+                    model: UserExerciseSets,
+                    as: 'set_details',
+                    attributes: ['id', 'set_number', 'reps', 'weight_kg', 'rpe', 'rir', 'is_warmup', 'rest_seconds']
+                }]
+            }],
+            order: [
+                [{ model: UserExercises, as: 'exercises' }, 'performed_at', 'ASC'],
+                [{ model: UserExercises, as: 'exercises' }, { model: UserExerciseSets, as: 'set_details' }, 'set_number', 'ASC']
+            ]
+        });
+    }
+
+    /**
+     * Start a workout
+     * @param {number} userId - Integer user ID
+     * @param {Object} data - { title, notes, started_at (Date) }
+     * @returns {Promise<Object>} { workout, error, status }
+     */
+    async startWorkout(userId, data) {
+        const active = await this.getActiveWorkout(userId);
+        if (active) {
+            return { workout: null, status: 409, error: 'A workout is already in progress. Finish it before starting a new one.' };
+        }
+
+        const startedAt = data.started_at || new Date();
+        if (startedAt > new Date()) {
+            return { workout: null, status: 400, error: 'started_at cannot be in the future' };
+        }
+
+        const workout = await Workouts.create({
+            user_id: userId,
+            title: data.title,
+            notes: data.notes,
+            started_at: startedAt
+        });
+        return { workout, status: 201, error: null };
+    }
+
+    /**
+     * Finish a workout and store its totals
+     * @param {Object} workout - Workouts record
+     * @param {Object} data - { ended_at (Date), perceived_exertion, title, notes }
+     * @returns {Promise<Object>} { workout, error, status }
+     */
+    async finishWorkout(workout, data) {
+        if (workout.ended_at) {
+            return { workout: null, status: 409, error: 'Workout is already finished' };
+        }
+
+        const endedAt = data.ended_at || new Date();
+        if (endedAt < new Date(workout.started_at)) {
+            return { workout: null, status: 400, error: 'ended_at must be after the workout started' };
+        }
+
+        const changes = {
+            ended_at: endedAt,
+            total_calories_burned: await this.sumCalories(workout.id)
+        };
+        ['perceived_exertion', 'title', 'notes'].forEach(field => {
+            if (data[field] !== undefined) {
+                changes[field] = data[field];
+            }
+        });
+
+        await workout.update(changes);
+        return { workout, status: 200, error: null };
+    }
+
+    /**
+     * Check that an exercise can be logged into a workout
+     * A finished workout only takes exercises performed between its start and
+     * end (back-filling), so its stored total isn't changed by unrelated logs.
+     * @param {Object} workout - Workouts record
+     * @param {Date} performedAt - When the exercise was performed
+     * @returns {Object} { error, status }
+     */
+    checkCanLogExercise(workout, performedAt) {
+        if (!workout.ended_at) {
+            return { status: 200, error: null };
+        }
+
+        const time = new Date(performedAt);
+        if (time >= new Date(workout.started_at) && time <= new Date(workout.ended_at)) {
+            return { status: 200, error: null };
+        }
+        return {
+            status: 409,
+            error: 'Workout is already finished. Only exercises performed between its start and end can be added to it.'
+        };
+    }
+
+    /**
+     * Calories of the workout's (non-deleted) exercises
+     */
+    async sumCalories(workoutId) {
+        return (await UserExercises.sum('calories_burned', { where: { workout_id: workoutId } })) || 0;
+    }
+
+    /**
+     * Recalculate the stored total after one of the workout's exercises changed
+     * @param {number|null} workoutId - Workout ID (no-op for standalone exercises)
+     */
+    async refreshTotals(workoutId) {
+        if (!workoutId) {
+            return;
+        }
+        await Workouts.update(
+            { total_calories_burned: await this.sumCalories(workoutId) },
+            { where: { id: workoutId } }
+        );
+    }
+
+    /**
+     * A user's workouts, newest first
+     * @param {number} userId - Integer user ID
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async listWorkouts(userId, options) {
+        return Workouts.findAndCountAll({
+            where: { user_id: userId },
+            order: [['started_at', 'DESC'], ['id', 'DESC']],
+            limit: options.limit,
+            offset: (options.page - 1) * options.limit
+        });
+    }
+
+    /**
+     * Client-facing shape of a workout
+     * With exercises loaded, adds them and their totals.
+     * @param {Object} workout - Workouts record
+     * @param {Date} now - Reference time for workouts in progress
+     * @returns {Object}
+     */
+    formatWorkout(workout, now = new Date()) {
+        const startedAt = new Date(workout.started_at);
+        const end = workout.ended_at ? new Date(workout.ended_at) : now;
+
+        const formatted = {
+            id: workout.id,
+            title: workout.title,
+            notes: workout.notes,
+            started_at: startedAt,
+            ended_at: workout.ended_at ? end : null,
+            is_active: !workout.ended_at,
+            duration_minutes: Math.max(Math.round((end - startedAt) / 60000), 0),
+            perceived_exertion: workout.perceived_exertion,
+            total_calories_burned: workout.total_calories_burned
+        };
+
+        if (workout.exercises) {
+            formatted.exercises = workout.exercises;
+            formatted.summary = {
+                exercise_count: workout.exercises.length,
+                total_calories_burned: workout.exercises.reduce((total, log) => total + (log.calories_burned || 0), 0),
+                total_exercise_minutes: workout.exercises.reduce((total, log) => total + (log.duration_minutes || 0), 0),
+                total_volume_kg: Math.round(workout.exercises
+                    .reduce((total, log) => total + exerciseSetService.calculateLogVolume(log), 0) * 10) / 10,
+                total_distance_km: Math.round(workout.exercises
+                    .reduce((total, log) => total + (Number(log.distance_km) || 0), 0) * 100) / 100
+            };
+        }
+
+        return formatted;
+    }
+}
+
+module.exports = new WorkoutService();
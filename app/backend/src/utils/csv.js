@@ -0,0 +1,188 @@
+/**
+ * Minimal CSV/TSV reader and writer
+ *
+ * Streams delimited text line by line so large product dumps never have to be
+ * held in memory. Handles quoted fields, escaped quotes ("") and quoted
+ * fields that span multiple lines.
+ */
+
+const readline = require('readline');
+const { Readable } = require('stream');
+
+/**
+ * Guess the delimiter from a header line (tab, semicolon or comma)
+ * @param {string} headerLine - First line of the file
+ * @returns {string} Delimiter character
+ */
+function detectDelimiter(headerLine) {
+    const candidates = ['\t', ';', ','];
+    const counts = candidates.map(d => headerLine.split(d).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? candidates[best] : ',';
+}
+
+/**
+ * Split one logical CSV line into fields
+ * @param {string} line - Line text (may contain embedded newlines inside quotes)
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>} Field values
+ */
+function parseCsvLine(line, delimiter = ',') {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"' && current === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    fields.push(current);
+    return fields;
+}
+
+/**
+ * True while a line still has an unterminated quoted field
+ * Like parseCsvLine, a quote only opens a field at its start, so an inch mark
+ * in an unquoted field (Sub 6" turkey) doesn't swallow the following lines.
+ */
+function hasOpenQuote(text, delimiter = ',') {
+    let inQuotes = false;
+    let atFieldStart = true;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            }
+        } else if (char === '"' && atFieldStart) {
+            inQuotes = true;
+        }
+
+        atFieldStart = !inQuotes && char === delimiter;
+    }
+
+    return inQuotes;
+}
+
+/**
+ * Read delimited records as objects keyed by the header row
+ * @param {Readable|string} input - Readable stream or the whole file as a string
+ * @param {Object} options - { delimiter, quoting } (delimiter is auto-detected from the header;
+ *   quoting defaults to off for tab-separated files, which are usually unquoted dumps)
+ * @yields {{ line: number, record: Object }} 1-based source line number and the record
+ */
+async function* readCsvRecords(input, options = {}) {
+    const stream = typeof input === 'string' ? Readable.from([input]) : input;
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    let delimiter = options.delimiter;
+    let quoting = true;
+    let headers = null;
+    let pending = '';
+    let pendingStart = 0;
+    let lineNumber = 0;
+
+    for await (const rawLine of lines) {
+        lineNumber++;
+
+        if (pending) {
+            pending += '\n' + rawLine;
+        } else {
+            pending = rawLine;
+            pendingStart = lineNumber;
+        }
+
+        if (headers && quoting && hasOpenQuote(pending, delimiter)) {
+            continue;
+        }
+
+        const text = pending;
+        pending = '';
+
+        if (!headers) {
+            const headerLine = text.replace(/^\uFEFF/, '');
+            delimiter = delimiter || detectDelimiter(headerLine);
+            quoting = options.quoting !== undefined ? options.quoting : delimiter !== '\t';
+            headers = (quoting ? parseCsvLine(headerLine, delimiter) : headerLine.split(delimiter))
+                .map(h => h.trim());
+            continue;
+        }
+
+        if (!text.trim()) {
+            continue;
+        }
+
+        const values = quoting ? parseCsvLine(text, delimiter) : text.split(delimiter);
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = values[index] !== undefined ? values[index].trim() : '';
+        });
+
+        yield { line: pendingStart, record };
+    }
+}
+
+/**
+ * Escape one value for a CSV cell
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula.
+ * @param {*} value - Cell value (null/undefined become empty cells, dates become ISO strings)
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Cell text
+ */
+function formatCsvValue(value, delimiter = ',') {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Build one CSV line (CRLF terminated, as spreadsheets expect)
+ * @param {Array} values - Cell values
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Line text including the line break
+ */
+function formatCsvRow(values, delimiter = ',') {
+    return values.map(value => formatCsvValue(value, delimiter)).join(delimiter) + '\r\n';
+}
+
+module.exports = {
+    detectDelimiter,
+    parseCsvLine,
+    readCsvRecords,
+    formatCsvValue,
+    formatCsvRow
+};
@@ -0,0 +1,30 @@
+/**
+ * LIKE pattern helpers
+ *
+ * User text put into a LIKE pattern must have its wildcards escaped, or a
+ * search for "_" or "%" matches every row. MySQL escapes with a backslash by
+ * default.
+ */
+
+/**
+ * Escape \, % and _ so the text only matches itself
+ * @param {string} text - User input
+ * @returns {string} Text safe to embed in a LIKE pattern
+ */
+function escapeLike(text) {
+    return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Pattern matching the text anywhere in a column
+ * @param {string} text - User input
+ * @returns {string} %text% with wildcards escaped
+ */
+function containsPattern(text) {
+    return `%${escapeLike(text)}%`;
+}
+
+module.exports = {
+    escapeLike,
+    containsPattern
+};
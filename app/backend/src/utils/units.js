@@ -0,0 +1,138 @@
+/**
+ * Serving units and conversion to grams
+ *
+ * Mass units convert directly. Volume units need the food's density and
+ * pieces need the food's piece weight, both supplied as a map of grams per
+ * unit (e.g. { cup: 244, piece: 50 }).
+ */
+
+const UNITS = {
+    g: { type: 'mass', base: 1, aliases: ['gram', 'grams', 'gr'] },
+    kg: { type: 'mass', base: 1000, aliases: ['kilogram', 'kilograms', 'kilo', 'kilos'] },
+    oz: { type: 'mass', base: 28.3495, aliases: ['ounce', 'ounces'] },
+    lb: { type: 'mass', base: 453.592, aliases: ['lbs', 'pound', 'pounds'] },
+    ml: { type: 'volume', base: 1, aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+    l: { type: 'volume', base: 1000, aliases: ['liter', 'liters', 'litre', 'litres'] },
+    fl_oz: { type: 'volume', base: 29.5735, aliases: ['floz', 'fluid_ounce', 'fluid_ounces'] },
+    cup: { type: 'volume', base: 236.588, aliases: ['cups', 'c'] },
+    tbsp: { type: 'volume', base: 14.787, aliases: ['tablespoon', 'tablespoons', 'tbs', 'tbl'] },
+    tsp: { type: 'volume', base: 4.929, aliases: ['teaspoon', 'teaspoons'] },
+    piece: { type: 'count', base: 1, aliases: ['pieces', 'pc', 'pcs', 'each', 'ea', 'item', 'items', 'slice', 'slices'] }
+};
+
+const ALIASES = {};
+Object.entries(UNITS).forEach(([unit, info]) => {
+    ALIASES[unit] = unit;
+    info.aliases.forEach(alias => {
+        ALIASES[alias] = unit;
+    });
+});
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Canonical unit for a name or alias ("Tablespoons" -> "tbsp")
+ * @param {string} name - Unit as typed
+ * @returns {string|null} Canonical unit, or null when unknown
+ */
+function normalizeUnit(name) {
+    if (!name) {
+        return null;
+    }
+    return ALIASES[String(name).trim().toLowerCase().replace(/\.$/, '')] || null;
+}
+
+/**
+ * Parse a leading amount and unit from serving text ("1 cup", "1/2 cup sliced", "100 g")
+ * @param {string} text - Serving text
+ * @returns {{ quantity: number, unit: string }|null} Null when there is no known unit
+ */
+function parseQuantity(text) {
+    const match = String(text || '').trim().match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?)\s*([a-zA-Z]+\.?)/);
+    if (!match) {
+        return null;
+    }
+
+    const unit = normalizeUnit(match[2]);
+    if (!unit) {
+        return null;
+    }
+
+    // "1 1/2", "1/2" or "1.5"
+    const quantity = match[1].split(/\s+/).reduce((sum, part) => {
+        const [numerator, denominator] = part.split('/');
+        return sum + (denominator ? Number(numerator) / Number(denominator) : Number(numerator.replace(',', '.')));
+    }, 0);
+
+    return quantity > 0 ? { quantity, unit } : null;
+}
+
+/**
+ * Convert an amount to grams
+ * Volume units use unitGrams[unit] when given, otherwise the density implied
+ * by any other volume unit in unitGrams.
+ * @param {number} quantity - Amount in the given unit
+ * @param {string} unit - Canonical unit
+ * @param {Object} unitGrams - Grams per unit for volume/count units
+ * @returns {number|null} Grams, or null when the food has no equivalent for the unit
+ */
+function toGrams(quantity, unit, unitGrams = {}) {
+    const info = UNITS[unit];
+    if (!info) {
+        return null;
+    }
+
+    if (info.type === 'mass') {
+        return round2(quantity * info.base);
+    }
+    if (unitGrams[unit]) {
+        return round2(quantity * unitGrams[unit]);
+    }
+
+    if (info.type === 'volume') {
+        const known = Object.keys(unitGrams).find(other => UNITS[other] && UNITS[other].type === 'volume');
+        if (known) {
+            const gramsPerMl = unitGrams[known] / UNITS[known].base;
+            return round2(quantity * info.base * gramsPerMl);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert between two units of the same kind (mass, volume or count)
+ * @returns {number|null} Amount in toUnit, or null when the kinds differ
+ */
+function convertQuantity(quantity, fromUnit, toUnit) {
+    const from = UNITS[fromUnit];
+    const to = UNITS[toUnit];
+
+    if (!from || !to || from.type !== to.type) {
+        return null;
+    }
+    return quantity * from.base / to.base;
+}
+
+/**
+ * Canonical unit names
+ */
+function listUnits() {
+    return Object.keys(UNITS);
+}
+
+/**
+ * Whether a unit converts to grams without food-specific data
+ */
+function isMassUnit(unit) {
+    return Boolean(UNITS[unit]) && UNITS[unit].type === 'mass';
+}
+
+module.exports = {
+    normalizeUnit,
+    parseQuantity,
+    toGrams,
+    convertQuantity,
+    listUnits,
+    isMassUnit
+};
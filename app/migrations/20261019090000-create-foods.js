@@ -0,0 +1,106 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('foods', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      brand: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      serving_size_g: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false,
+        defaultValue: 100
+      },
+      serving_description: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: '100 g'
+      },
+      servings: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      calories_per_100g: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false
+      },
+      protein_per_100g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      carbs_per_100g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      fat_per_100g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      fiber_per_100g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      sugar_per_100g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      sodium_mg_per_100g: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      is_verified: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('foods', ['name']);
+    await queryInterface.addIndex('foods', ['brand']);
+    await queryInterface.addIndex('foods', ['is_active']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('foods');
+  }
+};
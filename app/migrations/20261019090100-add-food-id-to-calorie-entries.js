@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('calorie_entries', 'food_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'foods',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'user_id'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('calorie_entries', 'food_id');
+  }
+};
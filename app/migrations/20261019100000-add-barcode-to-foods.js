@@ -0,0 +1,26 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('foods', 'barcode', {
+      type: Sequelize.STRING(14),
+      allowNull: true,
+      after: 'brand'
+    });
+    await queryInterface.addColumn('foods', 'source', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      after: 'created_by'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('foods', ['barcode'], { unique: true });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('foods', ['barcode']);
+    await queryInterface.removeColumn('foods', 'source');
+    await queryInterface.removeColumn('foods', 'barcode');
+  }
+};
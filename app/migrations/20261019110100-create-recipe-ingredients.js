@@ -0,0 +1,106 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('recipe_ingredients', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      recipe_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'recipes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      food_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'foods',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      quantity_g: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      serving_label: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      servings: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: false,
+        defaultValue: 1.0
+      },
+      calories: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      protein_g: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      carbs_g: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      fat_g: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      fiber_g: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      sugar_g: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      sodium_mg: {
+        type: Sequelize.DECIMAL(9, 2),
+        allowNull: true,
+        defaultValue: 0
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('recipe_ingredients', ['recipe_id', 'position']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('recipe_ingredients');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('calorie_entries', 'recipe_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'recipes',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'food_id'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('calorie_entries', 'recipe_id');
+  }
+};
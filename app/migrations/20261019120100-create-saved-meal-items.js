@@ -0,0 +1,118 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('saved_meal_items', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      saved_meal_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'saved_meals',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      food_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'foods',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      recipe_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'recipes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      quantity_g: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      serving_label: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      servings_consumed: {
+        type: Sequelize.DECIMAL(4, 2),
+        allowNull: false,
+        defaultValue: 1.0
+      },
+      food_name: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      brand: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      serving_size: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      calories_per_serving: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      protein_g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      carbs_g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      fat_g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      fiber_g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      sugar_g: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      sodium_mg: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('saved_meal_items', ['saved_meal_id', 'position']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('saved_meal_items');
+  }
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'macro_goal_type', {
+      type: Sequelize.ENUM('grams', 'percentage'),
+      allowNull: false,
+      defaultValue: 'grams',
+      after: 'daily_calorie_goal'
+    });
+    await queryInterface.addColumn('users', 'protein_goal', {
+      type: Sequelize.DECIMAL(6, 2),
+      allowNull: true,
+      after: 'macro_goal_type'
+    });
+    await queryInterface.addColumn('users', 'carbs_goal', {
+      type: Sequelize.DECIMAL(6, 2),
+      allowNull: true,
+      after: 'protein_goal'
+    });
+    await queryInterface.addColumn('users', 'fat_goal', {
+      type: Sequelize.DECIMAL(6, 2),
+      allowNull: true,
+      after: 'carbs_goal'
+    });
+    await queryInterface.addColumn('users', 'fiber_goal_g', {
+      type: Sequelize.DECIMAL(6, 2),
+      allowNull: true,
+      after: 'fat_goal'
+    });
+    await queryInterface.addColumn('users', 'sugar_goal_g', {
+      type: Sequelize.DECIMAL(6, 2),
+      allowNull: true,
+      after: 'fiber_goal_g'
+    });
+    await queryInterface.addColumn('users', 'sodium_goal_mg', {
+      type: Sequelize.DECIMAL(8, 2),
+      allowNull: true,
+      after: 'sugar_goal_g'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'sodium_goal_mg');
+    await queryInterface.removeColumn('users', 'sugar_goal_g');
+    await queryInterface.removeColumn('users', 'fiber_goal_g');
+    await queryInterface.removeColumn('users', 'fat_goal');
+    await queryInterface.removeColumn('users', 'carbs_goal');
+    await queryInterface.removeColumn('users', 'protein_goal');
+    await queryInterface.removeColumn('users', 'macro_goal_type');
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('foods', 'micronutrients_per_100g', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'sodium_mg_per_100g'
+    });
+    await queryInterface.addColumn('calorie_entries', 'micronutrients', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'sodium_mg'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('calorie_entries', 'micronutrients');
+    await queryInterface.removeColumn('foods', 'micronutrients_per_100g');
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('foods', 'unit_grams', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'servings'
+    });
+    await queryInterface.addColumn('calorie_entries', 'quantity', {
+      type: Sequelize.DECIMAL(8, 2),
+      allowNull: true,
+      after: 'serving_size'
+    });
+    await queryInterface.addColumn('calorie_entries', 'unit', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+      after: 'quantity'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('calorie_entries', 'unit');
+    await queryInterface.removeColumn('calorie_entries', 'quantity');
+    await queryInterface.removeColumn('foods', 'unit_grams');
+  }
+};
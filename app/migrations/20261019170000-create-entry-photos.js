@@ -0,0 +1,73 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('entry_photos', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      attachable_type: {
+        type: Sequelize.ENUM('calorie_entry', 'user_exercise'),
+        allowNull: false
+      },
+      attachable_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      storage_key: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      thumbnail_key: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      content_type: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        defaultValue: 'image/jpeg'
+      },
+      size_bytes: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      width: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      height: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('entry_photos', ['attachable_type', 'attachable_id']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('entry_photos');
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('calorie_entries', 'deletedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('user_exercises', 'deletedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('entry_revisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      entry_type: {
+        type: Sequelize.ENUM('calorie_entry', 'user_exercise'),
+        allowNull: false
+      },
+      entry_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.ENUM('update', 'delete', 'restore'),
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('entry_revisions', ['entry_type', 'entry_id']);
+    await queryInterface.addIndex('calorie_entries', ['deletedAt']);
+    await queryInterface.addIndex('user_exercises', ['deletedAt']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('entry_revisions');
+    await queryInterface.removeIndex('user_exercises', ['deletedAt']);
+    await queryInterface.removeIndex('calorie_entries', ['deletedAt']);
+    await queryInterface.removeColumn('user_exercises', 'deletedAt');
+    await queryInterface.removeColumn('calorie_entries', 'deletedAt');
+  }
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'breakfast_calorie_goal', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'sodium_goal_mg'
+    });
+    await queryInterface.addColumn('users', 'lunch_calorie_goal', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'breakfast_calorie_goal'
+    });
+    await queryInterface.addColumn('users', 'dinner_calorie_goal', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'lunch_calorie_goal'
+    });
+    await queryInterface.addColumn('users', 'snack_calorie_goal', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'dinner_calorie_goal'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'snack_calorie_goal');
+    await queryInterface.removeColumn('users', 'dinner_calorie_goal');
+    await queryInterface.removeColumn('users', 'lunch_calorie_goal');
+    await queryInterface.removeColumn('users', 'breakfast_calorie_goal');
+  }
+};
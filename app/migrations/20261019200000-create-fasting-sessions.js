@@ -0,0 +1,75 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('fasting_sessions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      protocol: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+        defaultValue: '16:8'
+      },
+      target_hours: {
+        type: Sequelize.DECIMAL(4, 1),
+        allowNull: false
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      ended_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addColumn('users', 'fasting_protocol', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+      after: 'snack_calorie_goal'
+    });
+    await queryInterface.addColumn('users', 'fasting_target_hours', {
+      type: Sequelize.DECIMAL(4, 1),
+      allowNull: true,
+      after: 'fasting_protocol'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('fasting_sessions', ['user_id', 'started_at']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'fasting_target_hours');
+    await queryInterface.removeColumn('users', 'fasting_protocol');
+    await queryInterface.dropTable('fasting_sessions');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_exercises', 'calories_source', {
+      type: Sequelize.ENUM('automatic', 'manual'),
+      allowNull: true,
+      after: 'calories_burned'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('user_exercises', 'calories_source');
+  }
+};
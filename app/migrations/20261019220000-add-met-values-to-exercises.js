@@ -0,0 +1,50 @@
+'use strict';
+
+// MET values for the seeded exercises (Compendium of Physical Activities)
+const SEEDED_MET_VALUES = {
+  'Running': { met_value: 9.8, intensity_met_values: { light: 8.3, vigorous: 11.0 } },
+  'Walking': { met_value: 4.3, intensity_met_values: { light: 3.0, vigorous: 5.0 } },
+  'Jumping Jacks': { met_value: 7.7, intensity_met_values: null },
+  'Push-ups': { met_value: 3.8, intensity_met_values: { light: 2.8, vigorous: 8.0 } },
+  'Squats': { met_value: 5.0, intensity_met_values: { light: 3.5, vigorous: 6.0 } },
+  'Planks': { met_value: 3.8, intensity_met_values: null },
+  'Pull-ups': { met_value: 5.0, intensity_met_values: { vigorous: 8.0 } },
+  'Yoga Flow': { met_value: 3.0, intensity_met_values: { light: 2.5, vigorous: 4.0 } },
+  'Static Stretching': { met_value: 2.3, intensity_met_values: null },
+  'Burpees': { met_value: 8.0, intensity_met_values: { vigorous: 10.0 } }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('exercises', 'met_value', {
+      type: Sequelize.DECIMAL(4, 1),
+      allowNull: true,
+      after: 'calories_per_minute'
+    });
+    await queryInterface.addColumn('exercises', 'intensity_met_values', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'met_value'
+    });
+    await queryInterface.addColumn('user_exercises', 'intensity', {
+      type: Sequelize.ENUM('light', 'moderate', 'vigorous'),
+      allowNull: true,
+      after: 'calories_source'
+    });
+
+    // Existing databases already have the exercise catalog seeded
+    for (const [name, values] of Object.entries(SEEDED_MET_VALUES)) {
+      await queryInterface.bulkUpdate('exercises', {
+        met_value: values.met_value,
+        intensity_met_values: values.intensity_met_values ? JSON.stringify(values.intensity_met_values) : null
+      }, { name });
+    }
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('user_exercises', 'intensity');
+    await queryInterface.removeColumn('exercises', 'intensity_met_values');
+    await queryInterface.removeColumn('exercises', 'met_value');
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('user_exercise_sets', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_exercise_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user_exercises',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      set_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reps: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      weight_kg: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      rpe: {
+        type: Sequelize.DECIMAL(3, 1),
+        allowNull: true
+      },
+      rir: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      is_warmup: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      rest_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('user_exercise_sets', ['user_exercise_id', 'set_number']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('user_exercise_sets');
+  }
+};
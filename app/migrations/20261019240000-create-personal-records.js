@@ -0,0 +1,92 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('personal_records', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      exercise_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'exercises',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      record_type: {
+        type: Sequelize.ENUM('heaviest_weight', 'most_reps', 'estimated_1rm', 'longest_distance', 'fastest_pace'),
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: false
+      },
+      weight_kg: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      reps: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      distance_km: {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      },
+      duration_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      previous_value: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true
+      },
+      user_exercise_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'user_exercises',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      achieved_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('personal_records', ['user_id', 'exercise_id', 'record_type']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('personal_records');
+  }
+};
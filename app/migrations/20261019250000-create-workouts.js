@@ -0,0 +1,80 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('workouts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      title: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      ended_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      perceived_exertion: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      total_calories_burned: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addColumn('user_exercises', 'workout_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'workouts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'exercise_id'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('workouts', ['user_id', 'started_at']);
+    await queryInterface.addIndex('user_exercises', ['workout_id']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('user_exercises', 'workout_id');
+    await queryInterface.dropTable('workouts');
+  }
+};
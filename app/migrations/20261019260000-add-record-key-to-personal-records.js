@@ -0,0 +1,46 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('personal_records', 'record_key', {
+      type: Sequelize.STRING(16),
+      allowNull: false,
+      defaultValue: '',
+      after: 'weight_kg'
+    });
+
+    // most_reps records are kept per weight (same format as PersonalRecordService.getRecordKey)
+    await queryInterface.sequelize.query(`
+      UPDATE personal_records
+      SET record_key = CASE WHEN weight_kg IS NULL OR weight_kg = 0 THEN 'bodyweight' ELSE CAST(weight_kg AS CHAR) END
+      WHERE record_type = 'most_reps'
+    `);
+
+    // Drop duplicates left by concurrent logs, keeping the best record (then the oldest row)
+    await queryInterface.sequelize.query(`
+      DELETE worse FROM personal_records worse
+      JOIN personal_records better
+        ON better.user_id = worse.user_id
+        AND better.exercise_id = worse.exercise_id
+        AND better.record_type = worse.record_type
+        AND better.record_key = worse.record_key
+        AND better.id <> worse.id
+      WHERE (CASE WHEN worse.record_type = 'fastest_pace' THEN better.value < worse.value ELSE better.value > worse.value END)
+        OR (better.value = worse.value AND better.id < worse.id)
+    `);
+
+    // One row per record, so concurrent logs can't insert the same record twice.
+    // Added before the old index is dropped so the user_id foreign key always has an index.
+    await queryInterface.addIndex('personal_records', ['user_id', 'exercise_id', 'record_type', 'record_key'], {
+      unique: true
+    });
+    await queryInterface.removeIndex('personal_records', ['user_id', 'exercise_id', 'record_type']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.addIndex('personal_records', ['user_id', 'exercise_id', 'record_type']);
+    await queryInterface.removeIndex('personal_records', ['user_id', 'exercise_id', 'record_type', 'record_key']);
+    await queryInterface.removeColumn('personal_records', 'record_key');
+  }
+};
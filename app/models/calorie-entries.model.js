@@ -10,6 +10,24 @@ module.exports = (sequelize) => {
                 key: 'id'
             }
         },
+        food_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'foods',
+                key: 'id'
+            },
+            comment: 'Catalog food the entry was logged from, null for free-form entries'
+        },
+        recipe_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'recipes',
+                key: 'id'
+            },
+            comment: 'Recipe the entry was logged from, nutrition is a snapshot at logging time'
+        },
         food_name: {
             type: DataTypes.STRING,
             allowNull: false
@@ -23,6 +41,19 @@ module.exports = (sequelize) => {
             allowNull: false,
             defaultValue: '1 serving'
         },
+        quantity: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            validate: {
+                min: 0.01
+            },
+            comment: 'Amount eaten as entered, in unit'
+        },
+        unit: {
+            type: DataTypes.STRING(16),
+            allowNull: true,
+            comment: 'g, kg, oz, lb, ml, l, fl_oz, cup, tbsp, tsp or piece'
+        },
         calories_per_serving: {
             type: DataTypes.INTEGER,
             allowNull: false,
@@ -76,6 +107,11 @@ module.exports = (sequelize) => {
             allowNull: true,
             defaultValue: 0
         },
+        micronutrients: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Vitamins and minerals per serving, e.g. {"iron_mg": 2.1, "vitamin_c_mg": 30}'
+        },
         meal_type: {
             type: DataTypes.ENUM('breakfast', 'lunch', 'dinner', 'snack'),
             allowNull: false,
@@ -93,6 +129,7 @@ module.exports = (sequelize) => {
     }, {
         tableName: 'calorie_entries',
         timestamps: true,
+        paranoid: true, // deletedAt marks removed entries so they can be restored
         indexes: [
             {
                 fields: ['user_id', 'consumed_at']
@@ -109,6 +146,14 @@ module.exports = (sequelize) => {
             foreignKey: 'user_id',
             as: 'user'
         });
+        CalorieEntries.belongsTo(models.Foods, {
+            foreignKey: 'food_id',
+            as: 'food'
+        });
+        CalorieEntries.belongsTo(models.Recipes, {
+            foreignKey: 'recipe_id',
+            as: 'recipe'
+        });
     };
 
     return CalorieEntries;
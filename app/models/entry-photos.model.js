@@ -0,0 +1,71 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const EntryPhotos = sequelize.define('EntryPhotos', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        attachable_type: {
+            type: DataTypes.ENUM('calorie_entry', 'user_exercise'),
+            allowNull: false,
+            comment: 'Kind of entry the photo belongs to'
+        },
+        attachable_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: 'calorie_entries.id or user_exercises.id, depending on attachable_type'
+        },
+        storage_key: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            comment: 'Key of the full-size image in the storage backend'
+        },
+        thumbnail_key: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        content_type: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            defaultValue: 'image/jpeg'
+        },
+        size_bytes: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 0
+            }
+        },
+        width: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        height: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        tableName: 'entry_photos',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['attachable_type', 'attachable_id']
+            }
+        ]
+    });
+
+    // Define associations
+    EntryPhotos.associate = function(models) {
+        EntryPhotos.belongsTo(models.Users, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    return EntryPhotos;
+};
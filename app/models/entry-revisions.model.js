@@ -0,0 +1,34 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const EntryRevisions = sequelize.define('EntryRevisions', {
+        entry_type: {
+            type: DataTypes.ENUM('calorie_entry', 'user_exercise'),
+            allowNull: false
+        },
+        entry_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: 'calorie_entries.id or user_exercises.id, depending on entry_type'
+        },
+        action: {
+            type: DataTypes.ENUM('update', 'delete', 'restore'),
+            allowNull: false
+        },
+        changes: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Changed fields for updates: { field: { from, to } }'
+        }
+    }, {
+        tableName: 'entry_revisions',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['entry_type', 'entry_id']
+            }
+        ]
+    });
+
+    return EntryRevisions;
+};
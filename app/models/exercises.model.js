@@ -35,6 +35,20 @@ module.exports = (sequelize) => {
             },
             comment: 'Approximate calories burned per minute for average person'
         },
+        met_value: {
+            type: DataTypes.DECIMAL(4, 1),
+            allowNull: true,
+            validate: {
+                min: 1,
+                max: 25
+            },
+            comment: 'Metabolic equivalent at moderate intensity; calories = MET × body weight (kg) × hours'
+        },
+        intensity_met_values: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'MET per intensity level, e.g. {"light": 8.3, "vigorous": 11}'
+        },
         description: {
             type: DataTypes.TEXT,
             allowNull: true
@@ -0,0 +1,60 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const FastingSessions = sequelize.define('FastingSessions', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        protocol: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: '16:8',
+            comment: 'Fasting:eating hours (e.g. 16:8), omad or custom'
+        },
+        target_hours: {
+            type: DataTypes.DECIMAL(4, 1),
+            allowNull: false,
+            validate: {
+                min: 1,
+                max: 72
+            }
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        ended_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Null while the fast is running'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        tableName: 'fasting_sessions',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['user_id', 'started_at']
+            }
+        ]
+    });
+
+    // Define associations
+    FastingSessions.associate = function(models) {
+        FastingSessions.belongsTo(models.Users, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    return FastingSessions;
+};
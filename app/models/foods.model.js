@@ -0,0 +1,138 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Foods = sequelize.define('Foods', {
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        brand: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        barcode: {
+            type: DataTypes.STRING(14),
+            allowNull: true,
+            unique: true,
+            comment: 'Normalized GTIN (EAN-8 or EAN-13, UPC-A stored with a leading 0)'
+        },
+        serving_size_g: {
+            type: DataTypes.DECIMAL(7, 2),
+            allowNull: false,
+            defaultValue: 100,
+            validate: {
+                min: 0.01,
+                max: 10000
+            },
+            comment: 'Grams in one default serving'
+        },
+        serving_description: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: '100 g'
+        },
+        servings: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Array of alternative serving definitions: [{ label, grams }]'
+        },
+        unit_grams: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Grams per volume/count unit, e.g. { "cup": 244, "piece": 50 } (servings like "1 cup" are also used)'
+        },
+        calories_per_100g: {
+            type: DataTypes.DECIMAL(7, 2),
+            allowNull: false,
+            validate: {
+                min: 0,
+                max: 1000
+            }
+        },
+        protein_per_100g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        carbs_per_100g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        fat_per_100g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        fiber_per_100g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        sugar_per_100g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        sodium_mg_per_100g: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        micronutrients_per_100g: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Vitamins and minerals per 100 g, e.g. {"iron_mg": 2.1, "vitamin_c_mg": 30}'
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            comment: 'User who added the food, null for catalog foods'
+        },
+        source: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Where the food data came from, e.g. open_food_facts'
+        },
+        is_verified: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'foods',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['name']
+            },
+            {
+                fields: ['brand']
+            },
+            {
+                fields: ['is_active']
+            }
+        ]
+    });
+
+    // Define associations
+    Foods.associate = function(models) {
+        Foods.belongsTo(models.Users, {
+            foreignKey: 'created_by',
+            as: 'creator'
+        });
+        Foods.hasMany(models.CalorieEntries, {
+            foreignKey: 'food_id',
+            as: 'calorieEntries'
+        });
+    };
+
+    return Foods;
+};
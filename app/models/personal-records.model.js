@@ -0,0 +1,99 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const PersonalRecords = sequelize.define('PersonalRecords', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        exercise_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'exercises',
+                key: 'id'
+            }
+        },
+        record_type: {
+            type: DataTypes.ENUM('heaviest_weight', 'most_reps', 'estimated_1rm', 'longest_distance', 'fastest_pace'),
+            allowNull: false
+        },
+        value: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: false,
+            comment: 'kg, reps, km, or minutes per km for fastest_pace (lower is better)'
+        },
+        weight_kg: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            comment: 'Weight of the set; for most_reps the weight the record is for (null = bodyweight)'
+        },
+        record_key: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: '',
+            comment: 'Weight a most_reps record is for ("bodyweight" without one), empty for other types'
+        },
+        reps: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        distance_km: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true
+        },
+        duration_minutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        previous_value: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            comment: 'Record this one beat (null for the first record)'
+        },
+        user_exercise_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'user_exercises',
+                key: 'id'
+            },
+            comment: 'Logged exercise the record was set in'
+        },
+        achieved_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    }, {
+        tableName: 'personal_records',
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['user_id', 'exercise_id', 'record_type', 'record_key']
+            }
+        ]
+    });
+
+    // Define associations
+    PersonalRecords.associate = function(models) {
+        PersonalRecords.belongsTo(models.Users, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+        PersonalRecords.belongsTo(models.Exercises, {
+            foreignKey: 'exercise_id',
+            as: 'exercise'
+        });
+        PersonalRecords.belongsTo(models.UserExercises, {
+            foreignKey: 'user_exercise_id',
+            as: 'userExercise'
+        });
+    };
+
+    return PersonalRecords;
+};
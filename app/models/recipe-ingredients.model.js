@@ -0,0 +1,115 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const RecipeIngredients = sequelize.define('RecipeIngredients', {
+        recipe_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'recipes',
+                key: 'id'
+            }
+        },
+        food_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'foods',
+                key: 'id'
+            },
+            comment: 'Catalog food, null for ingredients with raw nutrition'
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        quantity_g: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            validate: {
+                min: 0.01,
+                max: 100000
+            }
+        },
+        serving_label: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Catalog serving used instead of quantity_g'
+        },
+        servings: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: false,
+            defaultValue: 1.0,
+            validate: {
+                min: 0.01,
+                max: 1000
+            }
+        },
+        // Raw nutrition for the whole ingredient amount (only used without food_id)
+        calories: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 100000
+            }
+        },
+        protein_g: {
+            type: DataTypes.DECIMAL(7, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        carbs_g: {
+            type: DataTypes.DECIMAL(7, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        fat_g: {
+            type: DataTypes.DECIMAL(7, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        fiber_g: {
+            type: DataTypes.DECIMAL(7, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        sugar_g: {
+            type: DataTypes.DECIMAL(7, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        sodium_mg: {
+            type: DataTypes.DECIMAL(9, 2),
+            allowNull: true,
+            defaultValue: 0
+        },
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'recipe_ingredients',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['recipe_id', 'position']
+            }
+        ]
+    });
+
+    // Define associations
+    RecipeIngredients.associate = function(models) {
+        RecipeIngredients.belongsTo(models.Recipes, {
+            foreignKey: 'recipe_id',
+            as: 'recipe'
+        });
+        RecipeIngredients.belongsTo(models.Foods, {
+            foreignKey: 'food_id',
+            as: 'food'
+        });
+    };
+
+    return RecipeIngredients;
+};
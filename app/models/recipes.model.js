@@ -0,0 +1,81 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Recipes = sequelize.define('Recipes', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        servings: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 1.0,
+            validate: {
+                min: 0.1,
+                max: 500
+            },
+            comment: 'Number of servings the recipe yields'
+        },
+        serving_description: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: '1 serving'
+        },
+        total_yield_g: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            validate: {
+                min: 1,
+                max: 100000
+            },
+            comment: 'Finished (cooked) weight of the whole recipe, enables logging by grams'
+        },
+        instructions: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'recipes',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['user_id', 'name']
+            }
+        ]
+    });
+
+    // Define associations
+    Recipes.associate = function(models) {
+        Recipes.belongsTo(models.Users, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+        Recipes.hasMany(models.RecipeIngredients, {
+            foreignKey: 'recipe_id',
+            as: 'ingredients',
+            onDelete: 'CASCADE'
+        });
+        Recipes.hasMany(models.CalorieEntries, {
+            foreignKey: 'recipe_id',
+            as: 'calorieEntries'
+        });
+    };
+
+    return Recipes;
+};
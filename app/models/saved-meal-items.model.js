@@ -0,0 +1,123 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const SavedMealItems = sequelize.define('SavedMealItems', {
+        saved_meal_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'saved_meals',
+                key: 'id'
+            }
+        },
+        food_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'foods',
+                key: 'id'
+            }
+        },
+        recipe_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'recipes',
+                key: 'id'
+            }
+        },
+        quantity_g: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true
+        },
+        serving_label: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        servings_consumed: {
+            type: DataTypes.DECIMAL(4, 2),
+            allowNull: false,
+            defaultValue: 1.0,
+            validate: {
+                min: 0.01,
+                max: 100
+            }
+        },
+        // Free-form nutrition, same meaning as in CalorieEntries (only used without food_id/recipe_id)
+        food_name: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        brand: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        serving_size: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        calories_per_serving: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 10000
+            }
+        },
+        protein_g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true
+        },
+        carbs_g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true
+        },
+        fat_g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true
+        },
+        fiber_g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true
+        },
+        sugar_g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true
+        },
+        sodium_mg: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true
+        },
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'saved_meal_items',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['saved_meal_id', 'position']
+            }
+        ]
+    });
+
+    // Define associations
+    SavedMealItems.associate = function(models) {
+        SavedMealItems.belongsTo(models.SavedMeals, {
+            foreignKey: 'saved_meal_id',
+            as: 'savedMeal'
+        });
+        SavedMealItems.belongsTo(models.Foods, {
+            foreignKey: 'food_id',
+            as: 'food'
+        });
+        SavedMealItems.belongsTo(models.Recipes, {
+            foreignKey: 'recipe_id',
+            as: 'recipe'
+        });
+    };
+
+    return SavedMealItems;
+};
@@ -0,0 +1,54 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const SavedMeals = sequelize.define('SavedMeals', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        default_meal_type: {
+            type: DataTypes.ENUM('breakfast', 'lunch', 'dinner', 'snack'),
+            allowNull: false,
+            defaultValue: 'snack'
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        is_active: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'saved_meals',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['user_id', 'name']
+            }
+        ]
+    });
+
+    // Define associations
+    SavedMeals.associate = function(models) {
+        SavedMeals.belongsTo(models.Users, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+        SavedMeals.hasMany(models.SavedMealItems, {
+            foreignKey: 'saved_meal_id',
+            as: 'items',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    return SavedMeals;
+};
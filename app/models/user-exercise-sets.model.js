@@ -0,0 +1,89 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const UserExerciseSets = sequelize.define('UserExerciseSets', {
+        user_exercise_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'user_exercises',
+                key: 'id'
+            }
+        },
+        set_number: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1,
+                max: 100
+            }
+        },
+        reps: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1,
+                max: 1000
+            }
+        },
+        weight_kg: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 1000
+            },
+            comment: 'Null for bodyweight sets'
+        },
+        rpe: {
+            type: DataTypes.DECIMAL(3, 1),
+            allowNull: true,
+            validate: {
+                min: 1,
+                max: 10
+            },
+            comment: 'Rate of perceived exertion (1-10)'
+        },
+        rir: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 10
+            },
+            comment: 'Reps in reserve'
+        },
+        is_warmup: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        rest_seconds: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 3600
+            },
+            comment: 'Rest taken after the set'
+        }
+    }, {
+        tableName: 'user_exercise_sets',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['user_exercise_id', 'set_number']
+            }
+        ]
+    });
+
+    // Define associations
+    UserExerciseSets.associate = function(models) {
+        UserExerciseSets.belongsTo(models.UserExercises, {
+            foreignKey: 'user_exercise_id',
+            as: 'userExercise'
+        });
+    };
+
+    return UserExerciseSets;
+};
@@ -18,6 +18,15 @@ module.exports = (sequelize) => {
                 key: 'id'
             }
         },
+        workout_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'workouts',
+                key: 'id'
+            },
+            comment: 'Workout session the exercise was part of (null for standalone logs)'
+        },
         duration_minutes: {
             type: DataTypes.INTEGER,
             allowNull: true,
@@ -66,6 +75,16 @@ module.exports = (sequelize) => {
                 max: 5000
             }
         },
+        calories_source: {
+            type: DataTypes.ENUM('automatic', 'manual'),
+            allowNull: true,
+            comment: 'automatic: calculated from the exercise preset, manual: entered by the user (null for older entries)'
+        },
+        intensity: {
+            type: DataTypes.ENUM('light', 'moderate', 'vigorous'),
+            allowNull: true,
+            comment: 'Effort level used for the MET calorie calculation (null = moderate)'
+        },
         performed_at: {
             type: DataTypes.DATE,
             allowNull: false,
@@ -87,6 +106,7 @@ module.exports = (sequelize) => {
     }, {
         tableName: 'user_exercises',
         timestamps: true,
+        paranoid: true, // deletedAt marks removed entries so they can be restored
         indexes: [
             {
                 fields: ['user_id', 'performed_at']
@@ -96,6 +116,9 @@ module.exports = (sequelize) => {
             },
             {
                 fields: ['user_id', 'exercise_id']
+            },
+            {
+                fields: ['workout_id']
             }
         ]
     });
@@ -110,6 +133,15 @@ module.exports = (sequelize) => {
             foreignKey: 'exercise_id',
             as: 'exercise'
         });
+        UserExercises.belongsTo(models.Workouts, {
+            foreignKey: 'workout_id',
+            as: 'workout'
+        });
+        UserExercises.hasMany(models.UserExerciseSets, {
+            foreignKey: 'user_exercise_id',
+            as: 'set_details',
+            onDelete: 'CASCADE'
+        });
     };
 
     return UserExercises;
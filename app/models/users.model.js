@@ -68,6 +68,108 @@ module.exports = (sequelize) => {
                 max: 5000
             }
         },
+        macro_goal_type: {
+            type: DataTypes.ENUM('grams', 'percentage'),
+            allowNull: false,
+            defaultValue: 'grams',
+            comment: 'Whether protein/carbs/fat goals are grams or % of daily_calorie_goal'
+        },
+        protein_goal: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 1000
+            }
+        },
+        carbs_goal: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 1500
+            }
+        },
+        fat_goal: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 500
+            }
+        },
+        fiber_goal_g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 200
+            }
+        },
+        sugar_goal_g: {
+            type: DataTypes.DECIMAL(6, 2),
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 500
+            },
+            comment: 'Daily limit'
+        },
+        sodium_goal_mg: {
+            type: DataTypes.DECIMAL(8, 2),
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 10000
+            },
+            comment: 'Daily limit'
+        },
+        breakfast_calorie_goal: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 5000
+            }
+        },
+        lunch_calorie_goal: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 5000
+            }
+        },
+        dinner_calorie_goal: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 5000
+            }
+        },
+        snack_calorie_goal: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 5000
+            },
+            comment: 'Total for all snacks in a day'
+        },
+        fasting_protocol: {
+            type: DataTypes.STRING(16),
+            allowNull: true,
+            comment: 'Default intermittent fasting protocol, e.g. 16:8'
+        },
+        fasting_target_hours: {
+            type: DataTypes.DECIMAL(4, 1),
+            allowNull: true,
+            validate: {
+                min: 1,
+                max: 72
+            }
+        },
         profile_picture_url: {
             type: DataTypes.STRING,
             allowNull: true
@@ -0,0 +1,55 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const WaterLogs = sequelize.define('WaterLogs', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        amount_ml: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                min: 1,
+                max: 5000
+            }
+        },
+        beverage: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'water',
+            comment: 'What was drunk, e.g. water, tea, sparkling water'
+        },
+        logged_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        tableName: 'water_logs',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['user_id', 'logged_at']
+            }
+        ]
+    });
+
+    // Define associations
+    WaterLogs.associate = function(models) {
+        WaterLogs.belongsTo(models.Users, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    return WaterLogs;
+};
@@ -0,0 +1,69 @@
+const {DataTypes} = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Workouts = sequelize.define('Workouts', {
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        },
+        title: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        ended_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Null while the workout is in progress'
+        },
+        perceived_exertion: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 1,
+                max: 10
+            },
+            comment: 'Session RPE (1-10), set when the workout is finished'
+        },
+        total_calories_burned: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Sum of the calories of the workout\'s exercises'
+        }
+    }, {
+        tableName: 'workouts',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['user_id', 'started_at']
+            }
+        ]
+    });
+
+    // Define associations
+    Workouts.associate = function(models) {
+        Workouts.belongsTo(models.Users, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+        Workouts.hasMany(models.UserExercises, {
+            foreignKey: 'workout_id',
+            as: 'exercises'
+        });
+    };
+
+    return Workouts;
+};
@@ -12,6 +12,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'beginner',
         calories_per_minute: 12.0,
+        met_value: 9.8,
+        intensity_met_values: JSON.stringify({ light: 8.3, vigorous: 11.0 }),
         description: 'Running at moderate pace for cardiovascular fitness',
         instructions: 'Maintain a steady pace, land on midfoot, keep arms relaxed',
         is_active: true,
@@ -25,6 +27,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'beginner',
         calories_per_minute: 5.0,
+        met_value: 4.3,
+        intensity_met_values: JSON.stringify({ light: 3.0, vigorous: 5.0 }),
         description: 'Brisk walking for low-impact cardio',
         instructions: 'Maintain good posture, swing arms naturally, breathe steadily',
         is_active: true,
@@ -38,6 +42,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'beginner',
         calories_per_minute: 8.0,
+        met_value: 7.7,
+        intensity_met_values: null,
         description: 'Full body cardio exercise',
         instructions: 'Jump feet apart while raising arms overhead, return to starting position',
         is_active: true,
@@ -53,6 +59,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'beginner',
         calories_per_minute: 7.0,
+        met_value: 3.8,
+        intensity_met_values: JSON.stringify({ light: 2.8, vigorous: 8.0 }),
         description: 'Upper body strength exercise',
         instructions: 'Keep body straight, lower chest to floor, push back up',
         is_active: true,
@@ -66,6 +74,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'beginner',
         calories_per_minute: 6.0,
+        met_value: 5.0,
+        intensity_met_values: JSON.stringify({ light: 3.5, vigorous: 6.0 }),
         description: 'Lower body strength exercise',
         instructions: 'Keep chest up, lower hips back and down, push through heels to stand',
         is_active: true,
@@ -79,6 +89,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'beginner',
         calories_per_minute: 4.0,
+        met_value: 3.8,
+        intensity_met_values: null,
         description: 'Core strengthening exercise',
         instructions: 'Hold straight line from head to heels, engage core muscles',
         is_active: true,
@@ -92,6 +104,8 @@ module.exports = {
         equipment_needed: 'pull-up bar',
         difficulty_level: 'intermediate',
         calories_per_minute: 8.0,
+        met_value: 5.0,
+        intensity_met_values: JSON.stringify({ vigorous: 8.0 }),
         description: 'Upper body pulling exercise',
         instructions: 'Hang from bar, pull chin over bar, lower with control',
         is_active: true,
@@ -107,6 +121,8 @@ module.exports = {
         equipment_needed: 'yoga mat',
         difficulty_level: 'beginner',
         calories_per_minute: 3.0,
+        met_value: 3.0,
+        intensity_met_values: JSON.stringify({ light: 2.5, vigorous: 4.0 }),
         description: 'Flowing yoga sequence for flexibility and relaxation',
         instructions: 'Move smoothly between poses, focus on breathing',
         is_active: true,
@@ -120,6 +136,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'beginner',
         calories_per_minute: 2.0,
+        met_value: 2.3,
+        intensity_met_values: null,
         description: 'Hold stretches to improve flexibility',
         instructions: 'Hold each stretch for 15-30 seconds, breathe deeply',
         is_active: true,
@@ -135,6 +153,8 @@ module.exports = {
         equipment_needed: 'none',
         difficulty_level: 'intermediate',
         calories_per_minute: 15.0,
+        met_value: 8.0,
+        intensity_met_values: JSON.stringify({ vigorous: 10.0 }),
         description: 'Full body functional movement',
         instructions: 'Squat, jump back to plank, push-up, jump forward, jump up',
         is_active: true,
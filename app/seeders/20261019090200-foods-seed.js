@@ -0,0 +1,244 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.bulkInsert('foods', [
+      // Fruits
+      {
+        name: 'Banana',
+        brand: null,
+        serving_size_g: 118,
+        serving_description: '1 medium (118 g)',
+        servings: JSON.stringify([{ label: '1 small', grams: 101 }, { label: '1 medium', grams: 118 }, { label: '1 large', grams: 136 }, { label: '1 cup sliced', grams: 150 }]),
+        unit_grams: JSON.stringify({ piece: 118 }),
+        calories_per_100g: 89,
+        protein_per_100g: 1.09,
+        carbs_per_100g: 22.84,
+        fat_per_100g: 0.33,
+        fiber_per_100g: 2.6,
+        sugar_per_100g: 12.23,
+        sodium_mg_per_100g: 1,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        name: 'Apple',
+        brand: null,
+        serving_size_g: 182,
+        serving_description: '1 medium (182 g)',
+        servings: JSON.stringify([{ label: '1 small', grams: 149 }, { label: '1 medium', grams: 182 }, { label: '1 large', grams: 223 }]),
+        unit_grams: JSON.stringify({ piece: 182 }),
+        calories_per_100g: 52,
+        protein_per_100g: 0.26,
+        carbs_per_100g: 13.81,
+        fat_per_100g: 0.17,
+        fiber_per_100g: 2.4,
+        sugar_per_100g: 10.39,
+        sodium_mg_per_100g: 1,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+
+      // Proteins
+      {
+        name: 'Egg',
+        brand: null,
+        serving_size_g: 50,
+        serving_description: '1 large (50 g)',
+        servings: JSON.stringify([{ label: '1 large', grams: 50 }, { label: '1 extra large', grams: 56 }]),
+        unit_grams: JSON.stringify({ piece: 50 }),
+        calories_per_100g: 143,
+        protein_per_100g: 12.56,
+        carbs_per_100g: 0.72,
+        fat_per_100g: 9.51,
+        fiber_per_100g: 0,
+        sugar_per_100g: 0.37,
+        sodium_mg_per_100g: 142,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        name: 'Chicken Breast',
+        brand: null,
+        serving_size_g: 100,
+        serving_description: '100 g',
+        servings: JSON.stringify([{ label: '1 breast', grams: 172 }, { label: '1 oz', grams: 28.35 }]),
+        unit_grams: JSON.stringify({ piece: 172 }),
+        calories_per_100g: 165,
+        protein_per_100g: 31.02,
+        carbs_per_100g: 0,
+        fat_per_100g: 3.57,
+        fiber_per_100g: 0,
+        sugar_per_100g: 0,
+        sodium_mg_per_100g: 74,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        name: 'Salmon',
+        brand: null,
+        serving_size_g: 100,
+        serving_description: '100 g',
+        servings: JSON.stringify([{ label: '1 fillet', grams: 154 }, { label: '1 oz', grams: 28.35 }]),
+        unit_grams: JSON.stringify({ piece: 154 }),
+        calories_per_100g: 206,
+        protein_per_100g: 22.1,
+        carbs_per_100g: 0,
+        fat_per_100g: 12.35,
+        fiber_per_100g: 0,
+        sugar_per_100g: 0,
+        sodium_mg_per_100g: 61,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+
+      // Grains
+      {
+        name: 'White Rice',
+        brand: null,
+        serving_size_g: 158,
+        serving_description: '1 cup (158 g)',
+        servings: JSON.stringify([{ label: '1 cup', grams: 158 }, { label: '1/2 cup', grams: 79 }]),
+        calories_per_100g: 130,
+        protein_per_100g: 2.69,
+        carbs_per_100g: 28.17,
+        fat_per_100g: 0.28,
+        fiber_per_100g: 0.4,
+        sugar_per_100g: 0.05,
+        sodium_mg_per_100g: 1,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        name: 'Oats',
+        brand: null,
+        serving_size_g: 40,
+        serving_description: '1/2 cup (40 g)',
+        servings: JSON.stringify([{ label: '1/2 cup', grams: 40 }, { label: '1 cup', grams: 80 }]),
+        calories_per_100g: 379,
+        protein_per_100g: 13.15,
+        carbs_per_100g: 67.7,
+        fat_per_100g: 6.52,
+        fiber_per_100g: 10.1,
+        sugar_per_100g: 0.99,
+        sodium_mg_per_100g: 6,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        name: 'Whole Wheat Bread',
+        brand: null,
+        serving_size_g: 32,
+        serving_description: '1 slice (32 g)',
+        servings: JSON.stringify([{ label: '1 slice', grams: 32 }]),
+        unit_grams: JSON.stringify({ piece: 32 }),
+        calories_per_100g: 252,
+        protein_per_100g: 12.45,
+        carbs_per_100g: 42.71,
+        fat_per_100g: 3.5,
+        fiber_per_100g: 6,
+        sugar_per_100g: 4.41,
+        sodium_mg_per_100g: 450,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+
+      // Dairy
+      {
+        name: 'Milk',
+        brand: null,
+        serving_size_g: 244,
+        serving_description: '1 cup (244 g)',
+        servings: JSON.stringify([{ label: '1 cup', grams: 244 }, { label: '1 tbsp', grams: 15.25 }]),
+        calories_per_100g: 50,
+        protein_per_100g: 3.3,
+        carbs_per_100g: 4.8,
+        fat_per_100g: 1.98,
+        fiber_per_100g: 0,
+        sugar_per_100g: 5.06,
+        sodium_mg_per_100g: 47,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        name: 'Greek Yogurt',
+        brand: null,
+        serving_size_g: 170,
+        serving_description: '1 container (170 g)',
+        servings: JSON.stringify([{ label: '1 container', grams: 170 }, { label: '1 cup', grams: 245 }]),
+        calories_per_100g: 59,
+        protein_per_100g: 10.19,
+        carbs_per_100g: 3.6,
+        fat_per_100g: 0.39,
+        fiber_per_100g: 0,
+        sugar_per_100g: 3.24,
+        sodium_mg_per_100g: 36,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+
+      // Fats
+      {
+        name: 'Olive Oil',
+        brand: null,
+        serving_size_g: 13.5,
+        serving_description: '1 tbsp (13.5 g)',
+        servings: JSON.stringify([{ label: '1 tbsp', grams: 13.5 }, { label: '1 tsp', grams: 4.5 }]),
+        calories_per_100g: 884,
+        protein_per_100g: 0,
+        carbs_per_100g: 0,
+        fat_per_100g: 100,
+        fiber_per_100g: 0,
+        sugar_per_100g: 0,
+        sodium_mg_per_100g: 2,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      },
+      {
+        name: 'Peanut Butter',
+        brand: null,
+        serving_size_g: 32,
+        serving_description: '2 tbsp (32 g)',
+        servings: JSON.stringify([{ label: '2 tbsp', grams: 32 }, { label: '1 tbsp', grams: 16 }]),
+        calories_per_100g: 588,
+        protein_per_100g: 25.09,
+        carbs_per_100g: 19.56,
+        fat_per_100g: 50.39,
+        fiber_per_100g: 6,
+        sugar_per_100g: 9.22,
+        sodium_mg_per_100g: 459,
+        is_verified: true,
+        is_active: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ], {});
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('foods', { created_by: null }, {});
+  }
+};